@@ -0,0 +1,199 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Screen-reader / keyboard layer (DOM)
+//
+// The canvas is an image to assistive tech; this layer says in words
+// what it shows, visually hidden until a control in it gets focus:
+// - live region: time, phase, roulette, angles (every A11Y_ANNOUNCE_MS,
+//   sooner when phase or roulette change, never closer than A11Y_MIN_GAP_MS)
+// - status list: the status lines of the Controls box (every second)
+// - buttons: one per command of the Controls box (same text, same action
+//   as tapping it, see helpLineTaps() in pointer.js)
+// - info: infoContent() as heading, paragraphs, list
+// Built once in setup(), kept in sync by a11yUpdate() from draw()
+// (labels and info are rebuilt when the language or the info content changes).
+// ------------------------------------------------------------
+
+const A11Y_ANNOUNCE_MS = 15000;
+const A11Y_MIN_GAP_MS = 4000;
+const A11Y_STATUS_MS = 1000;
+
+let a11y = null;   // { doc, root, live, status, commands, info, locale, content, commandsKey, lastAt, lastKey, statusAt }
+
+// ------------------------------------------------------------
+// TEXT (pure)
+// ------------------------------------------------------------
+
+// s: { h, m, s, phase, manualPhase, roulette, ring, angles: { h, m, s } } -> sentence for the live region
+// (phase: name in the schedule, roulette: "off" | "spin" | "brake")
+function a11ySummary(s) {
+  const ring = s.ring ? tr("a11y.ring", { text: s.ring }) + " " : "";
+  return ring + tr("a11y.summary", {
+    time: `${fmt2(s.h)}:${fmt2(s.m)}:${fmt2(s.s)}`,
+    phase: a11yPhase(s.phase, s.manualPhase),
+    roulette: tr(`a11y.roulette.${s.roulette}`),
+    h: fmtDeg(s.angles.h),
+    m: fmtDeg(s.angles.m),
+    s: fmtDeg(s.angles.s),
+  });
+}
+
+// names of a configured schedule (see phases.js) have no translation, they are read as is
+function a11yPhase(name, manual) {
+  const key = `a11y.phase.${name}`;
+  const text = LOCALES.en[key] !== undefined ? tr(key) : name;
+  return manual ? tr("a11y.phaseManual", { phase: text }) : text;
+}
+
+// announce now? state changes (phase / roulette / ringing) may come sooner than the period
+function a11yDue(now, lastAt, lastKey, key) {
+  if (lastAt === null) return true;
+  const gap = now - lastAt;
+  if (gap < A11Y_MIN_GAP_MS) return false;
+  return key !== lastKey || gap >= A11Y_ANNOUNCE_MS;
+}
+
+// help box lines -> { status: [text], commands: [{ key, label }] }
+// (status = lines between the first two blank lines; indented lines without
+// a command continue the command above)
+function a11yHelpParts(rawLines) {
+  const status = [];
+  const commands = [];
+  let blanks = 0;
+  let last = null;   // command of the line above
+
+  for (const line of rawLines) {
+    if (line === "") {
+      blanks++;
+      continue;
+    }
+    if (blanks === 1) {
+      status.push(line.replace(/\s+/g, " "));
+      continue;
+    }
+    if (blanks < 2) continue;
+
+    const taps = helpLineTaps(line);
+    if (!taps.length) {
+      if (/^\s/.test(line) && last) last.label += " " + line.trim();
+      else last = null;
+      continue;
+    }
+    for (const t of taps) {
+      const seg = line.substring(t.from, t.to).trim();
+      const label = seg.replace(/^\S+\s*/, "");
+      last = { key: t.key, label: `${t.key === ' ' ? "Space" : t.key}: ${label}` };
+      commands.push(last);
+    }
+  }
+  return { status, commands };
+}
+
+// ------------------------------------------------------------
+// DOM
+// ------------------------------------------------------------
+function a11yEl(doc, tag, attrs, text) {
+  const el = doc.createElement(tag);
+  for (const k in attrs || {}) el.setAttribute(k, attrs[k]);
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// info paragraph spans -> <p> with <strong> / <mark>
+function a11yParagraph(doc, spans) {
+  const p = a11yEl(doc, "p");
+  for (const sp of spans) {
+    if (sp.mark) p.appendChild(a11yEl(doc, "mark", {}, sp.text));
+    else if (sp.bold) p.appendChild(a11yEl(doc, "strong", {}, sp.text));
+    else p.appendChild(doc.createTextNode(sp.text));
+  }
+  return p;
+}
+
+function a11yInit(doc) {
+  const root = a11yEl(doc, "div", { id: "mot-a11y", class: "mot-sr" });
+
+  const live = a11yEl(doc, "p", { role: "status", "aria-live": "polite", "aria-atomic": "true" });
+  const status = a11yEl(doc, "ul");
+  const commands = a11yEl(doc, "div", { role: "group" });
+  const info = a11yEl(doc, "section");
+
+  root.appendChild(live);
+  root.appendChild(status);
+  root.appendChild(commands);
+  root.appendChild(info);
+  doc.body.appendChild(root);
+
+  const canvas = doc.querySelector("canvas");
+  if (canvas) canvas.setAttribute("role", "img");
+
+  a11y = { doc, root, live, status, commands, info, locale: null, content: null, commandsKey: "", lastAt: null, lastKey: "", statusAt: null };
+  a11yLocalize();
+}
+
+// labels + info section in the current language
+function a11yLocalize() {
+  const doc = a11y.doc;
+  a11y.locale = locale;
+  a11y.content = infoContent();
+  a11y.root.setAttribute("lang", locale);
+  a11y.status.setAttribute("aria-label", tr("a11y.status"));
+  a11y.commands.setAttribute("aria-label", tr("a11y.controls"));
+  a11y.info.setAttribute("aria-label", tr("a11y.about"));
+
+  const canvas = doc.querySelector("canvas");
+  if (canvas) canvas.setAttribute("aria-label", tr("a11y.canvas"));
+
+  const info = a11y.content;
+  const meta = a11yEl(doc, "dl");
+  for (const row of info.meta) {
+    meta.appendChild(a11yEl(doc, "dt", {}, row.k));
+    meta.appendChild(a11yEl(doc, "dd", {}, row.v));
+  }
+  a11y.info.replaceChildren(
+    a11yEl(doc, "h2", {}, info.title),
+    ...info.paras.map(para => a11yParagraph(doc, para)),
+    meta,
+  );
+  a11y.statusAt = null;   // status list + buttons follow right away
+}
+
+function a11ySetCommands(list) {
+  const key = list.map(c => c.label).join("\n");
+  if (key === a11y.commandsKey) return;
+  a11y.commandsKey = key;
+
+  a11y.commands.replaceChildren(...list.map(c => {
+    const b = a11yEl(a11y.doc, "button", { type: "button", "aria-keyshortcuts": c.key === ' ' ? "Space" : c.key }, c.label);
+    b.addEventListener("click", () => runTapCommand(c.key));
+    return b;
+  }));
+}
+
+// draw(): s as for a11ySummary(); helpLines() -> Controls box lines; now = millis()
+function a11yUpdate(s, helpLines, now) {
+  if (!a11y) return;
+  if (a11y.locale !== locale || a11y.content !== infoContent()) a11yLocalize();
+
+  if (a11y.statusAt === null || now - a11y.statusAt >= A11Y_STATUS_MS) {
+    a11y.statusAt = now;
+    const parts = a11yHelpParts(helpLines());
+    a11y.status.replaceChildren(...parts.status.map(l => a11yEl(a11y.doc, "li", {}, l)));
+    a11ySetCommands(parts.commands);
+  }
+
+  const key = `${s.phase}|${s.manualPhase}|${s.roulette}|${s.ring || ""}`;
+  if (a11yDue(now, a11y.lastAt, a11y.lastKey, key)) {
+    a11y.lastAt = now;
+    a11y.lastKey = key;
+    a11y.live.textContent = a11ySummary(s);
+  }
+}
+
+// keys typed on a focused button are the button's, not the sketch's
+function a11yHasFocus() {
+  return !!a11y && a11y.root.contains(a11y.doc.activeElement);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { A11Y_ANNOUNCE_MS, A11Y_MIN_GAP_MS, a11ySummary, a11yDue, a11yHelpParts };
+}
@@ -0,0 +1,334 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Alarms, countdown, stopwatch (O, J, D, S)
+//
+//   7:30 standup   3:15 pm review                 -> every day
+//   2025-03-14 9:00 demo   now+25m tea            -> once
+//   countdown: 25m   1h30m   90s   10:00 (m:ss)   25 (minutes)
+//
+// Alarms ring at wall time of the zone they were set in (the shown one at
+// that moment) and are kept in localStorage. While a countdown / stopwatch
+// runs, the three markers show the remaining / elapsed time as h:m:s
+// instead of the clock. An alarm or a countdown at zero rings: the frame
+// pulses in the triangle colour (steady tint with reduced motion), a banner
+// names it and, with sound on (M), a chime repeats. Any key or tap ends it;
+// it stops by itself after ALARM_RING_MS.
+// ------------------------------------------------------------
+
+const ALARM_STORAGE_KEY = "mathOfTime.alarms";
+const ALARM_MAX = 12;
+const ALARM_LABEL_MAX = 24;
+const ALARM_LATE_S = 600;        // rings this late (tab asleep, reload), then missed
+const ALARM_RING_MS = 60000;
+const ALARM_CHIME_MS = 4000;     // chime repeats while ringing
+const ALARM_TINT_A = 70;         // frame tint at the top of a pulse
+const TIMER_MAX_S = 24 * 3600 - 1;
+
+// alarms: [{ h, m, s, date: { y, mo, d } | null (= daily), label, zone,
+//            last: "YYYY-MM-DD" | null (day it last rang, in its zone) }]
+// timer: { mode: "countdown" | "stopwatch", total (s), acc (ms),
+//          since (millis() | null = paused), done }
+let alarms = [];
+let alarmStore = null;   // localStorage (null = none, alarms last until reload)
+let alarmRing = null;    // { text, at, chimeAt } while ringing
+let alarmCheckedAt = -1; // whole second of the last alarm check
+let alarmSoonest = null; // next alarm for the Controls box (alarmsRefresh)
+let timer = null;
+
+// ------------------------------------------------------------
+// PARSING (pure; tr() for the messages)
+// ------------------------------------------------------------
+function wallSeconds(p) {
+  return Date.UTC(p.y, p.mo - 1, p.d, p.h || 0, p.m || 0, p.s || 0) / 1000;
+}
+
+function wallDay(p) {
+  return `${p.y}-${String(p.mo).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+// "25m", "1h30m", "10:00", "25" -> seconds or { error }
+function parseDuration(str) {
+  const s = str.trim().toLowerCase();
+  if (!s) return { error: tr("timer.hint") };
+
+  let sec;
+  const clock = /^(\d+):(\d{1,2})(?::(\d{1,2}))?$/.exec(s);
+  if (/^\d+(?:[.,]\d+)?$/.test(s)) sec = parseFloat(s.replace(",", ".")) * 60;
+  else if (clock && clock[3] !== undefined) sec = +clock[1] * 3600 + +clock[2] * 60 + +clock[3];
+  else if (clock) sec = +clock[1] * 60 + +clock[2];
+  else {
+    sec = parseOffset(/^[+-]/.test(s) ? s : "+" + s);
+    if (typeof sec !== "number") return sec;
+  }
+
+  sec = Math.round(sec);
+  if (sec <= 0) return { error: tr("timer.err.zero") };
+  if (sec > TIMER_MAX_S) return { error: tr("timer.err.max") };
+  return sec;
+}
+
+// "3:15 pm review" -> { h, m, s, date (null = daily), label } or { error }
+// the longest leading words that parse as a time (timeinput.js) are the time,
+// the rest is the label; relative times count from the live clock
+function parseAlarmInput(str, live, zone) {
+  const words = str.trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return { error: tr("alarm.hint") };
+
+  let error = null;
+  for (let n = words.length; n > 0; n--) {
+    const p = parseTimeInput(words.slice(0, n).join(" "), live, live, zone);
+    if (p.error) {
+      if (!error && p.error !== tr("input.err.format")) error = p.error;
+      continue;
+    }
+    if (p.date && wallSeconds({ ...p.date, h: p.h, m: p.m, s: p.s }) <= wallSeconds(live)) {
+      return { error: tr("alarm.err.past") };
+    }
+    const label = words.slice(n).join(" ").slice(0, ALARM_LABEL_MAX);
+    return { h: p.h, m: p.m, s: p.s, date: p.date, label };
+  }
+  return { error: error || tr("alarm.err.format") };
+}
+
+// ------------------------------------------------------------
+// ALARMS (list, storage, when they ring)
+// Each alarm keeps the zone it was set in: browsing zones (Q) moves the
+// shown clock, not the alarms. Times below are instants (UTC seconds).
+// ------------------------------------------------------------
+function alarmValid(a) {
+  const int = (v, hi) => Number.isInteger(v) && v >= 0 && v <= hi;
+  if (!a || !int(a.h, 23) || !int(a.m, 59) || !int(a.s, 59)) return false;
+  if (typeof a.zone !== "string" || !isValidTimeZone(a.zone)) return false;
+  return !a.date || (int(a.date.y, 9999) && int(a.date.mo, 12) && int(a.date.d, 31));
+}
+
+// win: window (localStorage may be missing or throw when storage is blocked)
+function alarmsInit(win) {
+  try {
+    alarmStore = win.localStorage || null;
+    const saved = alarmStore ? JSON.parse(alarmStore.getItem(ALARM_STORAGE_KEY) || "[]") : [];
+    // saved before alarms kept a zone -> the browser's own
+    const withZone = Array.isArray(saved)
+      ? saved.map(a => (a && a.zone === undefined ? { ...a, zone: "local" } : a))
+      : [];
+    alarms = withZone.filter(alarmValid).slice(0, ALARM_MAX);
+  } catch (e) {
+    alarmStore = null;
+    alarms = [];
+  }
+  alarmsRefresh(new Date());
+}
+
+// a failing write (quota, blocked) keeps the alarms until reload
+function alarmsSave() {
+  if (!alarmStore) return;
+  try {
+    alarmStore.setItem(ALARM_STORAGE_KEY, JSON.stringify(alarms));
+  } catch (e) {
+    alarmStore = null;
+  }
+}
+
+// alarm time on that day { y, mo, d } in the alarm's zone
+function alarmInstant(a, day) {
+  return zonedWallToDate({ ...day, h: a.h, m: a.m, s: a.s }, a.zone).getTime() / 1000;
+}
+
+// next ring -> { at, day } (day: "YYYY-MM-DD" in the alarm's zone); daily
+// ones yesterday (still late enough to ring), today or tomorrow
+function alarmNext(a, now) {
+  if (a.date) return { at: alarmInstant(a, a.date), day: wallDay(a.date) };
+  const nowS = now.getTime() / 1000;
+  const noon = { ...zonedTimeParts(now, a.zone), h: 12, m: 0, s: 0 };
+  let next = null;
+  for (const days of [-1, 0, 1, 2]) {
+    const day = shiftWallTime(noon, days * 86400).date;
+    next = { at: alarmInstant(a, day), day: wallDay(day) };
+    if (next.day !== a.last && nowS - next.at < ALARM_LATE_S) break;
+  }
+  return next;
+}
+
+// { h, m, s, date, label } set in zone -> true or { error }; a daily alarm
+// set for an earlier time of day starts tomorrow
+function alarmAdd(a, now, zone) {
+  if (alarms.length >= ALARM_MAX) return { error: tr("alarm.err.max", { n: ALARM_MAX }) };
+  const alarm = { h: a.h, m: a.m, s: a.s, date: a.date || null, label: a.label || "", zone, last: null };
+  if (!alarm.date) {
+    const today = zonedTimeParts(now, zone);
+    if (alarmInstant(alarm, today) <= now.getTime() / 1000) alarm.last = wallDay(today);
+  }
+  alarms.push(alarm);
+  alarmsSave();
+  alarmsRefresh(now);
+  return true;
+}
+
+// soonest first
+function alarmsUpcoming(now) {
+  return alarms
+    .map(a => ({ a, at: alarmNext(a, now).at }))
+    .sort((x, y) => x.at - y.at)
+    .map(e => e.a);
+}
+
+// the Controls box reads alarmSoonest every frame; sorting happens here,
+// on changes and once a second (alarmTick)
+function alarmsRefresh(now) {
+  alarmSoonest = alarmsUpcoming(now)[0] || null;
+}
+
+function alarmRemoveNext(now) {
+  const next = alarmsUpcoming(now)[0];
+  if (!next) return;
+  alarms = alarms.filter(a => a !== next);
+  alarmsSave();
+  alarmsRefresh(now);
+}
+
+// alarms whose time has come at the instant now (Date); daily ones are
+// marked for their day, one-off ones (and missed one-off ones) leave the list
+function alarmsDue(now) {
+  const nowS = now.getTime() / 1000;
+  const due = [];
+  const keep = [];
+  for (const a of alarms) {
+    const next = alarmNext(a, now);
+    const ring = nowS >= next.at && nowS - next.at < ALARM_LATE_S;
+    if (ring) due.push(a);
+    if (a.date && (ring || nowS - next.at >= ALARM_LATE_S)) continue;
+    if (ring) a.last = next.day;
+    keep.push(a);
+  }
+  if (keep.length !== alarms.length || due.length) {
+    alarms = keep;
+    alarmsSave();
+  }
+  return due;
+}
+
+// "07:30 standup", "2025-03-14 09:00 demo", "07:30 (Tokyo) standup" when set
+// in another zone than the shown one (seconds only when set)
+function alarmText(a, shownZone) {
+  const t = `${String(a.h).padStart(2, "0")}:${String(a.m).padStart(2, "0")}${a.s ? ":" + String(a.s).padStart(2, "0") : ""}`;
+  const zone = a.zone !== shownZone ? `(${zoneLabel(a.zone)})` : "";
+  return [a.date ? wallDay(a.date) : "", t, zone, a.label].filter(Boolean).join(" ");
+}
+
+// ------------------------------------------------------------
+// COUNTDOWN / STOPWATCH (millis() based, pausable)
+// ------------------------------------------------------------
+function timerStart(mode, total, nowMs) {
+  timer = { mode, total: mode === "countdown" ? total : 0, acc: 0, since: nowMs, done: false };
+}
+
+function timerToggle(nowMs) {
+  if (!timer || timer.done) return;
+  if (timer.since === null) timer.since = nowMs;
+  else {
+    timer.acc += nowMs - timer.since;
+    timer.since = null;
+  }
+}
+
+function timerStop() {
+  timer = null;
+}
+
+// seconds the markers show: remaining (countdown) / elapsed (stopwatch,
+// wraps after a day)
+function timerSeconds(nowMs) {
+  if (!timer) return 0;
+  const elapsed = (timer.acc + (timer.since === null ? 0 : nowMs - timer.since)) / 1000;
+  if (timer.mode === "countdown") return Math.max(0, timer.total - elapsed);
+  return elapsed % 86400;
+}
+
+// s -> "01:05:09" (countdown shows whole seconds rounded up: 0.2 s left
+// is "00:00:01")
+function timerClock(sec, up) {
+  const t = up ? Math.ceil(sec) : Math.floor(sec);
+  return [Math.floor(t / 3600), Math.floor(t / 60) % 60, t % 60].map(v => String(v).padStart(2, "0")).join(":");
+}
+
+// ------------------------------------------------------------
+// RINGING
+// ------------------------------------------------------------
+function alarmRingStart(text, nowMs) {
+  alarmRing = { text, at: nowMs, chimeAt: -Infinity };
+}
+
+// any key / tap while ringing; a finished countdown goes too
+function alarmDismiss() {
+  alarmRing = null;
+  if (timer && timer.done) timer = null;
+}
+
+// once per frame (draw): due alarms (once a second), countdown at zero,
+// chime, time-out
+// now: Date of the live clock; shownZone: for the banner text
+function alarmTick(now, nowMs, shownZone) {
+  const second = Math.floor(now.getTime() / 1000);
+  if (second !== alarmCheckedAt) {
+    alarmCheckedAt = second;
+    const due = alarmsDue(now);
+    if (due.length) alarmRingStart(tr("ring.alarm", { what: due.map(a => alarmText(a, shownZone)).join(" · ") }), nowMs);
+    alarmsRefresh(now);
+  }
+
+  if (timer && timer.mode === "countdown" && !timer.done && timerSeconds(nowMs) <= 0) {
+    timer.done = true;
+    timer.since = null;
+    timer.acc = timer.total * 1000;
+    alarmRingStart(tr("ring.countdown", { t: timerClock(timer.total, true) }), nowMs);
+  }
+
+  if (!alarmRing) return;
+  if (nowMs - alarmRing.at >= ALARM_RING_MS) {
+    alarmDismiss();
+    return;
+  }
+  if (nowMs - alarmRing.chimeAt >= ALARM_CHIME_MS && audioIsRunning()) {
+    alarmRing.chimeAt = nowMs;
+    audioChime(audioCtx.currentTime);
+  }
+}
+
+// screen space, over the clock and under the UI boxes
+function drawAlarmRing(nowMs) {
+  if (!alarmRing) return;
+
+  // 1 Hz pulse (well below flash limits); reduced motion: steady tint
+  const t = (nowMs - alarmRing.at) / 1000;
+  const k = reducedMotion ? 0.6 : 0.5 - 0.5 * Math.cos(t * Math.PI * 2);
+
+  noStroke();
+  fillC(palette.triangle, ALARM_TINT_A * k);
+  rect(0, 0, width, height);
+  noFill();
+  strokeC(palette.triangle, 120 + 135 * k);
+  strokeWeight(8);
+  rect(4, 4, width - 8, height - 8);
+
+  const size = Math.max(18, Math.min(40, width / 24));
+  const y = height * 0.14;
+  textFont("monospace");
+  textAlign(CENTER, CENTER);
+  textStyle(BOLD);
+  textSize(size);
+  const w = Math.min(width - 24, textWidth(alarmRing.text) + size * 1.5);
+  noStroke();
+  fillC(palette.bg, 235);
+  rect(width / 2 - w / 2, y - size, w, size * 2 + 22);
+  fillC(palette.fg);
+  text(alarmRing.text, width / 2, y);
+  textStyle(NORMAL);
+  textSize(12);
+  text(tr("ring.dismiss"), width / 2, y + size * 0.5 + 14);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ALARM_STORAGE_KEY, ALARM_MAX, parseDuration, parseAlarmInput, alarmsDue, alarmNext,
+    timerSeconds, timerClock,
+  };
+}
@@ -0,0 +1,360 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Daily almanac sheet (L, ?almanac=hour|10min)
+//
+// One A4 page with a small signature for every hour (24) or every
+// 10 minutes (144) of a day, each with its time and the three angles
+// (hour / minute / second marker) underneath.
+// almanacSheet() is pure: it lays the page out as a list of primitives
+// (pt units, y down) that three renderers share:
+// - almanacSVG(): the sheet as SVG (210 x 297 mm)
+// - almanacPDF(): the same as a one-page PDF (no library, Courier only)
+// - drawAlmanac(): the view on screen (p5)
+// All signatures use the hour shape as it was shown when L was pressed.
+// The sheet is paper: its colors stay the same in every theme (theme.js).
+// ------------------------------------------------------------
+
+const ALMANAC_STEPS = {
+  hour: { seconds: 3600, file: "1h" },
+  "10min": { seconds: 600, file: "10min" },
+};
+const ALMANAC_STEP_ORDER = ["hour", "10min"];
+const ALMANAC_PAGE = { w: 595.28, h: 841.89, margin: 36, headH: 44, footH: 16 };   // A4 in pt
+const ALMANAC_MONO_W = 0.6;   // Courier advance width (em)
+const ALMANAC_MIN_FONT = 4;   // pt, labels smaller than this are not printed legibly
+
+let almanac = null;   // { step, date, t, hours24, sheet } while the view is open
+
+// ------------------------------------------------------------
+// SHEET (pure)
+// ------------------------------------------------------------
+
+// DESIGN bounds of the time signature (hour shape, seconds oval, minute line)
+function almanacBounds(cfgs) {
+  const L = GEO_LAYOUT;
+  let x0 = Math.min(L.second.cx - L.second.w / 2, L.minute.x), x1 = Math.max(L.second.cx + L.second.w / 2, L.minute.x);
+  let y0 = Math.min(L.second.cy - L.second.h / 2, L.minute.top), y1 = Math.max(L.second.cy + L.second.h / 2, L.minute.bottom);
+  for (const cfg of cfgs) {
+    for (const P of cfg.hourShape.vertices) {
+      x0 = Math.min(x0, P.x);
+      x1 = Math.max(x1, P.x);
+      y0 = Math.min(y0, P.y);
+      y1 = Math.max(y1, P.y);
+    }
+  }
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+}
+
+// n cells in areaW x areaH -> the column count that gives the largest signatures
+// (the angle line has to fit its cell at ALMANAC_MIN_FONT or more)
+function almanacGrid(n, areaW, areaH, bounds) {
+  let best = null;
+  for (let cols = 1; cols <= n; cols++) {
+    const rows = Math.ceil(n / cols);
+    const cellW = areaW / cols, cellH = areaH / rows;
+    const font = Math.min(8, cellW / 11);   // "142.5° 28.8° 8.8°" ~ 10.2 em
+    if (font < ALMANAC_MIN_FONT && best) break;
+    const labelH = font * 2.5;
+    const scale = Math.min((cellW * 0.9) / bounds.w, ((cellH - labelH) * 0.92) / bounds.h);
+    if (scale > 0 && (!best || scale > best.scale)) best = { cols, rows, cellW, cellH, font, labelH, scale };
+  }
+  return best;
+}
+
+function almanacAngleText(angles) {
+  return `${fmtDeg(angles.h)} ${fmtDeg(angles.m)} ${fmtDeg(angles.s)}`;
+}
+
+function almanacDateText(date) {
+  return `${date.y}-${fmt2(date.mo)}-${fmt2(date.d)}`;
+}
+
+// ellipse -> closed polygon (PDF has no ellipse operator)
+function almanacEllipse(cx, cy, rx, ry, n) {
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const a = (i / n) * Math.PI * 2;
+    pts.push({ x: cx + Math.cos(a) * rx, y: cy + Math.sin(a) * ry });
+  }
+  return pts;
+}
+
+// step: "hour" | "10min"; date: { y, mo, d }; tMorph: hour shape morph time
+// -> { w, h, title, cells: [{ h, m, angles }], items: [primitive] }
+// primitives: { kind: "poly", pts, closed, stroke, width }
+//             { kind: "dot", x, y, r, fill }
+//             { kind: "text", x, y, str, size, fill, align }   (y = baseline)
+function almanacSheet(step, date, tMorph, hours24) {
+  const P = ALMANAC_PAGE;
+  const st = ALMANAC_STEPS[step];
+  const L = GEO_LAYOUT;
+  const items = [];
+  const cells = [];
+
+  const cfgs = [];
+  for (let sec = 0; sec < 86400; sec += st.seconds) {
+    const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60);
+    cfgs.push(computeConfiguration(h, m, 0, tMorph, null, { hours24 }));
+  }
+
+  const title = `THE MATH OF TIME  ${almanacDateText(date)}`;
+  items.push({ kind: "text", x: P.margin, y: P.margin + 14, str: title, size: 14, fill: [0, 0, 0], align: "left" });
+  items.push({ kind: "text", x: P.margin, y: P.margin + 30, str: tr("alm.subtitle", { step: tr(`alm.${step}`) }), size: 8, fill: [90, 90, 90], align: "left" });
+
+  const areaX = P.margin, areaY = P.margin + P.headH;
+  const areaW = P.w - P.margin * 2, areaH = P.h - P.margin * 2 - P.headH - P.footH;
+  const bounds = almanacBounds(cfgs);
+  const g = almanacGrid(cfgs.length, areaW, areaH, bounds);
+  const oval = almanacEllipse(L.second.cx, L.second.cy, L.second.w / 2, L.second.h / 2, 48);
+
+  cfgs.forEach((cfg, i) => {
+    const cx = areaX + (i % g.cols) * g.cellW;
+    const cy = areaY + Math.floor(i / g.cols) * g.cellH;
+    const sigH = g.cellH - g.labelH;
+    // DESIGN -> pt, signature centered in the upper part of the cell
+    const ox = cx + (g.cellW - bounds.w * g.scale) / 2 - bounds.x * g.scale;
+    const oy = cy + (sigH - bounds.h * g.scale) / 2 - bounds.y * g.scale;
+    const tp = Q => ({ x: ox + Q.x * g.scale, y: oy + Q.y * g.scale });
+    const mk = cfg.markers;
+    const lw = Math.max(0.25, g.scale * 1.6);
+
+    items.push({ kind: "poly", pts: [{ x: cx, y: cy }, { x: cx + g.cellW, y: cy }, { x: cx + g.cellW, y: cy + g.cellH }, { x: cx, y: cy + g.cellH }], closed: true, stroke: [228, 228, 228], width: 0.4 });
+    items.push({ kind: "poly", pts: cfg.hourShape.vertices.map(tp), closed: true, stroke: [170, 170, 170], width: lw });
+    items.push({ kind: "poly", pts: oval.map(tp), closed: true, stroke: [165, 165, 165], width: lw });
+    items.push({ kind: "poly", pts: [tp({ x: L.minute.x, y: L.minute.top }), tp({ x: L.minute.x, y: L.minute.bottom })], closed: false, stroke: [155, 155, 155], width: lw });
+    items.push({ kind: "poly", pts: [tp(mk.hour), tp(mk.second), tp(mk.minute)], closed: true, stroke: [200, 0, 0], width: lw * 1.3 });
+    for (const [which, r] of [["hour", 9], ["minute", 6.5], ["second", 4]]) {
+      const Q = tp(mk[which]);
+      items.push({ kind: "dot", x: Q.x, y: Q.y, r: Math.max(0.6, r * g.scale), fill: [10, 40, 160] });
+    }
+
+    const t = cfg.time;
+    const label = `${fmt2(t.h)}:${fmt2(t.m)}`;
+    items.push({ kind: "text", x: cx + g.cellW / 2, y: cy + sigH + g.font * 1.05, str: label, size: g.font, fill: [0, 0, 0], align: "center" });
+    items.push({ kind: "text", x: cx + g.cellW / 2, y: cy + sigH + g.font * 2.2, str: almanacAngleText(cfg.angles), size: g.font, fill: [200, 0, 0], align: "center" });
+    cells.push({ h: t.h, m: t.m, angles: cfg.angles });
+  });
+
+  const foot = tr("alm.foot", { t: fmtNum(tMorph, 1), dial: hours24 ? 24 : 12 });
+  items.push({ kind: "text", x: P.w - P.margin, y: P.h - P.margin, str: foot, size: 6, fill: [120, 120, 120], align: "right" });
+
+  return { w: P.w, h: P.h, title, cells, items };
+}
+
+// text width in pt (Courier / monospace)
+function almanacTextW(str, size) {
+  return str.length * size * ALMANAC_MONO_W;
+}
+
+// ------------------------------------------------------------
+// SVG
+// ------------------------------------------------------------
+function svgEscape(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function almanacSVG(sheet) {
+  const anchor = { left: "start", center: "middle", right: "end" };
+  const out = [];
+
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="210mm" height="297mm" viewBox="0 0 ${sheet.w} ${sheet.h}">`);
+  out.push(`  <rect x="0" y="0" width="${sheet.w}" height="${sheet.h}" fill="#fff"/>`);
+  out.push(`  <g id="almanac" font-family="Courier, monospace" stroke-linejoin="round">`);
+  for (const it of sheet.items) {
+    if (it.kind === "poly") {
+      const tag = it.closed ? "polygon" : "polyline";
+      out.push(`    <${tag} points="${svgPoints(it.pts)}" fill="none" stroke="${svgRgb(it.stroke)}" stroke-width="${svgNum(it.width)}"/>`);
+    } else if (it.kind === "dot") {
+      out.push(`    <circle cx="${svgNum(it.x)}" cy="${svgNum(it.y)}" r="${svgNum(it.r)}" fill="${svgRgb(it.fill)}"/>`);
+    } else {
+      out.push(`    <text x="${svgNum(it.x)}" y="${svgNum(it.y)}" font-size="${svgNum(it.size)}" fill="${svgRgb(it.fill)}" text-anchor="${anchor[it.align]}">${svgEscape(it.str)}</text>`);
+    }
+  }
+  out.push(`  </g>`);
+  out.push(`</svg>`);
+  return out.join("\n");
+}
+
+// ------------------------------------------------------------
+// PDF (1.4, one page, Courier from the standard 14 fonts)
+// ------------------------------------------------------------
+function pdfNum(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+// latin-1 text string; ( ) \ escaped
+function pdfString(str) {
+  return "(" + str.replace(/[\\()]/g, c => "\\" + c).replace(/[^\x20-\xff]/g, "?") + ")";
+}
+
+function almanacPDFContent(sheet) {
+  const H = sheet.h;
+  const col = c => c.map(v => pdfNum(v / 255)).join(" ");
+  const ops = [];
+
+  for (const it of sheet.items) {
+    if (it.kind === "poly") {
+      ops.push(`${col(it.stroke)} RG ${pdfNum(it.width)} w`);
+      ops.push(it.pts.map((P, i) => `${pdfNum(P.x)} ${pdfNum(H - P.y)} ${i === 0 ? "m" : "l"}`).join(" ") + (it.closed ? " s" : " S"));
+    } else if (it.kind === "dot") {
+      const pts = almanacEllipse(it.x, it.y, it.r, it.r, 12);
+      ops.push(`${col(it.fill)} rg ` + pts.map((P, i) => `${pdfNum(P.x)} ${pdfNum(H - P.y)} ${i === 0 ? "m" : "l"}`).join(" ") + " h f");
+    } else {
+      const w = almanacTextW(it.str, it.size);
+      const x = it.align === "center" ? it.x - w / 2 : (it.align === "right" ? it.x - w : it.x);
+      ops.push(`BT /F1 ${pdfNum(it.size)} Tf ${col(it.fill)} rg ${pdfNum(x)} ${pdfNum(H - it.y)} Td ${pdfString(it.str)} Tj ET`);
+    }
+  }
+  return ops.join("\n");
+}
+
+// -> Uint8Array (latin-1 bytes)
+function almanacPDF(sheet) {
+  const content = almanacPDFContent(sheet);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNum(sheet.w)} ${pdfNum(sheet.h)}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) pdf += String(off).padStart(10, "0") + " 00000 n \n";
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// ------------------------------------------------------------
+// VIEW (sketch side)
+// ------------------------------------------------------------
+function almanacBaseName(a) {
+  return `${EXPORT_PREFIX}_almanac_${almanacDateText(a.date)}_${ALMANAC_STEPS[a.step].file}`;
+}
+
+function almanacOpen(step, date, tMorph, hours24) {
+  almanac = { step, date, t: tMorph, hours24, sheet: almanacSheet(step, date, tMorph, hours24) };
+}
+
+function almanacClose() {
+  almanac = null;
+}
+
+function almanacRebuild() {
+  almanac.sheet = almanacSheet(almanac.step, almanac.date, almanac.t, almanac.hours24);
+}
+
+function almanacShiftDay(days) {
+  const d = new Date(Date.UTC(almanac.date.y, almanac.date.mo - 1, almanac.date.d) + days * 86400000);
+  almanac.date = { y: d.getUTCFullYear(), mo: d.getUTCMonth() + 1, d: d.getUTCDate() };
+  almanacRebuild();
+}
+
+function almanacSave() {
+  const base = almanacBaseName(almanac);
+  downloadText(almanacSVG(almanac.sheet), base + ".svg", "image/svg+xml");
+  downloadBlob(new Blob([almanacPDF(almanac.sheet)], { type: "application/pdf" }), base + ".pdf");
+}
+
+// sheet alone in a new window -> browser print dialog (also "save as PDF")
+function almanacPrint() {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(`<!doctype html><title>${almanacBaseName(almanac)}</title>`
+    + `<style>@page { size: A4; margin: 0; } body { margin: 0; } svg { display: block; }</style>`
+    + almanacSVG(almanac.sheet));
+  w.document.close();
+  w.focus();
+  w.print();
+  return true;
+}
+
+// keys while the almanac is shown (the clock keys are off)
+function almanacKey(k, code) {
+  if (code === ESCAPE || k === 'l' || k === 'L') {
+    almanacClose();
+  } else if (k === 's' || k === 'S') {
+    const i = ALMANAC_STEP_ORDER.indexOf(almanac.step);
+    almanac.step = ALMANAC_STEP_ORDER[(i + 1) % ALMANAC_STEP_ORDER.length];
+    almanacRebuild();
+  } else if (code === LEFT_ARROW) {
+    almanacShiftDay(-1);
+  } else if (code === RIGHT_ARROW) {
+    almanacShiftDay(1);
+  } else if (k === 'e' || k === 'E') {
+    almanacSave();
+  } else if (k === 'p' || k === 'P') {
+    almanacPrint();
+  }
+}
+
+// page fitted into the window, hint line below
+function drawAlmanac() {
+  const sheet = almanac.sheet;
+  const hintH = 28;
+  const sc = Math.min((width - 32) / sheet.w, (height - 32 - hintH) / sheet.h);
+  const x0 = (width - sheet.w * sc) / 2, y0 = 16;
+
+  push();
+  translate(x0, y0);
+  scale(sc);
+
+  noStroke();
+  fill(0, 0, 0, 20);
+  rect(3, 3, sheet.w, sheet.h);
+  fill(255);
+  rect(0, 0, sheet.w, sheet.h);
+
+  textFont("monospace");
+  const align = { left: LEFT, center: CENTER, right: RIGHT };
+  for (const it of sheet.items) {
+    if (it.kind === "poly") {
+      noFill();
+      stroke(it.stroke[0], it.stroke[1], it.stroke[2]);
+      strokeWeight(it.width);
+      beginShape();
+      for (const P of it.pts) vertex(P.x, P.y);
+      if (it.closed) endShape(CLOSE);
+      else endShape();
+    } else if (it.kind === "dot") {
+      noStroke();
+      fill(it.fill[0], it.fill[1], it.fill[2]);
+      circle(it.x, it.y, it.r * 2);
+    } else {
+      noStroke();
+      fill(it.fill[0], it.fill[1], it.fill[2]);
+      textSize(it.size);
+      textAlign(align[it.align], BASELINE);
+      text(it.str, it.x, it.y);
+    }
+  }
+  pop();
+
+  noStroke();
+  fillC(palette.fg);
+  textFont("monospace");
+  textSize(12);
+  textAlign(CENTER, CENTER);
+  text(tr("alm.hint"), width / 2, y0 + sheet.h * sc + hintH / 2 + 4);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ALMANAC_STEPS,
+    ALMANAC_PAGE,
+    almanacGrid,
+    almanacSheet,
+    almanacSVG,
+    almanacPDF,
+  };
+}
@@ -0,0 +1,100 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Triangle analytics (pure, no p5)
+//
+// triangleAnalysis(markers) -> side lengths, perimeter, area, angles,
+// classification and the classic centers of the red triangle:
+// - centroid G (medians), incenter I (angle bisectors, incircle),
+//   circumcenter O (perpendicular bisectors, circumcircle)
+// Vertices: hour (h), minute (m), second (s); sides named by their ends.
+// A toggles the readout (A once) and the drawn centers (A twice).
+// ------------------------------------------------------------
+
+const TRI_RIGHT_TOL = 0.5;      // ° from 90 that still counts as right
+const TRI_EQUI_TOL = 2.0;       // ° from 60 (all three) -> near-equilateral
+const TRI_ISO_TOL = 0.02;       // relative difference of two sides -> near-isosceles
+const TRI_DEGENERATE_AREA = 1;  // DESIGN px² (vertices on one line)
+
+const ANALYSIS_MODES = ["off", "panel", "draw"];
+let analysisMode = "off";
+
+function cycleAnalysisMode() {
+  const i = ANALYSIS_MODES.indexOf(analysisMode);
+  analysisMode = ANALYSIS_MODES[(i + 1) % ANALYSIS_MODES.length];
+}
+
+// angles: { h, m, s } in degrees; sides: { hm, ms, sh }; area
+function triangleClass(angles, sides, area) {
+  if (area < TRI_DEGENERATE_AREA) return { kind: "degenerate", shape: "degenerate" };
+
+  const maxA = Math.max(angles.h, angles.m, angles.s);
+  const kind = Math.abs(maxA - 90) <= TRI_RIGHT_TOL ? "right" : (maxA > 90 ? "obtuse" : "acute");
+
+  const equi = [angles.h, angles.m, angles.s].every(a => Math.abs(a - 60) <= TRI_EQUI_TOL);
+  const close = (a, b) => Math.abs(a - b) / Math.max(a, b) <= TRI_ISO_TOL;
+  const iso = close(sides.hm, sides.ms) || close(sides.ms, sides.sh) || close(sides.sh, sides.hm);
+
+  const shape = equi ? "near-equilateral" : (iso ? "near-isosceles" : "scalene");
+  return { kind, shape };
+}
+
+// markers: { hour, minute, second } (DESIGN coords)
+function triangleAnalysis(markers) {
+  const H = markers.hour, M = markers.minute, S = markers.second;
+
+  const sides = { hm: geoDist(H, M), ms: geoDist(M, S), sh: geoDist(S, H) };
+  const perimeter = sides.hm + sides.ms + sides.sh;
+  const cross = (M.x - H.x) * (S.y - H.y) - (M.y - H.y) * (S.x - H.x);
+  const area = Math.abs(cross) / 2;
+
+  const angles = {
+    h: angleAtPoint(H, S, M),
+    m: angleAtPoint(M, H, S),
+    s: angleAtPoint(S, H, M),
+  };
+
+  const centroid = { x: (H.x + M.x + S.x) / 3, y: (H.y + M.y + S.y) / 3 };
+
+  // incenter: vertices weighted by the opposite side
+  const a = sides.ms, b = sides.sh, c = sides.hm;
+  const incenter = perimeter > 0
+    ? { x: (a * H.x + b * M.x + c * S.x) / perimeter, y: (a * H.y + b * M.y + c * S.y) / perimeter }
+    : { ...centroid };
+  const inradius = perimeter > 0 ? (2 * area) / perimeter : 0;
+
+  // circumcenter: none for (near) collinear vertices
+  let circumcenter = null;
+  let circumradius = null;
+  if (area >= TRI_DEGENERATE_AREA) {
+    const d = 2 * cross;
+    const h2 = H.x * H.x + H.y * H.y, m2 = M.x * M.x + M.y * M.y, s2 = S.x * S.x + S.y * S.y;
+    circumcenter = {
+      x: (h2 * (M.y - S.y) + m2 * (S.y - H.y) + s2 * (H.y - M.y)) / d,
+      y: (h2 * (S.x - M.x) + m2 * (H.x - S.x) + s2 * (M.x - H.x)) / d,
+    };
+    circumradius = geoDist(circumcenter, H);
+  }
+
+  return {
+    sides,
+    perimeter,
+    area,
+    angles,
+    ...triangleClass(angles, sides, area),
+    centroid,
+    incenter,
+    inradius,
+    circumcenter,
+    circumradius,
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TRI_RIGHT_TOL,
+    TRI_EQUI_TOL,
+    TRI_ISO_TOL,
+    ANALYSIS_MODES,
+    triangleClass,
+    triangleAnalysis,
+  };
+}
@@ -0,0 +1,168 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Sound Engine (Web Audio)
+// Continuous tone from the triangle + tick on each second
+//
+// - 3 voices (h / min / sec): pitch from the angle at that point,
+//   pan from marker X, brightness (lowpass) from marker Y
+// - 2 layers per voice: sine (geo phase) + triangle (tri phase),
+//   gains follow geoAlpha / triContentAlpha -> same fades as the picture
+// - Tick: short click whenever the shown second changes
+// - Chime: falling bell tones when an alarm / countdown rings (alarms.js)
+// - Browsers only start audio after a user gesture -> audioResume()
+//   is called from keyPressed / mousePressed
+// ------------------------------------------------------------
+
+const AUDIO_VOICE_BASE_HZ = [110, 165, 220]; // h, min, sec
+const AUDIO_GEO_LEVEL = 0.05;                // per voice, sine layer
+const AUDIO_TRI_LEVEL = 0.035;               // per voice, triangle layer
+const AUDIO_TICK_LEVEL = 0.12;
+const AUDIO_CHIME_HZ = [1318.5, 1046.5, 784];  // E6 C6 G5, alarm / countdown at zero
+const AUDIO_CHIME_LEVEL = 0.2;
+const AUDIO_SMOOTH = 0.08;                   // s, setTargetAtTime constant
+
+let audioCtx = null;
+let audioMaster = null;
+let audioVoices = [];
+let audioMuted = false;
+let audioLastSecond = -1;
+
+function audioInit() {
+  if (audioCtx) return true;
+
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return false;
+
+  audioCtx = new Ctx();
+
+  audioMaster = audioCtx.createGain();
+  audioMaster.gain.value = audioMuted ? 0 : 1;
+  audioMaster.connect(audioCtx.destination);
+
+  audioVoices = AUDIO_VOICE_BASE_HZ.map(baseHz => {
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = 1200;
+    filter.Q.value = 0.7;
+
+    const pan = audioCtx.createStereoPanner();
+    filter.connect(pan);
+    pan.connect(audioMaster);
+
+    const geoGain = audioCtx.createGain();
+    const triGain = audioCtx.createGain();
+    geoGain.gain.value = 0;
+    triGain.gain.value = 0;
+    geoGain.connect(filter);
+    triGain.connect(filter);
+
+    const geoOsc = audioCtx.createOscillator();
+    geoOsc.type = "sine";
+    geoOsc.frequency.value = baseHz;
+    geoOsc.connect(geoGain);
+    geoOsc.start();
+
+    const triOsc = audioCtx.createOscillator();
+    triOsc.type = "triangle";
+    triOsc.frequency.value = baseHz;
+    triOsc.connect(triGain);
+    triOsc.start();
+
+    return { baseHz, filter, pan, geoGain, triGain, geoOsc, triOsc };
+  });
+
+  return true;
+}
+
+// must be called from a user gesture at least once
+function audioResume() {
+  if (!audioInit()) return;
+  if (audioCtx.state === "suspended") audioCtx.resume();
+}
+
+function audioIsRunning() {
+  return !!audioCtx && audioCtx.state === "running";
+}
+
+function audioToggleMute() {
+  audioMuted = !audioMuted;
+  if (!audioCtx) return;
+  audioMaster.gain.setTargetAtTime(audioMuted ? 0 : 1, audioCtx.currentTime, AUDIO_SMOOTH);
+}
+
+// angle (0..180°) -> one octave above the voice base
+function audioAngleToHz(baseHz, angDeg) {
+  return baseHz * Math.pow(2, Math.max(0, Math.min(180, angDeg)) / 180);
+}
+
+function audioTick(now, bright) {
+  const osc = audioCtx.createOscillator();
+  const env = audioCtx.createGain();
+
+  osc.type = "square";
+  osc.frequency.value = bright ? 2400 : 1800;
+
+  env.gain.setValueAtTime(0, now);
+  env.gain.linearRampToValueAtTime(AUDIO_TICK_LEVEL, now + 0.002);
+  env.gain.exponentialRampToValueAtTime(0.0001, now + 0.035);
+
+  osc.connect(env);
+  env.connect(audioMaster);
+  osc.start(now);
+  osc.stop(now + 0.04);
+}
+
+// three falling bell tones (alarms.js); silent when muted, like everything
+function audioChime(now) {
+  AUDIO_CHIME_HZ.forEach((hz, i) => {
+    const t = now + i * 0.28;
+    const osc = audioCtx.createOscillator();
+    const env = audioCtx.createGain();
+
+    osc.type = "sine";
+    osc.frequency.value = hz;
+
+    env.gain.setValueAtTime(0, t);
+    env.gain.linearRampToValueAtTime(AUDIO_CHIME_LEVEL, t + 0.005);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + 1.2);
+
+    osc.connect(env);
+    env.connect(audioMaster);
+    osc.start(t);
+    osc.stop(t + 1.25);
+  });
+}
+
+// called once per frame from draw()
+// st: { angles: [angH, angM, angS], markers: [H, M, S] (DESIGN coords),
+//       geoAlpha, triContentAlpha, second }
+function audioUpdate(st) {
+  if (!audioIsRunning()) return;
+
+  const now = audioCtx.currentTime;
+  const geoF = st.geoAlpha / 255.0;
+  const triF = st.triContentAlpha / 255.0;
+
+  for (let i = 0; i < audioVoices.length; i++) {
+    const v = audioVoices[i];
+    const hz = audioAngleToHz(v.baseHz, st.angles[i]);
+    const P = st.markers[i];
+
+    v.geoOsc.frequency.setTargetAtTime(hz, now, AUDIO_SMOOTH);
+    v.triOsc.frequency.setTargetAtTime(hz, now, AUDIO_SMOOTH);
+
+    v.geoGain.gain.setTargetAtTime(AUDIO_GEO_LEVEL * geoF, now, AUDIO_SMOOTH);
+    v.triGain.gain.setTargetAtTime(AUDIO_TRI_LEVEL * triF, now, AUDIO_SMOOTH);
+
+    const panX = Math.max(-1, Math.min(1, (P.x / DESIGN_W) * 2 - 1));
+    v.pan.pan.setTargetAtTime(panX, now, AUDIO_SMOOTH);
+
+    // higher on screen -> brighter
+    const cutoff = 300 + 3200 * (1 - Math.max(0, Math.min(1, P.y / 800)));
+    v.filter.frequency.setTargetAtTime(cutoff, now, AUDIO_SMOOTH);
+  }
+
+  if (st.second !== audioLastSecond) {
+    if (audioLastSecond !== -1) audioTick(now, triF > 0.5);
+    audioLastSecond = st.second;
+  }
+}
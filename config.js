@@ -0,0 +1,176 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — URL configuration (kiosk / gallery setups)
+//
+//   index.html?time=14:32:10&phase=tri&roulette=1&hideui=1&cycle=30&seed=7
+//
+// - time      HH:MM or HH:MM:SS -> manual time
+// - date      YYYY-MM-DD        -> manual date
+// - phase     geo | tri | auto  -> manual phase lock
+// - roulette  1                 -> start spinning
+// - hideui    1                 -> no Controls / info boxes
+// - cycle     seconds           -> length of the auto phase cycle (>= PHASE_MIN_CYCLE)
+// - phases    name:s[:ease],... -> phase durations / easing (phases.js)
+// - seed      number or word    -> seeded mode (seed.js)
+// - tz        IANA zone name    -> time zone of the live clock (timezone.js)
+// - world     1                 -> world mode (several cities)
+// - hours     12 | 24           -> hour dial (24 = AM / PM distinct)
+// - ghosts    hour | minute     -> past triangles + vertex paths (ghosts.js)
+// - analysis  panel | draw      -> triangle readout (+ centers drawn) (analytics.js)
+// - find      equilateral | right | collinear | max-area | min-area -> finder (finder.js)
+// - range     HH:MM-HH:MM       -> part of the day the finder scans
+// - almanac   hour | 10min      -> almanac sheet of the day instead of the clock (almanac.js)
+// - theme     light | dark | high-contrast | print -> palette (theme.js)
+// - motion    reduced | full    -> reduced motion on / off, overrides the system setting (motion.js)
+// - lang      en | de           -> language of the on-canvas text (i18n.js)
+// - info      url of a .json / .md file ({lang} = en | de) -> info box content (info.js)
+// - speed     1 | 60 | 600 | 3600 (negative = reverse) -> manual time plays
+// - reccycles 1..RECORD_MAX_CYCLES -> phase cycles per recording (V, record.js)
+//
+// parseUrlConfig() only validates; sketch.js applies the result in setup().
+// buildUrlQuery() is the reverse (U copies the current state as URL).
+// ------------------------------------------------------------
+
+function urlFlag(v) {
+  return v === "" || v === "1" || v === "true" || v === "on" || v === "yes";
+}
+
+// search: location.search ("?a=b&..."); invalid values are dropped
+function parseUrlConfig(search) {
+  const params = new URLSearchParams(search);
+  const cfg = {};
+
+  if (params.has("time")) {
+    const parsed = parseTimeString(params.get("time"));
+    if (parsed) cfg.time = parsed;
+  }
+
+  if (params.has("date")) {
+    const parsed = parseDateTimeString(params.get("date"));
+    if (parsed && parsed.date) cfg.date = parsed.date;
+  }
+
+  if (params.has("phase")) {
+    const phase = params.get("phase").toLowerCase();
+    if (phase === "geo" || phase === "tri" || phase === "auto") cfg.phase = phase;
+  }
+
+  if (params.has("roulette")) cfg.roulette = urlFlag(params.get("roulette"));
+  if (params.has("hideui")) cfg.hideUI = urlFlag(params.get("hideui"));
+
+  if (params.has("cycle")) {
+    const cycle = parseFloat(params.get("cycle"));
+    if (Number.isFinite(cycle)) cfg.cycle = Math.max(PHASE_MIN_CYCLE, cycle);
+  }
+
+  if (params.has("phases")) {
+    const overrides = parsePhaseOverrides(params.get("phases"));
+    if (overrides) cfg.phases = overrides;
+  }
+
+  if (params.has("seed") && params.get("seed").trim() !== "") {
+    cfg.seed = seedFromString(params.get("seed"));
+  }
+
+  if (params.has("tz") && isValidTimeZone(params.get("tz"))) cfg.tz = params.get("tz");
+  if (params.has("world")) cfg.world = urlFlag(params.get("world"));
+
+  if (params.has("speed")) {
+    const speed = parseInt(params.get("speed"), 10);
+    if ([1, 60, 600, 3600].includes(Math.abs(speed))) cfg.speed = speed;
+  }
+
+  if (params.has("ghosts")) {
+    const mode = params.get("ghosts");
+    if (mode !== "off" && GHOST_MODE_ORDER.includes(mode)) cfg.ghosts = mode;
+  }
+
+  if (params.has("analysis")) {
+    const mode = params.get("analysis");
+    if (mode !== "off" && ANALYSIS_MODES.includes(mode)) cfg.analysis = mode;
+  }
+
+  if (params.has("find")) {
+    const cond = params.get("find");
+    if (cond !== "off" && FINDER_ORDER.includes(cond)) cfg.find = cond;
+  }
+  if (params.has("range")) {
+    const range = parseFinderRange(params.get("range"));
+    if (range) cfg.range = range;
+  }
+
+  if (params.has("theme")) {
+    const name = params.get("theme");
+    if (THEMES[name]) cfg.theme = name;
+  }
+
+  if (params.has("lang")) {
+    const id = params.get("lang");
+    if (LOCALES[id]) cfg.lang = id;
+  }
+
+  if (params.get("info")) cfg.info = params.get("info");
+
+  if (params.has("motion")) {
+    const motion = params.get("motion");
+    if (motion === "reduced" || motion === "full") cfg.motion = motion;
+  }
+
+  if (params.has("almanac")) {
+    const step = params.get("almanac");
+    if (ALMANAC_STEPS[step]) cfg.almanac = step;
+  }
+
+  if (params.has("reccycles")) {
+    const n = parseInt(params.get("reccycles"), 10);
+    if (n >= 1 && n <= RECORD_MAX_CYCLES) cfg.recordCycles = n;
+  }
+
+  if (params.has("hours")) {
+    const hours = params.get("hours");
+    if (hours === "12" || hours === "24") cfg.hours24 = hours === "24";
+  }
+
+  return cfg;
+}
+
+// state: { time: {h,m,s} | null, date: {y,mo,d} | null, phase, roulette, hideUI, cycle, phases: [{ name, duration, ease }] | null, seed: number | null, tz, world, hours24, ghosts, analysis, find, range: {from,to}, almanac, theme, lang, info, motion, speed: number | null, recordCycles }
+function buildUrlQuery(state) {
+  const params = new URLSearchParams();
+
+  if (state.time) {
+    const t = state.time;
+    params.set("time", [t.h, t.m, t.s].map(n => String(n).padStart(2, "0")).join(":"));
+  }
+  if (state.date) {
+    const d = state.date;
+    params.set("date", `${d.y}-${String(d.mo).padStart(2, "0")}-${String(d.d).padStart(2, "0")}`);
+  }
+  if (state.phase && state.phase !== "auto") params.set("phase", state.phase);
+  if (state.roulette) params.set("roulette", "1");
+  if (state.hideUI) params.set("hideui", "1");
+  if (state.cycle !== undefined && state.cycle !== PHASE_DEFAULT_CYCLE) params.set("cycle", String(state.cycle));
+  if (state.phases && state.phases.length) params.set("phases", formatPhaseOverrides(state.phases));
+  if (state.seed !== null && state.seed !== undefined) params.set("seed", String(state.seed));
+  if (state.tz && state.tz !== "local") params.set("tz", state.tz);
+  if (state.world) params.set("world", "1");
+  if (state.hours24) params.set("hours", "24");
+  if (state.ghosts && state.ghosts !== "off") params.set("ghosts", state.ghosts);
+  if (state.analysis && state.analysis !== "off") params.set("analysis", state.analysis);
+  if (state.find && state.find !== "off") params.set("find", state.find);
+  if (state.almanac) params.set("almanac", state.almanac);
+  if (state.theme && state.theme !== "light") params.set("theme", state.theme);
+  if (state.lang) params.set("lang", state.lang);
+  if (state.info) params.set("info", state.info);
+  if (state.motion) params.set("motion", state.motion);
+  if (state.range && (state.range.from !== 0 || state.range.to !== 86399)) params.set("range", formatFinderRange(state.range));
+  if (state.speed !== null && state.speed !== undefined) params.set("speed", String(state.speed));
+  if (state.recordCycles > 1) params.set("reccycles", String(state.recordCycles));
+
+  // keep HH:MM:SS, Area/City, phase lists and {lang} readable
+  const q = params.toString().replace(/%3A/g, ":").replace(/%2F/g, "/").replace(/%2C/g, ",").replace(/%7B/g, "{").replace(/%7D/g, "}");
+  return q ? "?" + q : "";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { parseUrlConfig, buildUrlQuery };
+}
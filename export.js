@@ -0,0 +1,280 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Signature Export (PNG + SVG + JSON)
+//
+// E -> the frame currently shown is frozen (time + morph time) and, on
+// the next draw(), rendered once more at DESIGN_W x DESIGN_H (x density):
+// - PNG: full composition as on screen (no UI boxes)
+// - SVG: hour shape, seconds oval, minute line, markers, red triangle
+//   (+ date geometry), in the colors of the current theme
+// - JSON: coordinates + angles as shown in the Point panel / labels
+//   (+ triangle analytics, date markers / angles)
+// world mode (W): SVG + JSON hold the whole grid, one face per zone
+// ------------------------------------------------------------
+
+const EXPORT_DENSITY = 2;   // PNG = 2160 x 3840
+const EXPORT_PREFIX = "math-of-time";
+
+let exportPrevDensity = 1;
+
+function signatureBaseName(frame) {
+  const time = `${nf(frame.h, 2)}-${nf(frame.m, 2)}-${nf(Math.floor(frame.S), 2)}`;
+  if (!frame.date) return `${EXPORT_PREFIX}_${time}`;
+  const d = frame.date;
+  return `${EXPORT_PREFIX}_${d.y}-${nf(d.mo, 2)}-${nf(d.d, 2)}_${time}`;
+}
+
+function downloadText(text, filename, mime) {
+  downloadBlob(new Blob([text], { type: mime }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// canvas -> export size (called at the top of draw())
+function beginSignatureExport() {
+  exportPrevDensity = pixelDensity();
+  pixelDensity(EXPORT_DENSITY);
+  resizeCanvas(DESIGN_W, DESIGN_H, true);
+}
+
+// save files, canvas -> back to window size (called before the UI boxes)
+// world: cells of worldCells() in world mode, else null
+function endSignatureExport(frame, cfg, world) {
+  const base = signatureBaseName(frame);
+  const svg = world ? signatureWorldSVG(world) : signatureSVG(cfg);
+  const json = world ? signatureWorldJSON(frame, world) : signatureJSON(frame, cfg);
+
+  saveCanvas(base, "png");
+  downloadText(svg, base + ".svg", "image/svg+xml");
+  downloadText(JSON.stringify(json, null, 2), base + ".json", "application/json");
+
+  pixelDensity(exportPrevDensity);
+  resizeCanvas(windowWidth, windowHeight, true);
+}
+
+// ------------------------------------------------------------
+// JSON
+// ------------------------------------------------------------
+function signatureJSON(frame, cfg) {
+  return {
+    title: INFO_TITLE,
+    time: `${nf(frame.h, 2)}:${nf(frame.m, 2)}:${nf(Math.floor(frame.S), 2)}`,
+    source: frame.source,
+    seconds: frame.S,
+    dialHours: cfg.time.dialHours,
+    morphT: frame.t,
+    seed: frame.seed,
+    ...signatureFaceJSON(cfg),
+    date: cfg.date ? signatureDateJSON(cfg.date) : null,
+  };
+}
+
+// same header, then one entry per zone (no date face in world mode)
+function signatureWorldJSON(frame, cells) {
+  return {
+    title: INFO_TITLE,
+    time: `${nf(frame.h, 2)}:${nf(frame.m, 2)}:${nf(Math.floor(frame.S), 2)}`,
+    source: frame.source,
+    seconds: frame.S,
+    dialHours: cells[0].cfg.time.dialHours,
+    morphT: frame.t,
+    seed: frame.seed,
+    world: cells.map(c => ({
+      zone: c.zone,
+      offset: formatOffset(c.offset),
+      time: `${nf(c.time.h, 2)}:${nf(c.time.m, 2)}:${nf(c.time.s, 2)}`,
+      ...signatureFaceJSON(c.cfg),
+    })),
+  };
+}
+
+function signatureFaceJSON(cfg) {
+  const mk = cfg.markers;
+  const panelPt = P => ({ x: Math.floor(P.x), y: Math.floor(P.y) });
+  const label = a => Math.round(a * 10) / 10;
+
+  return {
+    // as in the Point (h)/(min)/(sec) panel and the ° labels
+    points: { h: panelPt(mk.hour), min: panelPt(mk.minute), sec: panelPt(mk.second) },
+    angles: { h: label(cfg.angles.h), min: label(cfg.angles.m), sec: label(cfg.angles.s) },
+
+    exact: {
+      points: { h: mk.hour, min: mk.minute, sec: mk.second },
+      angles: { h: cfg.angles.h, min: cfg.angles.m, sec: cfg.angles.s },
+      hourShape: { vertices: cfg.hourShape.vertices, perimeter: cfg.hourShape.perimeter },
+    },
+
+    // sides, area, class, centers (analytics.js)
+    analysis: triangleAnalysis(mk),
+  };
+}
+
+function signatureDateJSON(dc) {
+  const dm = dc.markers;
+  return {
+    date: `${dc.y}-${nf(dc.mo, 2)}-${nf(dc.d, 2)}`,
+    dayOfYear: dc.dayOfYear,
+    points: { day: dm.day, month: dm.month, year: dm.year },
+    angles: { day: dc.angles.day, month: dc.angles.month, year: dc.angles.year },
+  };
+}
+
+// ------------------------------------------------------------
+// SVG (same framing as the PNG)
+// ------------------------------------------------------------
+function svgNum(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function svgPoints(pts) {
+  return pts.map(P => svgNum(P.x) + "," + svgNum(P.y)).join(" ");
+}
+
+function signatureSVG(cfg) {
+  const mk = cfg.markers;
+  const ink = svgRgb(palette.fg);
+  const out = signatureOpenSVG();
+
+  out.push(...signatureFaceSVG(cfg, true, ""));
+
+  if (cfg.date) out.push(...signatureDateSVG(cfg.date, cfg.layout));
+
+  out.push(`  <g id="angles" fill="${ink}" font-family="monospace" font-size="10" text-anchor="middle">`);
+  out.push(`    <text x="${svgNum(mk.hour.x)}" y="${svgNum(mk.hour.y + 18)}" dominant-baseline="hanging">${cfg.angles.h.toFixed(1)}°</text>`);
+  out.push(`    <text x="${svgNum(mk.minute.x)}" y="${svgNum(mk.minute.y + 18)}" dominant-baseline="hanging">${cfg.angles.m.toFixed(1)}°</text>`);
+  out.push(`    <text x="${svgNum(mk.second.x)}" y="${svgNum(mk.second.y - 12)}">${cfg.angles.s.toFixed(1)}°</text>`);
+  out.push(`  </g>`);
+
+  out.push(`</svg>`);
+  return out.join("\n");
+}
+
+// mini faces placed as drawWorldClocks() does (sketch.js), ids prefixed per zone
+function signatureWorldSVG(cells) {
+  const out = signatureOpenSVG();
+
+  for (const c of cells) {
+    const id = c.zone.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    const cx = c.x + WORLD_CELL_W / 2, cy = c.y + (WORLD_CELL_H - 30) / 2;
+    const alpha = c.zone === timeZone ? 1 : 0.667;
+
+    out.push(`  <g id="${id}" transform="translate(${svgNum(cx)} ${svgNum(cy)}) scale(${WORLD_SCALE}) translate(${-WORLD_FACE_CX} ${-WORLD_FACE_CY})">`);
+    out.push(...signatureFaceSVG(c.cfg, false, id + "-").map(line => "  " + line));
+    out.push(`  </g>`);
+    out.push(`  <text id="${id}-label" x="${svgNum(cx)}" y="${c.y + WORLD_CELL_H - 24}" fill="${svgRgb(palette.fg)}" fill-opacity="${alpha}" font-family="monospace" font-size="11" text-anchor="middle" dominant-baseline="hanging" xml:space="preserve">${worldLabel(c)}</text>`);
+  }
+
+  out.push(`</svg>`);
+  return out.join("\n");
+}
+
+// <svg> + background, same framing as the PNG
+function signatureOpenSVG() {
+  const contentH = CONTENT_MAX_Y - CONTENT_MIN_Y;
+  const vbY = CONTENT_MIN_Y - (DESIGN_H - contentH) / 2;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${DESIGN_W}" height="${DESIGN_H}" viewBox="0 ${svgNum(vbY)} ${DESIGN_W} ${DESIGN_H}">`,
+    `  <rect x="0" y="${svgNum(vbY)}" width="${DESIGN_W}" height="${DESIGN_H}" fill="${svgRgb(palette.bg)}"/>`,
+  ];
+}
+
+// hour shape, seconds oval, minute line, markers, triangle
+// detail = false: no numbers / ticks, as the mini faces of drawClockFace()
+function signatureFaceSVG(cfg, detail, idPrefix) {
+  const L = cfg.layout;
+  const mk = cfg.markers;
+  const ink = svgRgb(palette.fg);   // colors of the current theme (theme.js)
+  const out = [];
+
+  // 1) hour shape + numbers
+  out.push(`  <g id="${idPrefix}hour-shape" fill="none" stroke="${ink}" stroke-opacity="0.333" stroke-width="1.8">`);
+  out.push(`    <polygon points="${svgPoints(cfg.hourShape.vertices)}"/>`);
+  out.push(`  </g>`);
+
+  if (detail) {
+    out.push(`  <g id="${idPrefix}hour-numbers" fill="${ink}" text-anchor="middle" dominant-baseline="central" font-family="Helvetica, Arial, sans-serif">`);
+    for (const num of cfg.hourShape.numbers) {
+      const P = hourLocalToWorld(num.pos, L.hour);
+      const style = num.active
+        ? `font-family="monospace" font-size="26"`
+        : `font-size="13" fill-opacity="0.55"`;
+      out.push(`    <text ${style} transform="translate(${svgNum(P.x)} ${svgNum(P.y)}) rotate(${L.hour.tiltDeg})">${num.value}</text>`);
+    }
+    out.push(`  </g>`);
+  }
+
+  // 2) seconds oval
+  const o = L.second;
+  out.push(`  <g id="${idPrefix}seconds-oval" fill="none" stroke="${ink}" stroke-width="1.4">`);
+  out.push(`    <ellipse cx="${o.cx}" cy="${o.cy}" rx="${o.w / 2}" ry="${o.h / 2}" stroke-opacity="0.353"/>`);
+  if (detail) {
+    for (let i = 0; i < 60; i++) {
+      const a = Math.PI * 2 * (i / 60) - Math.PI / 2;
+      const len = i % 5 === 0 ? 14 : 7;
+      const x1 = o.cx + Math.cos(a) * (o.w / 2 - len), y1 = o.cy + Math.sin(a) * (o.h / 2 - len);
+      const x2 = o.cx + Math.cos(a) * (o.w / 2), y2 = o.cy + Math.sin(a) * (o.h / 2);
+      out.push(`    <line x1="${svgNum(x1)}" y1="${svgNum(y1)}" x2="${svgNum(x2)}" y2="${svgNum(y2)}" stroke-opacity="0.275"/>`);
+    }
+  }
+  out.push(`  </g>`);
+
+  // 3) minute line
+  const ml = L.minute;
+  out.push(`  <g id="${idPrefix}minute-line" stroke="${ink}" stroke-width="1.4">`);
+  out.push(`    <line x1="${ml.x}" y1="${ml.top}" x2="${ml.x}" y2="${ml.bottom}" stroke-opacity="0.392"/>`);
+  if (detail) {
+    for (let i = 0; i < 60; i++) {
+      const y = ml.top + (i / 59) * (ml.bottom - ml.top);
+      const len = i % 5 === 0 ? 14 : 7;
+      out.push(`    <line x1="${ml.x - len}" y1="${svgNum(y)}" x2="${ml.x}" y2="${svgNum(y)}" stroke-opacity="0.275"/>`);
+    }
+  }
+  out.push(`  </g>`);
+
+  // markers
+  out.push(`  <g id="${idPrefix}markers" fill="${svgRgb(palette.marker)}">`);
+  out.push(`    <circle cx="${svgNum(mk.hour.x)}" cy="${svgNum(mk.hour.y)}" r="9"/>`);
+  out.push(`    <circle cx="${svgNum(mk.minute.x)}" cy="${svgNum(mk.minute.y)}" r="6.5"/>`);
+  out.push(`    <circle cx="${svgNum(mk.second.x)}" cy="${svgNum(mk.second.y)}" r="4"/>`);
+  out.push(`  </g>`);
+
+  // 4) red triangle
+  out.push(`  <g id="${idPrefix}triangle" fill="none" stroke="${svgRgb(palette.triangle)}" stroke-opacity="0.298" stroke-width="1.8">`);
+  out.push(`    <polygon points="${svgPoints([mk.hour, mk.second, mk.minute])}"/>`);
+  out.push(`  </g>`);
+
+  return out;
+}
+
+// day-of-month oval, day-of-year shape, month line, date triangle
+function signatureDateSVG(dc, L) {
+  const dm = dc.markers;
+  const ink = svgRgb(palette.fg);
+  const out = [];
+
+  out.push(`  <g id="date" fill="none" stroke="${ink}" stroke-width="1.2">`);
+  out.push(`    <ellipse cx="${L.day.cx}" cy="${L.day.cy}" rx="${L.day.w / 2}" ry="${L.day.h / 2}" stroke-opacity="0.353"/>`);
+  out.push(`    <polygon points="${svgPoints(dc.yearShape.vertices)}" stroke-opacity="0.333" stroke-width="1.4"/>`);
+  out.push(`    <line x1="${L.month.left}" y1="${L.month.y}" x2="${L.month.right}" y2="${L.month.y}" stroke-opacity="0.392"/>`);
+  out.push(`  </g>`);
+
+  out.push(`  <g id="date-markers" fill="${svgRgb(palette.marker)}">`);
+  out.push(`    <circle cx="${svgNum(dm.day.x)}" cy="${svgNum(dm.day.y)}" r="4"/>`);
+  out.push(`    <circle cx="${svgNum(dm.month.x)}" cy="${svgNum(dm.month.y)}" r="5"/>`);
+  out.push(`    <circle cx="${svgNum(dm.year.x)}" cy="${svgNum(dm.year.y)}" r="6"/>`);
+  out.push(`  </g>`);
+
+  out.push(`  <g id="date-triangle" fill="none" stroke="${svgRgb(palette.triangle)}" stroke-opacity="0.176" stroke-width="1.2">`);
+  out.push(`    <polygon points="${svgPoints([dm.day, dm.month, dm.year])}"/>`);
+  out.push(`  </g>`);
+
+  return out;
+}
@@ -0,0 +1,173 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Finder for notable moments (F, N, ?find=&range=)
+//
+// Scans every second of a range (default: the whole day) through
+// computeConfiguration() + triangleAnalysis(), exactly as draw() would
+// show it, and lists the moments that meet a condition:
+// - equilateral: all angles within 2° of 60
+// - right:       an angle within 0.5° of 90
+// - collinear:   an angle below 1° (triangle collapses to a line)
+// - max-area / min-area: the single largest / smallest triangle
+// Consecutive matching seconds count as one hit (its best second).
+// The hour shape morphs, so the scan freezes it: while the finder is on,
+// draw() holds the shape at the scanned morph time (finderMorph()).
+// The scan runs in slices for at most FINDER_BUDGET_MS per frame (a full day
+// takes a few seconds), hits show on the timeline.
+// ------------------------------------------------------------
+
+const FINDER_CONDITIONS = {
+  equilateral: {
+    score: an => Math.max(...[an.angles.h, an.angles.m, an.angles.s].map(a => Math.abs(a - 60))),
+    limit: 2.0,
+  },
+  right: {
+    score: an => Math.min(...[an.angles.h, an.angles.m, an.angles.s].map(a => Math.abs(a - 90))),
+    limit: 0.5,
+  },
+  collinear: {
+    score: an => Math.min(an.angles.h, an.angles.m, an.angles.s),
+    limit: 1.0,
+  },
+  "max-area": { score: an => -an.area, extreme: true },
+  "min-area": { score: an => an.area, extreme: true },
+};
+const FINDER_ORDER = ["off", "equilateral", "right", "collinear", "max-area", "min-area"];
+const FINDER_SLICE = 30;       // s of clock time between budget checks
+const FINDER_BUDGET_MS = 8;    // scan time per frame, keeps the sketch drawing
+
+let finder = null;                          // scanner while a condition is on
+let finderRange = { from: 0, to: 86399 };   // seconds of the day, ?range=
+let finderIndex = -1;                       // last jumped-to hit
+
+// -> scanner state; fromSec..toSec inclusive (seconds of the day)
+function finderScanner(cond, fromSec, toSec, tMorph, hours24) {
+  return { cond, from: fromSec, to: toSec, next: fromSec, tMorph, hours24, run: null, hits: [], done: false };
+}
+
+function finderHit(sec, score) {
+  return { sec, h: Math.floor(sec / 3600), m: Math.floor((sec % 3600) / 60), s: sec % 60, score };
+}
+
+// scans up to maxSeconds more; closes the last run when the range ends
+function finderAdvance(sc, maxSeconds) {
+  const c = FINDER_CONDITIONS[sc.cond];
+  const end = Math.min(sc.to, sc.next + maxSeconds - 1);
+
+  for (let sec = sc.next; sec <= end; sec++) {
+    const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60), s = sec % 60;
+    const cfg = computeConfiguration(h, m, s, sc.tMorph, null, { hours24: sc.hours24 });
+    const score = c.score(triangleAnalysis(cfg.markers));
+
+    if (c.extreme) {
+      if (!sc.run || score < sc.run.score) sc.run = finderHit(sec, score);
+    } else if (score <= c.limit) {
+      if (!sc.run || score < sc.run.score) sc.run = finderHit(sec, score);
+    } else if (sc.run) {
+      sc.hits.push(sc.run);
+      sc.run = null;
+    }
+  }
+
+  sc.next = end + 1;
+  if (sc.next > sc.to) {
+    if (sc.run) sc.hits.push(sc.run);
+    sc.run = null;
+    sc.done = true;
+  }
+  return sc;
+}
+
+// whole range at once (tests, small ranges)
+function scanMoments(cond, fromSec, toSec, tMorph, hours24) {
+  const sc = finderScanner(cond, fromSec, toSec, tMorph, hours24);
+  while (!sc.done) finderAdvance(sc, Infinity);
+  return sc.hits;
+}
+
+// "06:00-18:30" -> { from, to } or null
+function parseFinderRange(str) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?-(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(str).trim());
+  if (!m) return null;
+  const sec = (h, mi, s) => parseInt(h, 10) * 3600 + parseInt(mi, 10) * 60 + parseInt(s || "0", 10);
+  const from = sec(m[1], m[2], m[3]), to = sec(m[4], m[5], m[6]);
+  if (to > 86399 || from > to || parseInt(m[2], 10) > 59 || parseInt(m[5], 10) > 59) return null;
+  return { from, to };
+}
+
+function formatFinderRange(r) {
+  const hm = sec => `${fmt2(Math.floor(sec / 3600))}:${fmt2(Math.floor((sec % 3600) / 60))}`;
+  return `${hm(r.from)}-${hm(r.to)}`;
+}
+
+// ------------------------------------------------------------
+// STATE (sketch side)
+// ------------------------------------------------------------
+function finderCondition() {
+  return finder ? finder.cond : "off";
+}
+
+// cond "off" stops the finder (and releases the held hour shape)
+function finderStart(cond, tMorph) {
+  finderIndex = -1;
+  finder = cond === "off" ? null : finderScanner(cond, finderRange.from, finderRange.to, tMorph, hours24);
+}
+
+function cycleFinderCondition(tMorph) {
+  const i = FINDER_ORDER.indexOf(finderCondition());
+  finderStart(FINDER_ORDER[(i + 1) % FINDER_ORDER.length], tMorph);
+}
+
+// draw(): scan on until the frame's time budget is spent
+function finderTick() {
+  if (!finder || finder.done) return;
+  const until = performance.now() + FINDER_BUDGET_MS;
+  do finderAdvance(finder, FINDER_SLICE);
+  while (!finder.done && performance.now() < until);
+}
+
+// morph time the hour shape is held at (null = free)
+function finderMorph() {
+  return finder ? finder.tMorph : null;
+}
+
+function finderHits() {
+  return finder && finder.done ? finder.hits : [];
+}
+
+function finderJump(i) {
+  const hits = finderHits();
+  if (i < 0 || i >= hits.length) return;
+  finderIndex = i;
+  rouletteStop();
+  setManualTime(hits[i].h, hits[i].m, hits[i].s);
+  playPaused = true;
+}
+
+function finderNext() {
+  const n = finderHits().length;
+  if (n > 0) finderJump((finderIndex + 1) % n);
+}
+
+function finderStatus() {
+  if (!finder) return tr("val.off");
+  const label = tr(`find.${finder.cond}`);
+  if (!finder.done) {
+    const f = (finder.next - finder.from) / (finder.to - finder.from + 1);
+    return `${label}  ${tr("find.scanning", { pct: Math.floor(f * 100) })}`;
+  }
+  const n = finder.hits.length;
+  const pos = finderIndex >= 0 ? `${finderIndex + 1}/${n}` : (n === 1 ? tr("find.hit") : tr("find.hits", { n }));
+  return `${label}  ${pos}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FINDER_CONDITIONS,
+    FINDER_ORDER,
+    finderScanner,
+    finderAdvance,
+    scanMoments,
+    parseFinderRange,
+    formatFinderRange,
+  };
+}
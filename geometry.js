@@ -0,0 +1,396 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Time -> Geometry core (pure, no p5)
+//
+// computeConfiguration(h, m, s, tSeconds, date) returns everything draw()
+// needs as plain data: hour-shape vertices + perimeter, hour numbers,
+// hour / minute / second markers, triangle angles.
+// With a date ({ y, mo, d }) also the date geometry: day-of-month oval,
+// month line, day-of-year shape and their own (date) triangle.
+//
+// - h, m: integers (h 0..23), s: seconds incl. fraction (0..<60)
+// - tSeconds: morph time of the hour shape (draw() passes millis()/1000)
+// - opts: { hours24 } (24-hour dial, see below)
+// - all coords in DESIGN space; hour shape also in its local space
+//   (centered, untilted) because draw() renders it with translate/rotate
+//
+// The inverse (DESIGN point -> time) is used to drag the markers.
+//
+// Works as a plain <script> (globals) and as a CommonJS module (Node).
+// ------------------------------------------------------------
+
+const GEO_LAYOUT = {
+  hour:   { cx: 450, cy: 620, tiltDeg: -8, size: 180 },
+  minute: { x: 735, top: 140, bottom: 740 },
+  second: { cx: 620, cy: 420, w: 260, h: 520 },
+
+  // date geometry (right strip + bottom)
+  day:    { cx: 890, cy: 260, w: 120, h: 200 },
+  year:   { cx: 890, cy: 620, tiltDeg: 8, size: 80 },
+  month:  { y: 960, left: 520, right: 960 },
+};
+
+function daysInMonth(y, m) {
+  const dm = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  const leap = (y % 4 === 0 && y % 100 !== 0) || (y % 400 === 0);
+  if (leap) dm[1] = 29;
+  return dm[m - 1];
+}
+
+function daysInYear(y) {
+  return daysInMonth(y, 2) === 29 ? 366 : 365;
+}
+
+// 1..365/366
+function dayOfYear(y, mo, d) {
+  let n = d;
+  for (let i = 1; i < mo; i++) n += daysInMonth(y, i);
+  return n;
+}
+
+function geoLerp(a, b, f) {
+  return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+}
+
+function geoDist(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// angle (degrees) at P between PA and PB; 0 if a side is degenerate
+function angleAtPoint(P, A, B) {
+  const v1x = A.x - P.x, v1y = A.y - P.y;
+  const v2x = B.x - P.x, v2y = B.y - P.y;
+  const l1 = Math.hypot(v1x, v1y);
+  const l2 = Math.hypot(v2x, v2y);
+  if (l1 === 0 || l2 === 0) return 0;
+
+  const dot = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / (l1 * l2)));
+  return Math.acos(dot) * 180 / Math.PI;
+}
+
+// morph factors 0..1 of the hour shape
+function hourShapeMorph(tSeconds) {
+  return {
+    triF:  (Math.sin(tSeconds * 0.5) + 1) * 0.5,
+    kiteF: (Math.sin(tSeconds * 0.8 + Math.PI / 3) + 1) * 0.5,
+    rectF: (Math.sin(tSeconds * 0.6 + Math.PI / 5) + 1) * 0.5,
+  };
+}
+
+// 4 vertices in local space (square -> rect -> kite -> triangle)
+function hourShapeVertices(morph, sizeBase) {
+  const pts = [
+    { x: -sizeBase, y: -sizeBase },
+    { x:  sizeBase, y: -sizeBase },
+    { x:  sizeBase, y:  sizeBase },
+    { x: -sizeBase, y:  sizeBase },
+  ];
+
+  for (let i = 0; i < 4; i++) {
+    if (i % 2 === 0) pts[i].x *= 1.0 + morph.rectF * 0.3;
+    else pts[i].y *= 1.0 + morph.rectF * 0.2;
+  }
+
+  pts[0].x -= morph.kiteF * 50;
+  pts[2].x += morph.kiteF * 50;
+  pts[1].y -= morph.kiteF * 30;
+  pts[3].y += morph.kiteF * 30;
+
+  const midTop = geoLerp(pts[0], pts[1], 0.5);
+  pts[0] = geoLerp(pts[0], midTop, morph.triF * 0.9);
+  pts[1] = geoLerp(pts[1], midTop, morph.triF * 0.9);
+
+  return pts;
+}
+
+function polygonPerimeter(pts) {
+  let perim = 0;
+  for (let i = 0; i < pts.length; i++) {
+    perim += geoDist(pts[i], pts[(i + 1) % pts.length]);
+  }
+  return perim;
+}
+
+// walk the closed outline from pts[0] and return the point at arc length len
+function pointOnPerimeter(pts, len) {
+  let lenSoFar = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const d = geoDist(a, b);
+    if (len <= lenSoFar + d) {
+      return geoLerp(a, b, (len - lenSoFar) / d);
+    }
+    lenSoFar += d;
+  }
+  // len == full perimeter (or float overshoot) -> back at the start
+  return { x: pts[0].x, y: pts[0].y };
+}
+
+// 12 (or 24) labels evenly spaced along the outline (label 12 / 24 sits on pts[0])
+// H: hour on that dial incl. fraction (0..steps)
+function hourNumbers(pts, perim, H, steps = 12) {
+  const step = perim / steps;
+  const out = [];
+
+  let traveled = 0;
+  let currentIndex = 0;
+  let edgeStart = pts[0];
+  let edgeEnd = pts[1];
+  let edgeLen = geoDist(edgeStart, edgeEnd);
+
+  for (let i = 0; i < steps; i++) {
+    const target = i * step;
+
+    while (target > traveled + edgeLen) {
+      traveled += edgeLen;
+      currentIndex = (currentIndex + 1) % 4;
+      edgeStart = pts[currentIndex];
+      edgeEnd = pts[(currentIndex + 1) % 4];
+      edgeLen = geoDist(edgeStart, edgeEnd);
+    }
+
+    // circular distance on the dial, so 12 is also active for H < 0.5
+    const value = i === 0 ? steps : i;
+    const d = Math.abs((H % steps) - (value % steps));
+    out.push({
+      value,
+      pos: geoLerp(edgeStart, edgeEnd, (target - traveled) / edgeLen),
+      active: Math.min(d, steps - d) < 0.5,
+    });
+  }
+
+  return out;
+}
+
+// local shape space (hour / year shape) -> DESIGN space
+function hourLocalToWorld(P, layout) {
+  const tilt = layout.tiltDeg * Math.PI / 180;
+  return {
+    x: layout.cx + Math.cos(tilt) * P.x - Math.sin(tilt) * P.y,
+    y: layout.cy + Math.sin(tilt) * P.x + Math.cos(tilt) * P.y,
+  };
+}
+
+// year shape: fixed square, walked like the hour shape (one lap per year)
+function yearShapeVertices(sizeBase) {
+  return [
+    { x: -sizeBase, y: -sizeBase },
+    { x:  sizeBase, y: -sizeBase },
+    { x:  sizeBase, y:  sizeBase },
+    { x: -sizeBase, y:  sizeBase },
+  ];
+}
+
+// date: { y, mo, d }; H24: hour of day incl. fraction (markers glide over the day)
+function computeDateConfiguration(date, H24) {
+  const L = GEO_LAYOUT;
+  const { y, mo, d } = date;
+
+  const dim = daysInMonth(y, mo);
+  const diy = daysInYear(y);
+  const doy = dayOfYear(y, mo, d);
+  const dayF = H24 / 24;
+
+  // day of month: oval, day 1 at the top (like the seconds oval)
+  const aD = ((d - 1 + dayF) / dim) * Math.PI * 2 - Math.PI / 2;
+  const day = {
+    x: L.day.cx + Math.cos(aD) * (L.day.w * 0.5),
+    y: L.day.cy + Math.sin(aD) * (L.day.h * 0.5),
+  };
+
+  // month: horizontal line, 12 steps (like the minute line)
+  const month = {
+    x: L.month.left + ((mo - 1 + (d - 1 + dayF) / dim) / 12) * (L.month.right - L.month.left),
+    y: L.month.y,
+  };
+
+  // day of year: perimeter walk (like the hour shape), labels at each 1st
+  const local = yearShapeVertices(L.year.size);
+  const perimeter = polygonPerimeter(local);
+  const yearLocal = pointOnPerimeter(local, ((doy - 1 + dayF) / diy) * perimeter);
+  const monthStarts = [];
+  for (let i = 1; i <= 12; i++) {
+    const pos = pointOnPerimeter(local, ((dayOfYear(y, i, 1) - 1) / diy) * perimeter);
+    monthStarts.push({ value: i, pos, active: i === mo });
+  }
+  const year = hourLocalToWorld(yearLocal, L.year);
+
+  return {
+    y, mo, d,
+    daysInMonth: dim,
+    daysInYear: diy,
+    dayOfYear: doy,
+    yearShape: {
+      cx: L.year.cx,
+      cy: L.year.cy,
+      tiltDeg: L.year.tiltDeg,
+      local,
+      vertices: local.map(P => hourLocalToWorld(P, L.year)),
+      perimeter,
+      monthStarts,
+    },
+    markers: { day, month, yearLocal, year },
+    angles: {
+      day: angleAtPoint(day, month, year),
+      month: angleAtPoint(month, day, year),
+      year: angleAtPoint(year, day, month),
+    },
+  };
+}
+
+// opts.hours24: one lap of the hour shape per day (24 labels) instead of 12 h
+function computeConfiguration(h, m, s, tSeconds, date, opts = {}) {
+  const L = GEO_LAYOUT;
+
+  const S = s;
+  const M = m + S / 60.0;
+  const H12 = (h % 12) + M / 60.0;
+  const dialHours = opts.hours24 ? 24 : 12;
+  const Hdial = (h % dialHours) + M / 60.0;
+
+  // 1) hour shape
+  const morph = hourShapeMorph(tSeconds);
+  const local = hourShapeVertices(morph, L.hour.size);
+  const perimeter = polygonPerimeter(local);
+  const hourLocal = pointOnPerimeter(local, ((Hdial % dialHours) / dialHours) * perimeter);
+  const numbers = hourNumbers(local, perimeter, Hdial, dialHours);
+
+  // 2) seconds oval
+  const aS = (S / 60) * Math.PI * 2 - Math.PI / 2;
+  const second = {
+    x: L.second.cx + Math.cos(aS) * (L.second.w * 0.5),
+    y: L.second.cy + Math.sin(aS) * (L.second.h * 0.5),
+  };
+
+  // 3) minute line
+  const minute = {
+    x: L.minute.x,
+    y: L.minute.top + ((M % 60.0) / 60) * (L.minute.bottom - L.minute.top),
+  };
+
+  // 4) triangle
+  const hourPt = hourLocalToWorld(hourLocal, L.hour);
+
+  // 5) date (optional)
+  const dateCfg = date ? computeDateConfiguration(date, h + M / 60.0) : null;
+
+  return {
+    time: { h, m, s, S, M, H12, dialHours },
+    date: dateCfg,
+    t: tSeconds,
+    layout: L,
+    hourShape: {
+      cx: L.hour.cx,
+      cy: L.hour.cy,
+      tiltDeg: L.hour.tiltDeg,
+      morph,
+      local,
+      vertices: local.map(P => hourLocalToWorld(P, L.hour)),
+      perimeter,
+      numbers,
+    },
+    markers: {
+      hourLocal,
+      hour: hourPt,
+      minute,
+      second,
+    },
+    angles: {
+      h: angleAtPoint(hourPt, second, minute),
+      m: angleAtPoint(minute, hourPt, second),
+      s: angleAtPoint(second, hourPt, minute),
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// INVERSE (pointer dragging): DESIGN point -> time on that element
+// ------------------------------------------------------------
+
+// DESIGN space -> local shape space (inverse of hourLocalToWorld)
+function hourWorldToLocal(P, layout) {
+  const tilt = layout.tiltDeg * Math.PI / 180;
+  const dx = P.x - layout.cx, dy = P.y - layout.cy;
+  return {
+    x: Math.cos(tilt) * dx + Math.sin(tilt) * dy,
+    y: -Math.sin(tilt) * dx + Math.cos(tilt) * dy,
+  };
+}
+
+// arc length (from pts[0]) of the outline point closest to P
+function perimeterPosition(pts, P) {
+  let best = Infinity, bestLen = 0, lenSoFar = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const d = geoDist(a, b);
+    const f = d > 0 ? Math.max(0, Math.min(1, ((P.x - a.x) * (b.x - a.x) + (P.y - a.y) * (b.y - a.y)) / (d * d))) : 0;
+    const dist = geoDist(P, geoLerp(a, b, f));
+    if (dist < best) {
+      best = dist;
+      bestLen = lenSoFar + f * d;
+    }
+    lenSoFar += d;
+  }
+  return bestLen;
+}
+
+// minutes (0..<60) along the minute line
+function minuteAtPoint(P, layout = GEO_LAYOUT) {
+  const L = layout.minute;
+  const f = Math.max(0, Math.min(1, (P.y - L.top) / (L.bottom - L.top)));
+  return Math.min(f * 60, 60 - 1e-9);
+}
+
+// seconds (0..<60) around the oval, 0 at the top, clockwise
+function secondAtPoint(P, layout = GEO_LAYOUT) {
+  const o = layout.second;
+  const a = Math.atan2((P.y - o.cy) / (o.h / 2), (P.x - o.cx) / (o.w / 2)) + Math.PI / 2;
+  const S = (a / (Math.PI * 2)) * 60;
+  return ((S % 60) + 60) % 60;
+}
+
+// hours on the dial (0..<dialHours) along the hour shape of cfg
+function hourAtPoint(P, cfg) {
+  const hs = cfg.hourShape;
+  const local = hourWorldToLocal(P, cfg.layout.hour);
+  const H = (perimeterPosition(hs.local, local) / hs.perimeter) * cfg.time.dialHours;
+  return H % cfg.time.dialHours;
+}
+
+// dragged marker -> new { h, m, s } (the other hands stay)
+// which: "hour" | "minute" | "second"; h: current hour 0..23 (keeps AM / PM on a 12 h dial)
+function dragMarkerTime(which, P, cfg, h, m, s) {
+  if (which === "second") return { h, m, s: Math.floor(secondAtPoint(P, cfg.layout)) };
+  if (which === "minute") return { h, m: Math.floor(minuteAtPoint(P, cfg.layout)), s };
+
+  // hour marker also carries the minutes (like a real hour hand)
+  const H = hourAtPoint(P, cfg);
+  const dial = cfg.time.dialHours;
+  const hh = Math.floor(H) + (dial === 12 && h >= 12 ? 12 : 0);
+  return { h: hh, m: Math.min(59, Math.floor((H - Math.floor(H)) * 60)), s };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GEO_LAYOUT,
+    daysInMonth,
+    daysInYear,
+    dayOfYear,
+    angleAtPoint,
+    hourShapeMorph,
+    hourShapeVertices,
+    polygonPerimeter,
+    pointOnPerimeter,
+    hourNumbers,
+    hourLocalToWorld,
+    computeDateConfiguration,
+    computeConfiguration,
+    hourWorldToLocal,
+    perimeterPosition,
+    minuteAtPoint,
+    secondAtPoint,
+    hourAtPoint,
+    dragMarkerTime,
+  };
+}
@@ -0,0 +1,98 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Ghost triangles + vertex paths (G, ?ghosts=)
+//
+// Past moments are not stored, they are recomputed: the triangle of
+// "now - k * step" comes from computeConfiguration() like the live one,
+// so ghosts follow manual time, playback and scrubbing as well.
+// All ghosts ride on the hour shape as it is morphed right now.
+// - hour:   60 ghosts, one per minute over the last hour
+// - minute: 60 ghosts, one per second over the last minute
+// Paths: hour / minute vertex over the whole span, second vertex over
+// its last lap at most (one minute).
+// ------------------------------------------------------------
+
+const GHOST_MODES = {
+  hour: { count: 60, step: 60 },
+  minute: { count: 60, step: 1 },
+};
+const GHOST_MODE_ORDER = ["off", "hour", "minute"];
+const GHOST_PATH_SAMPLES = 120;
+
+let ghostMode = "off";
+
+function cycleGhostMode() {
+  const i = GHOST_MODE_ORDER.indexOf(ghostMode);
+  ghostMode = GHOST_MODE_ORDER[(i + 1) % GHOST_MODE_ORDER.length];
+}
+
+// h:m:S minus back seconds (wraps over midnight) -> { h, m, S }
+function ghostMoment(h, m, S, back) {
+  const sod = (((h * 3600 + m * 60 + S - back) % 86400) + 86400) % 86400;
+  const hh = Math.floor(sod / 3600);
+  const mm = Math.floor((sod - hh * 3600) / 60);
+  return { h: hh, m: mm, S: sod - hh * 3600 - mm * 60 };
+}
+
+// -> [{ markers, age }] oldest first; age 1 = oldest, towards 0 = now
+function ghostTriangles(h, m, S, tMorph, hours24, mode) {
+  const g = GHOST_MODES[mode];
+  if (!g) return [];
+
+  const out = [];
+  for (let k = g.count; k >= 1; k--) {
+    const t = ghostMoment(h, m, S, k * g.step);
+    const cfg = computeConfiguration(t.h, t.m, t.S, tMorph, null, { hours24 });
+    out.push({ markers: cfg.markers, age: k / g.count });
+  }
+  return out;
+}
+
+// -> { hour: [P], minute: [P], second: [P] } oldest point first, ends at now
+function vertexPaths(h, m, S, tMorph, hours24, mode) {
+  const g = GHOST_MODES[mode];
+  const paths = { hour: [], minute: [], second: [] };
+  if (!g) return paths;
+
+  const span = g.count * g.step;
+  const spans = { hour: span, minute: span, second: Math.min(span, 60) };
+
+  for (const which of ["hour", "minute", "second"]) {
+    for (let i = 0; i <= GHOST_PATH_SAMPLES; i++) {
+      const back = spans[which] * (1 - i / GHOST_PATH_SAMPLES);
+      const t = ghostMoment(h, m, S, back);
+      paths[which].push(computeConfiguration(t.h, t.m, t.S, tMorph, null, { hours24 }).markers[which]);
+    }
+  }
+  return paths;
+}
+
+// DESIGN coords, behind the live clock face
+function drawGhosts(h, m, S, tMorph, hours24) {
+  if (ghostMode === "off") return;
+
+  // vertex paths (marker blue)
+  noFill();
+  strokeWeight(1.2);
+  const paths = vertexPaths(h, m, S, tMorph, hours24, ghostMode);
+  for (const which of ["hour", "minute", "second"]) {
+    const pts = paths[which];
+    for (let i = 1; i < pts.length; i++) {
+      strokeC(palette.marker, inkA(90 * (i / pts.length)));
+      line(pts[i - 1].x, pts[i - 1].y, pts[i].x, pts[i].y);
+    }
+  }
+
+  // ghost outlines (triangle red), fading with age
+  strokeWeight(1);
+  for (const g of ghostTriangles(h, m, S, tMorph, hours24, ghostMode)) {
+    const mk = g.markers;
+    strokeC(palette.triangle, inkA(60 * (1 - g.age) + 6));
+    line(mk.hour.x, mk.hour.y, mk.second.x, mk.second.y);
+    line(mk.second.x, mk.second.y, mk.minute.x, mk.minute.y);
+    line(mk.minute.x, mk.minute.y, mk.hour.x, mk.hour.y);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GHOST_MODES, GHOST_MODE_ORDER, ghostMoment, ghostTriangles, vertexPaths };
+}
@@ -0,0 +1,455 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Languages (I, ?lang=en|de)
+//
+// tr(key, vars) looks a string up in the table of the current locale
+// (English is the fallback for missing keys), {name} is replaced by vars.name.
+// Numbers (angles, sides) and dates (day text) go through Intl with the
+// locale's tag: 41.2° / 41,2°, "Fri, 14 Mar 2025" / "Fr., 14. März 2025".
+// Key letters stay in the code (they are the keys), only the words change.
+// Start: page config / ?lang= / browser language, else English.
+// ------------------------------------------------------------
+
+const LOCALES = {
+  en: {
+    tag: "en-GB",
+    name: "English",
+
+    "tab.controls": "Controls",
+    "tab.info": "Info",
+    "ui.controls": "Controls",
+
+    "status.time": "Time",
+    "status.zone": "Zone",
+    "status.playback": "Playback",
+    "status.timer": "Timer",
+    "status.alarms": "Alarms",
+    "status.dial": "Dial",
+    "status.find": "Find",
+    "status.ghosts": "Ghosts",
+    "status.phase": "Phase",
+    "status.roulette": "Roulette",
+    "status.seed": "Seed",
+    "status.sound": "Sound",
+    "status.theme": "Theme",
+    "status.motion": "Motion",
+    "status.lang": "Language",
+
+    "val.live": "LIVE",
+    "val.manual": "MANUAL",
+    "val.world": "WORLD",
+    "val.off": "OFF",
+    "val.on": "ON",
+    "val.brake": "BRAKE",
+    "val.auto": "AUTO",
+    "val.muted": "MUTED",
+    "val.pressKey": "press any key",
+    "val.reduced": "REDUCED",
+    "val.full": "FULL",
+    "val.system": "(system)",
+    "val.paused": "PAUSED",
+    "val.countdown": "COUNTDOWN {t}",
+    "val.stopwatch": "STOPWATCH {t}",
+    "val.alarms": "{n} · next {next}",
+    "val.daily": "every day",
+
+    "ghost.hour": "LAST HOUR",
+    "ghost.minute": "LAST MINUTE",
+
+    "theme.light": "LIGHT",
+    "theme.dark": "DARK",
+    "theme.high-contrast": "HIGH CONTRAST",
+    "theme.print": "PRINT",
+
+    "find.equilateral": "all angles 60° ±2°",
+    "find.right": "an angle 90° ±0.5°",
+    "find.collinear": "an angle < 1° (collinear)",
+    "find.max-area": "largest area",
+    "find.min-area": "smallest area",
+    "find.scanning": "scanning {pct}%",
+    "find.hits": "{n} hits",
+    "find.hit": "1 hit",
+
+    "help.type": "type time (15:30, 3:15 pm, now+2h, -90s, noon, ISO)",
+    "help.typeKeys": "Enter apply, Esc cancel, ↑/↓ history",
+    "help.alarm": "alarm (7:30 standup, 3:15 pm, now+25m tea)",
+    "help.alarmRemove": "remove next alarm",
+    "help.countdown": "countdown (25m, 1h30m, 10:00) / pause",
+    "help.stopwatch": "stopwatch / pause   (R ends both)",
+    "help.roulette": "toggle roulette (slow brake)",
+    "help.reset": "reset to live",
+    "help.play": "play / pause",
+    "help.reverse": "reverse",
+    "help.speed": "speed (1x 60x 600x 3600x)",
+    "help.scrub": "scrub   (up/down fast)",
+    "help.scrubDrag": "or drag the timeline",
+    "help.drag": "Drag a marker to set the time",
+    "help.tap": "Tap a command, pinch to zoom",
+    "help.phase": "auto/manual phase",
+    "help.geo": "geo",
+    "help.tri": "triangle",
+    "help.auto": "auto",
+    "help.mute": "mute / unmute sound",
+    "help.export": "export signature (PNG/SVG/JSON)",
+    "help.record1": "record cycle (PNG sequence .zip)",
+    "help.recordN": "record {n} cycles (PNG sequence .zip)",
+    "help.recordFailed": "recording failed, a frame could not be stored",
+    "help.seed": "seeded mode on (new seed) / off",
+    "help.analysis": "analysis: off / readout / + centers",
+    "help.find": "find: 60° / 90° / collinear / max / min area",
+    "help.next": "next hit (or click it on the timeline)",
+    "help.ghosts": "ghosts: off / last hour / last minute",
+    "help.almanac": "almanac sheet of the day (SVG / PDF / print)",
+    "help.dial": "12 / 24 hour dial",
+    "help.theme": "theme: light / dark / high contrast / print",
+    "help.motion": "reduced motion (no flashes, calm digits)",
+    "help.lang": "language: English / Deutsch",
+    "help.zone": "next time zone",
+    "help.world": "world mode (several cities)",
+    "help.url": "copy state as URL",
+    "help.urlCopied": "URL copied",
+    "input.label.time": "INPUT:",
+    "input.label.alarm": "ALARM:",
+    "input.label.countdown": "COUNTDOWN:",
+    "prompt.time": "Time (15:30, 3:15 pm, now+2h, -90s, noon, 2025-03-14T15:30Z)",
+    "prompt.alarm": "Alarm (7:30 standup, 3:15 pm review, now+25m tea, 2025-03-14 9:00 demo)",
+    "prompt.countdown": "Countdown (25m, 1h30m, 90s, 10:00)",
+
+    "input.hint": "e.g. 15:30 · 3:15 pm · now+2h · -90s · noon · 2025-03-14T15:30Z",
+    "input.history": "↑/↓ earlier inputs ({n})",
+    "input.err.hour12": "12-hour time: hour {v} is not 1-12",
+    "input.err.hour": "hour {v} is not 0-23",
+    "input.err.minute": "minute {v} is not 0-59",
+    "input.err.second": "second {v} is not 0-59",
+    "input.err.sign": "offset needs + or - (e.g. +2h)",
+    "input.err.amount": "offset needs a number (e.g. +2h)",
+    "input.err.unit": "unknown unit \"{u}\" (d, h, m, s)",
+    "input.err.noUnit": "offset needs a unit (d, h, m, s)",
+    "input.err.month": "month {v} is not 1-12",
+    "input.err.day": "day {v}: that month has {n} days",
+    "input.err.iso": "ISO time not understood",
+    "input.err.format": "not a time (15:30, 3:15 pm, now+2h, -90s, noon, ISO)",
+
+    "alarm.hint": "e.g. 7:30 standup · 3:15 pm review · now+25m tea · 2025-03-14 9:00 demo",
+    "alarm.err.format": "starts with a time (7:30 standup, now+25m tea)",
+    "alarm.err.past": "that time has passed",
+    "alarm.err.max": "at most {n} alarms (J removes the next)",
+    "timer.hint": "e.g. 25m · 1h30m · 90s · 10:00",
+    "timer.err.zero": "a countdown needs more than 0 s",
+    "timer.err.max": "at most 23:59:59",
+    "ring.alarm": "ALARM {what}",
+    "ring.countdown": "TIME'S UP · {t}",
+    "ring.dismiss": "any key or tap to stop",
+    "prompt.url": "Copy URL:",
+
+    "canvas.calculating": "calculating time…",
+    "canvas.day": "{date} · day {d} of {n}",
+    "point.h": "Point (h)",
+    "point.min": "Point (min)",
+    "point.sec": "Point (sec)",
+
+    "an.sides": "Sides",
+    "an.perimeter": "Perim.",
+    "an.area": "Area",
+    "an.centroid": "Centroid",
+    "an.incenter": "Incenter",
+    "an.circumcenter": "Circumc.",
+    "an.acute": "acute",
+    "an.right": "right",
+    "an.obtuse": "obtuse",
+    "an.degenerate": "degenerate",
+    "an.near-equilateral": "near-equilateral",
+    "an.near-isosceles": "near-isosceles",
+    "an.scalene": "scalene",
+
+    "alm.hour": "every hour",
+    "alm.10min": "every 10 minutes",
+    "alm.subtitle": "Almanac · {step} · angles at hour / minute / second",
+    "alm.foot": "hour shape at t = {t} s · {dial} h dial",
+    "alm.hint": "ALMANAC   L/Esc close   S 1 h / 10 min   ←/→ day   E save SVG + PDF   P print",
+
+    "a11y.ring": "{text}. Press any key to stop.",
+    "a11y.summary": "Time {time}. Phase: {phase}. Roulette: {roulette}. Angles: hour {h}, minute {m}, second {s}.",
+    "a11y.phaseManual": "{phase} (manual)",
+    "a11y.phase.geo": "geometry",
+    "a11y.phase.geo-in": "geometry fading in",
+    "a11y.phase.geo-out": "geometry fading out",
+    "a11y.phase.tri": "triangle",
+    "a11y.phase.tri-out": "triangle fading out",
+    "a11y.roulette.off": "off",
+    "a11y.roulette.spin": "spinning",
+    "a11y.roulette.brake": "braking",
+    "a11y.canvas": "The Math of Time: the current time drawn as a triangle between three markers",
+    "a11y.status": "Status",
+    "a11y.controls": "Controls",
+    "a11y.about": "About",
+
+    // built-in info box text (**bold**, ==highlight==), venues bring their own (info.js)
+    "info.paras": [
+      "MATH OF TIME is an alternative clock system that visualizes the hidden mathematics behind everyday time perception.",
+      "Instead of showing fixed numbers, it translates real time into shifting geometry, movement, rhythm, and sound. **Each moment generates its own geometric configuration**, with a constantly transforming triangle forming a unique signature of the present.",
+      "Programmed in Processing and expanded through an audiovisual composition, the work explores how time—though mathematical and measurable—becomes deeply personal through perception, attention, and experience.",
+    ],
+    "info.meta": [
+      { k: "YEAR", v: "2025" },
+      { k: "SUPERVISION", v: "PROF. NINA JURIC" },
+      { k: "PROGRAMM", v: "PROCESSING" },
+    ],
+  },
+
+  de: {
+    tag: "de-DE",
+    name: "Deutsch",
+
+    "tab.controls": "Steuerung",
+    "tab.info": "Info",
+    "ui.controls": "Steuerung",
+
+    "status.time": "Zeit",
+    "status.zone": "Zone",
+    "status.playback": "Wiedergabe",
+    "status.timer": "Timer",
+    "status.alarms": "Wecker",
+    "status.dial": "Zifferblatt",
+    "status.find": "Suche",
+    "status.ghosts": "Spuren",
+    "status.phase": "Phase",
+    "status.roulette": "Roulette",
+    "status.seed": "Seed",
+    "status.sound": "Ton",
+    "status.theme": "Farben",
+    "status.motion": "Bewegung",
+    "status.lang": "Sprache",
+
+    "val.live": "LIVE",
+    "val.manual": "MANUELL",
+    "val.world": "WELT",
+    "val.off": "AUS",
+    "val.on": "AN",
+    "val.brake": "BREMST",
+    "val.auto": "AUTO",
+    "val.muted": "STUMM",
+    "val.pressKey": "beliebige Taste drücken",
+    "val.reduced": "REDUZIERT",
+    "val.full": "VOLL",
+    "val.system": "(System)",
+    "val.paused": "PAUSE",
+    "val.countdown": "COUNTDOWN {t}",
+    "val.stopwatch": "STOPPUHR {t}",
+    "val.alarms": "{n} · nächster {next}",
+    "val.daily": "täglich",
+
+    "ghost.hour": "LETZTE STUNDE",
+    "ghost.minute": "LETZTE MINUTE",
+
+    "theme.light": "HELL",
+    "theme.dark": "DUNKEL",
+    "theme.high-contrast": "HOHER KONTRAST",
+    "theme.print": "DRUCK",
+
+    "find.equilateral": "alle Winkel 60° ±2°",
+    "find.right": "ein Winkel 90° ±0,5°",
+    "find.collinear": "ein Winkel < 1° (kollinear)",
+    "find.max-area": "größte Fläche",
+    "find.min-area": "kleinste Fläche",
+    "find.scanning": "suche {pct} %",
+    "find.hits": "{n} Treffer",
+    "find.hit": "1 Treffer",
+
+    "help.type": "Zeit eingeben (15:30, 3:15 pm, jetzt+2h, -90s, mittag, ISO)",
+    "help.typeKeys": "Enter übernehmen, Esc abbrechen, ↑/↓ Verlauf",
+    "help.alarm": "Wecker (7:30 Standup, 3:15 pm, jetzt+25m Tee)",
+    "help.alarmRemove": "nächsten Wecker löschen",
+    "help.countdown": "Countdown (25m, 1h30m, 10:00) / Pause",
+    "help.stopwatch": "Stoppuhr / Pause   (R beendet beide)",
+    "help.roulette": "Roulette an / aus (bremst langsam ab)",
+    "help.reset": "zurück zur Live-Zeit",
+    "help.play": "abspielen / anhalten",
+    "help.reverse": "rückwärts",
+    "help.speed": "Tempo (1x 60x 600x 3600x)",
+    "help.scrub": "spulen   (hoch/runter schnell)",
+    "help.scrubDrag": "oder die Zeitleiste ziehen",
+    "help.drag": "Einen Marker ziehen stellt die Zeit",
+    "help.tap": "Befehl antippen, mit zwei Fingern zoomen",
+    "help.phase": "Phase automatisch / manuell",
+    "help.geo": "Geometrie",
+    "help.tri": "Dreieck",
+    "help.auto": "automatisch",
+    "help.mute": "Ton aus / an",
+    "help.export": "Signatur exportieren (PNG/SVG/JSON)",
+    "help.record1": "Zyklus aufnehmen (PNG-Sequenz .zip)",
+    "help.recordN": "{n} Zyklen aufnehmen (PNG-Sequenz .zip)",
+    "help.recordFailed": "Aufnahme fehlgeschlagen, ein Bild konnte nicht gespeichert werden",
+    "help.seed": "Seed-Modus an (neuer Seed) / aus",
+    "help.analysis": "Analyse: aus / Werte / + Mittelpunkte",
+    "help.find": "Suche: 60° / 90° / kollinear / größte / kleinste Fläche",
+    "help.next": "nächster Treffer (oder auf der Zeitleiste anklicken)",
+    "help.ghosts": "Spuren: aus / letzte Stunde / letzte Minute",
+    "help.almanac": "Almanach-Blatt des Tages (SVG / PDF / Druck)",
+    "help.dial": "12- / 24-Stunden-Zifferblatt",
+    "help.theme": "Farben: hell / dunkel / hoher Kontrast / Druck",
+    "help.motion": "weniger Bewegung (kein Flackern, ruhige Ziffern)",
+    "help.lang": "Sprache: English / Deutsch",
+    "help.zone": "nächste Zeitzone",
+    "help.world": "Weltmodus (mehrere Städte)",
+    "help.url": "Zustand als URL kopieren",
+    "help.urlCopied": "URL kopiert",
+    "input.label.time": "EINGABE:",
+    "input.label.alarm": "WECKER:",
+    "input.label.countdown": "COUNTDOWN:",
+    "prompt.time": "Zeit (15:30, 3:15 pm, jetzt+2h, -90s, mittag, 2025-03-14T15:30Z)",
+    "prompt.alarm": "Wecker (7:30 Standup, 3:15 pm Review, jetzt+25m Tee, 2025-03-14 9:00 Demo)",
+    "prompt.countdown": "Countdown (25m, 1h30m, 90s, 10:00)",
+
+    "input.hint": "z. B. 15:30 · 3:15 pm · jetzt+2h · -90s · mittag · 2025-03-14T15:30Z",
+    "input.history": "↑/↓ frühere Eingaben ({n})",
+    "input.err.hour12": "12-Stunden-Zeit: Stunde {v} ist nicht 1-12",
+    "input.err.hour": "Stunde {v} ist nicht 0-23",
+    "input.err.minute": "Minute {v} ist nicht 0-59",
+    "input.err.second": "Sekunde {v} ist nicht 0-59",
+    "input.err.sign": "Versatz braucht + oder - (z. B. +2h)",
+    "input.err.amount": "Versatz braucht eine Zahl (z. B. +2h)",
+    "input.err.unit": "unbekannte Einheit „{u}“ (d, h, m, s)",
+    "input.err.noUnit": "Versatz braucht eine Einheit (d, h, m, s)",
+    "input.err.month": "Monat {v} ist nicht 1-12",
+    "input.err.day": "Tag {v}: der Monat hat {n} Tage",
+    "input.err.iso": "ISO-Zeit nicht verstanden",
+    "input.err.format": "keine Zeit (15:30, 3:15 pm, jetzt+2h, -90s, mittag, ISO)",
+
+    "alarm.hint": "z. B. 7:30 Standup · 3:15 pm Review · jetzt+25m Tee · 2025-03-14 9:00 Demo",
+    "alarm.err.format": "beginnt mit einer Zeit (7:30 Standup, jetzt+25m Tee)",
+    "alarm.err.past": "diese Zeit ist vorbei",
+    "alarm.err.max": "höchstens {n} Wecker (J löscht den nächsten)",
+    "timer.hint": "z. B. 25m · 1h30m · 90s · 10:00",
+    "timer.err.zero": "ein Countdown braucht mehr als 0 s",
+    "timer.err.max": "höchstens 23:59:59",
+    "ring.alarm": "WECKER {what}",
+    "ring.countdown": "ZEIT IST UM · {t}",
+    "ring.dismiss": "beliebige Taste oder Tippen beendet",
+    "prompt.url": "URL kopieren:",
+
+    "canvas.calculating": "berechne Zeit…",
+    "canvas.day": "{date} · Tag {d} von {n}",
+    "point.h": "Punkt (h)",
+    "point.min": "Punkt (min)",
+    "point.sec": "Punkt (s)",
+
+    "an.sides": "Seiten",
+    "an.perimeter": "Umfang",
+    "an.area": "Fläche",
+    "an.centroid": "Schwerpunkt",
+    "an.incenter": "Inkreis-M.",
+    "an.circumcenter": "Umkreis-M.",
+    "an.acute": "spitzwinklig",
+    "an.right": "rechtwinklig",
+    "an.obtuse": "stumpfwinklig",
+    "an.degenerate": "entartet",
+    "an.near-equilateral": "fast gleichseitig",
+    "an.near-isosceles": "fast gleichschenklig",
+    "an.scalene": "ungleichseitig",
+
+    "alm.hour": "jede Stunde",
+    "alm.10min": "alle 10 Minuten",
+    "alm.subtitle": "Almanach · {step} · Winkel an Stunde / Minute / Sekunde",
+    "alm.foot": "Stundenform bei t = {t} s · {dial}-h-Zifferblatt",
+    "alm.hint": "ALMANACH   L/Esc schließen   S 1 h / 10 min   ←/→ Tag   E SVG + PDF speichern   P drucken",
+
+    "a11y.ring": "{text}. Beliebige Taste beendet.",
+    "a11y.summary": "Zeit {time}. Phase: {phase}. Roulette: {roulette}. Winkel: Stunde {h}, Minute {m}, Sekunde {s}.",
+    "a11y.phaseManual": "{phase} (manuell)",
+    "a11y.phase.geo": "Geometrie",
+    "a11y.phase.geo-in": "Geometrie blendet ein",
+    "a11y.phase.geo-out": "Geometrie blendet aus",
+    "a11y.phase.tri": "Dreieck",
+    "a11y.phase.tri-out": "Dreieck blendet aus",
+    "a11y.roulette.off": "aus",
+    "a11y.roulette.spin": "dreht",
+    "a11y.roulette.brake": "bremst",
+    "a11y.canvas": "The Math of Time: die aktuelle Zeit als Dreieck zwischen drei Markern",
+    "a11y.status": "Status",
+    "a11y.controls": "Steuerung",
+    "a11y.about": "Über das Projekt",
+
+    "info.paras": [
+      "MATH OF TIME ist ein alternatives Uhrensystem, das die verborgene Mathematik hinter unserer alltäglichen Zeitwahrnehmung sichtbar macht.",
+      "Statt fester Zahlen übersetzt es die reale Zeit in sich wandelnde Geometrie, Bewegung, Rhythmus und Klang. **Jeder Moment erzeugt seine eigene geometrische Konfiguration**, ein sich ständig verwandelndes Dreieck bildet die einzigartige Signatur der Gegenwart.",
+      "In Processing programmiert und um eine audiovisuelle Komposition erweitert, untersucht die Arbeit, wie Zeit – obwohl mathematisch und messbar – durch Wahrnehmung, Aufmerksamkeit und Erfahrung zutiefst persönlich wird.",
+    ],
+    "info.meta": [
+      { k: "JAHR", v: "2025" },
+      { k: "BETREUUNG", v: "PROF. NINA JURIC" },
+      { k: "PROGRAMM", v: "PROCESSING" },
+    ],
+  },
+};
+const LOCALE_ORDER = ["en", "de"];
+
+let locale = "en";
+let localeOverride = false;     // true once I / ?lang= chose (goes into the U url)
+const i18nNumberFormats = {};   // "de|1" -> Intl.NumberFormat
+const i18nDateFormats = {};     // "de" -> Intl.DateTimeFormat
+
+function setLocale(id) {
+  if (!LOCALES[id]) return false;
+  locale = id;
+  return true;
+}
+
+function cycleLocale() {
+  const i = LOCALE_ORDER.indexOf(locale);
+  localeOverride = true;
+  setLocale(LOCALE_ORDER[(i + 1) % LOCALE_ORDER.length]);
+}
+
+// setup(): browser language (page config and ?lang= come after it)
+function localeInit(nav) {
+  const id = nav ? matchLocale(nav.languages || nav.language) : null;
+  if (id) setLocale(id);
+}
+
+// "de-AT" / ["fr", "de"] (navigator.languages) -> first supported locale or null
+function matchLocale(langs) {
+  for (const lang of [].concat(langs || [])) {
+    const id = String(lang).toLowerCase().split("-")[0];
+    if (LOCALES[id]) return id;
+  }
+  return null;
+}
+
+function tr(key, vars) {
+  let s = LOCALES[locale][key];
+  if (s === undefined) s = LOCALES.en[key];
+  if (s === undefined) return key;
+  if (typeof s !== "string" || !vars) return s;
+  return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : String(vars[k])));
+}
+
+// 41.2 / 41,2 (digits after the separator, no grouping)
+function fmtNum(v, digits) {
+  const id = `${locale}|${digits}`;
+  if (!i18nNumberFormats[id]) {
+    i18nNumberFormats[id] = new Intl.NumberFormat(LOCALES[locale].tag, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+      useGrouping: false,
+    });
+  }
+  return i18nNumberFormats[id].format(v);
+}
+
+function fmtDeg(v) {
+  return fmtNum(v, 1) + "°";
+}
+
+// { y, mo, d } -> "Fri, 14 Mar 2025" / "Fr., 14. März 2025"
+function fmtDate(date) {
+  if (!i18nDateFormats[locale]) {
+    i18nDateFormats[locale] = new Intl.DateTimeFormat(LOCALES[locale].tag, {
+      weekday: "short", day: "numeric", month: "short", year: "numeric", timeZone: "UTC",
+    });
+  }
+  return i18nDateFormats[locale].format(new Date(Date.UTC(date.y, date.mo - 1, date.d)));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { LOCALES, LOCALE_ORDER, setLocale, cycleLocale, matchLocale, localeInit, tr, fmtNum, fmtDeg, fmtDate };
+}
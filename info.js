@@ -0,0 +1,217 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Info box content (?info=, page config `info`)
+//
+// Venues bring their own wording and credits as a file:
+//
+//   Markdown (.md)                         JSON (.json)
+//   # MATH OF TIME                         { "title": "MATH OF TIME",
+//   First paragraph, **bold**,               "paragraphs": ["First ...", "..."],
+//   ==highlighted==.                         "meta": { "YEAR": "2025", ... } }
+//
+//   Second paragraph.                      meta may also be [{ "k": ..., "v": ... }];
+//                                          { "en": {...}, "de": {...} } = per language
+//   - YEAR: 2025
+//   - SUPERVISION: PROF. NINA JURIC
+//
+// Paragraphs are separated by blank lines, any number of them; "- KEY: value"
+// lines are meta rows. "{lang}" in the url loads one file per language
+// (info.{lang}.md -> info.de.md). Without a file (or while it loads, or when
+// it fails) the box shows the built-in text of i18n.js (info.*).
+// Content: { title, paras: [[{ text, bold, mark }]], meta: [{ k, v }] }
+// ------------------------------------------------------------
+
+const INFO_TITLE = "MATH OF TIME";
+
+let infoSource = null;       // url (template) of the venue file
+let infoCustom = {};         // locale | "*" -> content, "loading" or "failed"
+let infoBuiltInCache = {};   // locale -> content of the built-in text
+let infoPage = 0;            // page of the info box when the text doesn't fit
+let gInfoPager = null;       // { x, y, w, h, pages } pager line, filled by drawInfoBox()
+
+// ------------------------------------------------------------
+// PARSING (pure)
+// ------------------------------------------------------------
+
+// "a **b** ==c==" -> [{ text, bold, mark }] (markers without a partner stay text)
+function parseInfoSpans(str) {
+  const spans = [];
+  const re = /\*\*(.+?)\*\*|==(.+?)==/g;
+  let at = 0;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    if (m.index > at) spans.push({ text: str.slice(at, m.index), bold: false, mark: false });
+    spans.push(m[1] !== undefined ? { text: m[1], bold: true, mark: false } : { text: m[2], bold: true, mark: true });
+    at = re.lastIndex;
+  }
+  if (at < str.length) spans.push({ text: str.slice(at), bold: false, mark: false });
+  return spans;
+}
+
+function parseInfoMarkdown(src) {
+  const out = { title: INFO_TITLE, paras: [], meta: [] };
+  let para = [];
+  const flush = () => {
+    if (para.length) out.paras.push(parseInfoSpans(para.join(" ")));
+    para = [];
+  };
+
+  for (const raw of String(src).split(/\r?\n/)) {
+    const line = raw.trim();
+    const head = /^#{1,6}\s+(.*)$/.exec(line);
+    const row = /^[-*]\s+([^:]+):\s*(.*)$/.exec(line);
+    if (!line) flush();
+    else if (head && !out.paras.length && !para.length) out.title = head[1];
+    else if (row) {
+      flush();
+      out.meta.push({ k: row[1].trim(), v: row[2].trim() });
+    } else para.push(line);
+  }
+  flush();
+  return out;
+}
+
+// null when the shape is wrong (paragraphs not a list, meta neither list nor
+// object); null / empty entries are skipped
+function parseInfoJson(obj) {
+  const isObj = v => !!v && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(obj)) return null;
+  if (obj.paragraphs !== undefined && !Array.isArray(obj.paragraphs)) return null;
+  if (obj.meta !== undefined && !Array.isArray(obj.meta) && !isObj(obj.meta)) return null;
+
+  const text = v => (v === null || v === undefined ? "" : String(v));
+  const meta = Array.isArray(obj.meta)
+    ? obj.meta.filter(r => isObj(r) && r.k !== undefined).map(r => ({ k: String(r.k), v: text(r.v) }))
+    : Object.entries(obj.meta || {}).map(([k, v]) => ({ k, v: text(v) }));
+  return {
+    title: obj.title ? String(obj.title) : INFO_TITLE,
+    paras: (obj.paragraphs || []).filter(p => p !== null && p !== undefined).map(p => parseInfoSpans(String(p))),
+    meta,
+  };
+}
+
+// file text -> { locale | "*": content } or null when it doesn't parse
+function parseInfoFile(url, text) {
+  if (/\.json$/i.test(url.split("?")[0]) || /^\s*\{/.test(text)) {
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    return infoFromObject(obj);
+  }
+  return { "*": parseInfoMarkdown(text) };
+}
+
+// { title, paragraphs, meta } or { en: {...}, de: {...} } (also page config);
+// null when nothing usable is in it (-> built-in text)
+function infoFromObject(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  if (obj.paragraphs || obj.title || obj.meta) {
+    const one = parseInfoJson(obj);
+    return one ? { "*": one } : null;
+  }
+  const out = {};
+  for (const id in obj) {
+    if (!LOCALES[id]) continue;
+    const content = typeof obj[id] === "string" ? parseInfoMarkdown(obj[id]) : parseInfoJson(obj[id]);
+    if (content) out[id] = content;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// lines (see infoBoxLines() in sketch.js) -> pages of at most perPage lines,
+// no page starts with an empty line
+function infoPages(lines, perPage) {
+  const pages = [];
+  let page = [];
+  for (const l of lines) {
+    if (!page.length && !l.runs.length && pages.length) continue;
+    page.push(l);
+    if (page.length >= perPage) {
+      pages.push(page);
+      page = [];
+    }
+  }
+  if (page.length || !pages.length) pages.push(page);
+  return pages;
+}
+
+// ------------------------------------------------------------
+// LOADING
+// ------------------------------------------------------------
+function infoFileUrl(locId) {
+  return infoSource.replace(/\{lang\}/g, locId);
+}
+
+function infoLoad(locId) {
+  const key = /\{lang\}/.test(infoSource) ? locId : "*";
+  if (infoCustom[key]) return;
+  infoCustom[key] = "loading";
+
+  const url = infoFileUrl(locId);
+  fetch(url)
+    .then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.text();
+    })
+    .then(text => {
+      const parsed = parseInfoFile(url, text);
+      if (!parsed) throw new Error("not valid JSON");
+      if (key === "*") infoCustom = parsed;   // one file: single content or all languages
+      else infoCustom[key] = parsed[locId] || parsed["*"] || "failed";
+      infoPage = 0;
+    })
+    .catch(() => {
+      infoCustom[key] = "failed";
+    });
+}
+
+// url (string) or inline content (object), from ?info= / page config
+function setInfoSource(src) {
+  infoCustom = {};
+  infoPage = 0;
+  if (typeof src === "string") {
+    infoSource = src;
+    infoLoad(locale);
+  } else {
+    infoSource = null;
+    infoCustom = infoFromObject(src) || {};
+  }
+}
+
+// built-in text of the current language (i18n.js)
+function infoBuiltIn() {
+  if (!infoBuiltInCache[locale]) {
+    infoBuiltInCache[locale] = { title: INFO_TITLE, paras: tr("info.paras").map(parseInfoSpans), meta: tr("info.meta") };
+  }
+  return infoBuiltInCache[locale];
+}
+
+// content to show now
+function infoContent() {
+  if (infoSource && /\{lang\}/.test(infoSource) && !infoCustom[locale]) infoLoad(locale);
+  for (const key of [locale, "*", ...LOCALE_ORDER]) {
+    if (typeof infoCustom[key] === "object") return infoCustom[key];
+  }
+  return infoBuiltIn();
+}
+
+// ------------------------------------------------------------
+// PAGER (tap the left / right half of the "◂ 1 / 3 ▸" line)
+// ------------------------------------------------------------
+function infoPagerAt(mx, my) {
+  const r = gInfoPager;
+  if (!r || mx < r.x || mx > r.x + r.w || my < r.y || my > r.y + r.h) return 0;
+  return mx < r.x + r.w / 2 ? -1 : 1;
+}
+
+// wraps around
+function infoTurnPage(dir) {
+  if (!gInfoPager) return;
+  infoPage = (infoPage + dir + gInfoPager.pages) % gInfoPager.pages;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { INFO_TITLE, parseInfoSpans, parseInfoMarkdown, parseInfoJson, parseInfoFile, infoPages };
+}
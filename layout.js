@@ -0,0 +1,97 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — UI layout of the Controls / Info boxes (screen space)
+//
+// The content keeps its symmetric-margin scaling; the boxes go where
+// there is room:
+// - "side":   beside the grid (Info left, Controls right), as on desktop
+// - "stack":  full width, Info above the content, Controls below it
+// - "drawer": two tabs at the top edge; a tap opens one box as a panel
+// computeUiLayout() is pure (no p5), sketch.js measures and draws.
+// ------------------------------------------------------------
+
+const UI_SIDE_MIN_W = 240;   // narrower than this beside the grid -> no side boxes
+const UI_EDGE = 12;          // px kept free along the screen edges
+const UI_PAD = 18;           // box padding
+const UI_LINE_H = 16;
+const UI_TAB_H = 28;
+
+let uiDrawer = null;         // "controls" | "info" | null (open drawer)
+let gUiLayout = null;        // last computeUiLayout() result (taps)
+
+// W, H: screen; f: screen bounds of the drawing
+//   { gridX0, gridX1, gridY0, infoBottomY, contentY0, contentY1, bottomReserve }
+// need: { controlsW (wanted width beside the grid), controlsH / infoH (heights at full width),
+//         controlsHAt(w) (height at width w, side boxes wrap narrower) }
+// open: uiDrawer
+function computeUiLayout(W, H, f, need, open) {
+  const left = f.gridX0 - UI_EDGE;
+  const right = W - f.gridX1 - UI_EDGE;
+
+  // side: Controls moves up from the grid top when it is too long; longer
+  // than the screen -> stacked / drawers
+  const sideW = Math.min(need.controlsW, left, right);
+  const sideH = need.controlsHAt(sideW);
+  const sideBottom = H - f.bottomReserve - UI_EDGE;
+  if (Math.min(left, right) >= UI_SIDE_MIN_W && UI_EDGE + sideH <= sideBottom) {
+    return {
+      mode: "side",
+      controls: { x: f.gridX1, y: Math.min(f.gridY0, sideBottom - sideH), w: sideW, h: null },   // h: as many lines as it has
+      info: { x: f.gridX0 - sideW, y: f.gridY0, w: sideW, h: Math.max(140, f.infoBottomY - f.gridY0) },
+      tabs: [],
+    };
+  }
+
+  const w = W - UI_EDGE * 2;
+  const above = f.contentY0 - UI_EDGE * 2;
+  const below = H - f.contentY1 - f.bottomReserve - UI_EDGE * 2;
+
+  if (need.infoH <= above && need.controlsH <= below) {
+    return {
+      mode: "stack",
+      info: { x: UI_EDGE, y: f.contentY0 - UI_EDGE - need.infoH, w, h: need.infoH },
+      controls: { x: UI_EDGE, y: f.contentY1 + UI_EDGE, w, h: need.controlsH },
+      tabs: [],
+    };
+  }
+
+  // drawers: tabs at the top (the timeline owns the bottom edge)
+  const tabW = (w - UI_EDGE) / 2;
+  const tabs = [
+    { id: "controls", x: UI_EDGE, y: UI_EDGE, w: tabW, h: UI_TAB_H },
+    { id: "info", x: UI_EDGE * 2 + tabW, y: UI_EDGE, w: tabW, h: UI_TAB_H },
+  ];
+
+  const panelY = UI_EDGE * 2 + UI_TAB_H;
+  const maxH = H - panelY - f.bottomReserve - UI_EDGE;
+  const panel = h => ({ x: UI_EDGE, y: panelY, w, h: Math.max(UI_LINE_H * 3, Math.min(h, maxH)), solid: true });
+
+  return {
+    mode: "drawer",
+    controls: open === "controls" ? panel(need.controlsH) : null,
+    info: open === "info" ? panel(need.infoH) : null,
+    tabs: tabs.map(t => ({ ...t, open: t.id === open })),
+  };
+}
+
+function uiRectHit(r, mx, my) {
+  return !!r && mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + (r.h || 0);
+}
+
+function uiTabAt(mx, my) {
+  if (!gUiLayout) return null;
+  return gUiLayout.tabs.find(t => uiRectHit(t, mx, my)) || null;
+}
+
+// inside an open drawer panel (taps there must not reach the markers)
+function uiPanelAt(mx, my) {
+  if (!gUiLayout || gUiLayout.mode !== "drawer") return false;
+  return uiRectHit(gUiLayout.controls, mx, my) || uiRectHit(gUiLayout.info, mx, my);
+}
+
+function uiToggleDrawer(id) {
+  uiDrawer = uiDrawer === id ? null : id;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { UI_SIDE_MIN_W, UI_EDGE, UI_PAD, UI_LINE_H, UI_TAB_H, computeUiLayout };
+}
@@ -0,0 +1,69 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Reduced motion (X, ?motion=, prefers-reduced-motion)
+//
+// Follows the system setting until X or ?motion= decides. When on:
+// - no negative: the triangle phase gets a gentle tint instead of the
+//   full-frame inversion (no bright / dark swap)
+// - ASCII digits change every MOTION_ASCII_HOLD s, not every frame
+// - "calculating time…" blinks slowly and only between 150 and 255 alpha
+// - the hour shape stops morphing (held where it was when motion went off)
+// ------------------------------------------------------------
+
+const MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+const MOTION_TINT_A = 28;          // max alpha of the triangle-color tint
+const MOTION_ASCII_HOLD = 4;       // s between new ASCII digits
+const MOTION_BLINK_RATE = 1.5;     // rad/s (full motion: 9)
+const MOTION_DIGIT_SEED = 7919;    // digits without seeded mode
+
+let reducedMotion = false;
+let motionOverride = false;   // true once X / ?motion= chose, the system setting is ignored
+let motionMorphT = 0;         // hour shape morph time held while reduced
+
+function setReducedMotion(on, tMorph) {
+  if (on && !reducedMotion) motionMorphT = tMorph;
+  reducedMotion = on;
+}
+
+// setup(): system preference (and its later changes, until overridden)
+function motionInit(win, tMorph) {
+  if (!win.matchMedia) return;
+  const mq = win.matchMedia(MOTION_QUERY);
+  if (!motionOverride) setReducedMotion(mq.matches, tMorph);
+  if (mq.addEventListener) {
+    mq.addEventListener("change", e => {
+      if (!motionOverride) setReducedMotion(e.matches, millis() * 0.001);
+    });
+  }
+}
+
+function toggleReducedMotion(tMorph) {
+  motionOverride = true;
+  setReducedMotion(!reducedMotion, tMorph);
+}
+
+// held morph time (null = free)
+function motionMorph() {
+  return reducedMotion ? motionMorphT : null;
+}
+
+// ASCII cell digit while reduced: same digits for MOTION_ASCII_HOLD seconds
+function motionDigit(seed, t, block, cell) {
+  return seededDigit(seed === null ? MOTION_DIGIT_SEED : seed, 0, 0, Math.floor(t / MOTION_ASCII_HOLD), block, cell);
+}
+
+// alpha of the "calculating time…" blink at animation time t
+function motionBlinkAlpha(t) {
+  if (!reducedMotion) return 60 + ((Math.sin(t * 9.0) + 1) / 2) * 195;   // = frameCount * 0.15 at 60 fps
+  return 150 + ((Math.sin(t * MOTION_BLINK_RATE) + 1) / 2) * 105;
+}
+
+// instead of the negative (screen space, after the content)
+function drawMotionTint(triAlpha) {
+  noStroke();
+  fillC(palette.triangle, MOTION_TINT_A * (triAlpha / 255.0));
+  rect(0, 0, width, height);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MOTION_QUERY, MOTION_ASCII_HOLD, setReducedMotion, motionInit, motionDigit, motionBlinkAlpha };
+}
@@ -0,0 +1,163 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Phase schedule (pure, no p5)
+//
+// One auto cycle = named phases, played in order, then looped:
+//   { name, duration (s), geo, tri, ease, overlay }
+// - geo / tri: alpha 0..255 of geometry / triangle content,
+//   a number (held) or [from, to] (fade, shaped by ease)
+// - overlay: true -> "calculating time…" + loading bar run in this phase;
+//   their timings are fractions of its duration (PHASE_OVERLAY),
+//   so a longer triangle phase slows them down with it
+//
+// Overrides: ?phases=tri:20,tri-out:3:smooth (name:seconds[:ease])
+//   or window.MATH_OF_TIME_CONFIG = { phases: [...full schedule], overlay: {...} }
+// ?cycle=N stretches the last phase (geo hold) so one cycle lasts N s.
+// ------------------------------------------------------------
+
+const PHASE_SCHEDULE = [
+  { name: "geo-out", duration: 1.5, geo: [255, 0], tri: 0, ease: "linear" },
+  { name: "tri", duration: 10.0, geo: 0, tri: 255, overlay: true },
+  { name: "tri-out", duration: 1.5, geo: 0, tri: [255, 0], ease: "linear" },
+  { name: "geo-in", duration: 1.5, geo: [0, 255], tri: 0, ease: "linear" },
+  { name: "geo", duration: 8.5, geo: 255, tri: 0 },
+];
+
+// fractions of the overlay phase: text types in, blinks, types out;
+// the loading bar fills box by box over `load`
+const PHASE_OVERLAY = { type: 0.2, blink: 0.5, untype: 0.2, load: 0.8, boxes: 4 };
+
+const PHASE_EASINGS = {
+  linear: f => f,
+  smooth: f => f * f * (3 - 2 * f),
+  in: f => f * f,
+  out: f => 1 - (1 - f) * (1 - f),
+  inOut: f => (f < 0.5 ? 2 * f * f : 1 - 2 * (1 - f) * (1 - f)),
+};
+
+function phaseCycleLength(schedule) {
+  return schedule.reduce((sum, p) => sum + p.duration, 0);
+}
+
+const PHASE_DEFAULT_CYCLE = phaseCycleLength(PHASE_SCHEDULE);                                  // 23 s
+const PHASE_MIN_CYCLE = PHASE_DEFAULT_CYCLE - PHASE_SCHEDULE[PHASE_SCHEDULE.length - 1].duration;   // end of the geo fade-in
+
+function phaseAlpha(v, e) {
+  if (!Array.isArray(v)) return v;
+  return Math.floor(v[0] + (v[1] - v[0]) * e);
+}
+
+// t: s into the cycle -> { index, name, f (0..1 in phase), geo, tri }
+function phaseAt(schedule, t) {
+  let start = 0;
+  let i = 0;
+  while (i < schedule.length - 1 && t >= start + schedule[i].duration) {
+    start += schedule[i].duration;
+    i++;
+  }
+
+  const p = schedule[i];
+  const f = p.duration > 0 ? Math.max(0, Math.min(1, (t - start) / p.duration)) : 1;
+  const e = PHASE_EASINGS[p.ease || "linear"](f);
+
+  return { index: i, name: p.name, f, geo: phaseAlpha(p.geo, e), tri: phaseAlpha(p.tri, e) };
+}
+
+// t: s into the cycle -> { text: "type" | "blink" | "untype" | "off", f (0..1 in step), load (0..1) }
+function overlayAt(schedule, overlay, t) {
+  let start = 0;
+  const p = schedule.find(q => {
+    if (q.overlay) return true;
+    start += q.duration;
+    return false;
+  });
+  if (!p || p.duration <= 0) return { text: "off", f: 0, load: 0 };
+
+  const u = (t - start) / p.duration;   // 0..1 while the overlay phase runs
+  const load = Math.max(0, Math.min(1, u / overlay.load));
+  const steps = [["type", overlay.type], ["blink", overlay.blink], ["untype", overlay.untype]];
+
+  if (u < 0) return { text: "off", f: 0, load };
+  let s0 = 0;
+  for (const [text, len] of steps) {
+    if (u < s0 + len) return { text, f: (u - s0) / len, load };
+    s0 += len;
+  }
+  return { text: "off", f: 0, load };
+}
+
+// ?cycle=: last phase absorbs the difference (never below 0)
+function phaseScheduleWithCycle(schedule, cycle) {
+  const last = schedule.length - 1;
+  const rest = phaseCycleLength(schedule) - schedule[last].duration;
+  return schedule.map((p, i) => (i === last ? { ...p, duration: Math.max(0, cycle - rest) } : p));
+}
+
+// overrides: [{ name, duration, ease? }] -> new schedule (unknown names ignored)
+function phaseScheduleOverride(schedule, overrides) {
+  return schedule.map(p => {
+    const o = overrides.find(q => q.name === p.name);
+    if (!o) return p;
+    return { ...p, duration: o.duration, ease: o.ease || p.ease };
+  });
+}
+
+// "tri:20,tri-out:3:smooth" -> [{ name, duration, ease }] or null if malformed
+function parsePhaseOverrides(str) {
+  const out = [];
+  for (const part of String(str).split(",")) {
+    const [name, dur, ease] = part.trim().split(":");
+    const duration = parseFloat(dur);
+    if (!name || !Number.isFinite(duration) || duration < 0) return null;
+    if (ease !== undefined && !PHASE_EASINGS[ease]) return null;
+    out.push(ease ? { name, duration, ease } : { name, duration });
+  }
+  return out.length ? out : null;
+}
+
+function formatPhaseOverrides(overrides) {
+  return overrides.map(o => `${o.name}:${o.duration}${o.ease ? ":" + o.ease : ""}`).join(",");
+}
+
+// full schedule from a config object -> checked copy, or null
+function normalizePhaseSchedule(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+  const alphaOk = v => (Array.isArray(v) ? v.length === 2 && v.every(alphaOk) : Number.isFinite(v) && v >= 0 && v <= 255);
+
+  const out = [];
+  for (const p of list) {
+    if (!p || typeof p.name !== "string") return null;
+    if (!Number.isFinite(p.duration) || p.duration < 0) return null;
+    if (!alphaOk(p.geo) || !alphaOk(p.tri)) return null;
+    if (p.ease !== undefined && !PHASE_EASINGS[p.ease]) return null;
+    out.push({ name: p.name, duration: p.duration, geo: p.geo, tri: p.tri, ease: p.ease || "linear", overlay: !!p.overlay });
+  }
+  return phaseCycleLength(out) > 0 ? out : null;
+}
+
+function normalizePhaseOverlay(o) {
+  const out = { ...PHASE_OVERLAY };
+  if (!o) return out;
+  for (const k of ["type", "blink", "untype", "load"]) {
+    if (Number.isFinite(o[k]) && o[k] > 0 && o[k] <= 1) out[k] = o[k];
+  }
+  return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PHASE_SCHEDULE,
+    PHASE_OVERLAY,
+    PHASE_EASINGS,
+    PHASE_DEFAULT_CYCLE,
+    PHASE_MIN_CYCLE,
+    phaseCycleLength,
+    phaseAt,
+    overlayAt,
+    phaseScheduleWithCycle,
+    phaseScheduleOverride,
+    parsePhaseOverrides,
+    formatPhaseOverrides,
+    normalizePhaseSchedule,
+    normalizePhaseOverlay,
+  };
+}
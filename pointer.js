@@ -0,0 +1,181 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Pointer / touch (screen space)
+//
+// - drag the hour / minute / second marker -> manual time
+//   (hour dot around the hour shape, minute dot along the line,
+//   second dot around the oval; inverse math in geometry.js)
+// - tap a command in the Controls box = pressing its key
+// - two fingers: pinch zoom + pan (R resets)
+// - tap a drawer tab (narrow screens, layout.js) to open / close it
+// - tap the info box pager to turn its pages (info.js)
+// Mouse and touch share the p5 mouse callbacks; touches[] tells pinches apart.
+// ------------------------------------------------------------
+
+const MARKER_HIT_PX = 26;    // screen px around a marker that start a drag
+const VIEW_MAX_ZOOM = 4;
+
+let viewZoom = 1;
+let viewPanX = 0, viewPanY = 0;   // screen px, applied before the content transform
+
+let markerDrag = null;      // "hour" | "minute" | "second" while dragging
+let pinch = null;           // { d0, zoom0, bx, by } while two fingers are down
+let gLastCfg = null;        // configuration of the last drawn frame (null in world mode)
+let gHelpTaps = [];         // [{ x, y, w, h, key }] filled by drawHelpBox()
+
+// draw(): zoom / pan around the whole composition
+function applyViewTransform() {
+  translate(viewPanX, viewPanY);
+  scale(viewZoom);
+}
+
+function viewReset() {
+  viewZoom = 1;
+  viewPanX = 0;
+  viewPanY = 0;
+  pinch = null;
+}
+
+// screen -> DESIGN coords (inverse of view + content transform)
+function screenToDesign(mx, my) {
+  const bx = (mx - viewPanX) / viewZoom;
+  const by = (my - viewPanY) / viewZoom;
+  return { x: (bx - gOffX) / gSc, y: (by - gOffY) / gSc + CONTENT_MIN_Y };
+}
+
+// ------------------------------------------------------------
+// MARKERS
+// ------------------------------------------------------------
+function markerAt(mx, my) {
+  if (!gLastCfg) return null;
+  const P = screenToDesign(mx, my);
+  const mk = gLastCfg.markers;
+  const px = gSc * viewZoom;   // DESIGN unit -> screen px
+
+  // smallest dot first, it is the hardest to hit
+  for (const which of ["second", "minute", "hour"]) {
+    if (geoDist(P, mk[which]) * px <= MARKER_HIT_PX) return which;
+  }
+  return null;
+}
+
+function markerDragTo(mx, my) {
+  if (!markerDrag || !gLastCfg) return;
+  const t = dragMarkerTime(markerDrag, screenToDesign(mx, my), gLastCfg, manualH, manualM, manualS);
+  manualH = t.h;
+  manualM = t.m;
+  manualS = t.s;
+  manualSub = 0;
+}
+
+// ------------------------------------------------------------
+// CONTROLS BOX TAPS
+// ------------------------------------------------------------
+const HELP_TAP_KEYS = {
+  T: 'T', Z: 'Z', R: 'R', P: 'P', B: 'B', Space: ' ',
+  1: '1', 2: '2', 3: '3',
+  M: 'M', E: 'E', V: 'V', K: 'K', H: 'H', Q: 'Q', W: 'W', U: 'U', F: 'F', N: 'N', L: 'L', C: 'C', X: 'X',
+  A: 'A', G: 'G', I: 'I', O: 'O', J: 'J', D: 'D', S: 'S',
+};
+
+// "1 geo   2 triangle   3 auto" -> [{ key, from, to }] (char ranges of one help line)
+// only lines that start with a key are entries; status lines and wrapped,
+// indented continuations have no taps
+function helpLineTaps(line) {
+  const out = [];
+  const re = /(^|\s{3})(\S+)(?=\s)/g;
+  let m;
+  while ((m = re.exec(line)) !== null) {
+    const key = HELP_TAP_KEYS[m[2]];
+    if (!out.length && (m.index > 0 || key === undefined)) break;
+    if (key === undefined) continue;
+    const from = m.index + m[1].length;
+    if (out.length) out[out.length - 1].to = m.index;
+    out.push({ key, from, to: line.length });
+  }
+  return out;
+}
+
+function helpTapAt(mx, my) {
+  return gHelpTaps.find(r => mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h) || null;
+}
+
+// ------------------------------------------------------------
+// PINCH
+// ------------------------------------------------------------
+function pinchTo(t0, t1) {
+  const d = Math.hypot(t1.x - t0.x, t1.y - t0.y);
+  const mx = (t0.x + t1.x) / 2, my = (t0.y + t1.y) / 2;
+
+  if (!pinch) {
+    // point under the fingers in unzoomed screen space
+    pinch = { d0: Math.max(1, d), zoom0: viewZoom, bx: (mx - viewPanX) / viewZoom, by: (my - viewPanY) / viewZoom };
+    return;
+  }
+
+  viewZoom = Math.max(1, Math.min(VIEW_MAX_ZOOM, pinch.zoom0 * d / pinch.d0));
+  if (viewZoom === 1) {
+    viewPanX = 0;
+    viewPanY = 0;
+  } else {
+    viewPanX = mx - pinch.bx * viewZoom;
+    viewPanY = my - pinch.by * viewZoom;
+  }
+}
+
+// ------------------------------------------------------------
+// p5 mouse callbacks (touches arrive here too)
+// ------------------------------------------------------------
+function pointerPressed(mx, my, touchList) {
+  if (touchList.length >= 2) return;
+
+  const tab = showUI ? uiTabAt(mx, my) : null;
+  if (tab) {
+    uiToggleDrawer(tab.id);
+    return;
+  }
+
+  const tap = showUI ? helpTapAt(mx, my) : null;
+  if (tap) {
+    runTapCommand(tap.key);
+    return;
+  }
+  const turn = showUI ? infoPagerAt(mx, my) : 0;
+  if (turn) {
+    infoTurnPage(turn);
+    return;
+  }
+  if (showUI && uiPanelAt(mx, my)) return;
+
+  const hit = showUI ? timelineHitIndexAt(mx, my) : -1;
+  if (hit >= 0) {
+    finderJump(hit);
+    return;
+  }
+
+  if (timelineBeginDrag(mx, my)) return;
+
+  const which = markerAt(mx, my);
+  if (which) {
+    rouletteStop();
+    ensureManualTime();
+    markerDrag = which;
+    markerDragTo(mx, my);
+  }
+}
+
+function pointerDragged(mx, my, touchList) {
+  if (touchList.length >= 2) {
+    markerDrag = null;
+    timelineEndDrag();
+    pinchTo(touchList[0], touchList[1]);
+    return;
+  }
+  timelineDragTo(mx);
+  markerDragTo(mx, my);
+}
+
+function pointerReleased(touchList) {
+  if (touchList.length < 2) pinch = null;
+  markerDrag = null;
+  timelineEndDrag();
+}
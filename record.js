@@ -0,0 +1,236 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Cycle recording (V)
+//
+// Renders recordCycles full phase cycles (?reccycles=N) frame by frame:
+// - canvas at DESIGN_W x DESIGN_H, pixel density 1
+// - frame n shows phase time n / RECORD_FPS (no deltaTime, no millis())
+// - the next frame is drawn only after the last one is stored
+//   -> no dropped frames, however slow the machine
+// Output: PNG image sequence in one .zip (stored, no compression), at most
+// RECORD_MAX_FRAMES frames / RECORD_MAX_BYTES (long ?cycle= or ?phases= are
+// cut there; plain ZIP, no ZIP64).
+//   ffmpeg -framerate 30 -i frame_%05d.png -c:v libvpx-vp9 cycle.webm
+// V or Esc again cancels; a frame that can't be stored ends the recording
+// (help box: "recording failed").
+// ------------------------------------------------------------
+
+const RECORD_FPS = 30;
+const RECORD_CYCLES = 1;
+const RECORD_MAX_CYCLES = 10;            // ?reccycles= limit (config.js)
+const RECORD_MAX_FRAMES = 3600;          // 2 min at 30 fps
+const RECORD_MAX_BYTES = 256 * 1024 * 1024;   // frames held in memory (+ the Blob of the zip)
+
+let recordCycles = RECORD_CYCLES;
+let recording = null;   // { frame, total, clock, speed, morph0, base, files, bytes, prev } while active
+let recordFailedAt = -Infinity;   // millis() of the last failed recording (help box feedback)
+
+function recordActive() {
+  return recording !== null;
+}
+
+function recordFrameCount(cycleSeconds, cycles, fps) {
+  return Math.min(RECORD_MAX_FRAMES, Math.round(cycleSeconds * cycles * fps));
+}
+
+// zip entry names sort in frame order
+function recordFrameName(i) {
+  return `frame_${String(i).padStart(5, "0")}.png`;
+}
+
+function recordStart() {
+  if (recording || exportFrame) return;
+
+  rouletteStop();
+  typingMode = false;
+  timeInput = "";
+
+  const prev = {
+    useLiveTime,
+    clock: { y: manualY, mo: manualMo, d: manualD, h: manualH, m: manualM, s: manualS, sub: manualSub },
+    fadeTimer,
+    animTime,
+    density: pixelDensity(),
+    title: document.title,
+  };
+
+  // the recorded clock runs from the moment shown now (manual time, so it can be stepped)
+  const speed = !useLiveTime && !playPaused ? playSpeed() : 1;
+  ensureManualTime();
+
+  recording = {
+    frame: 0,
+    total: recordFrameCount(phaseCycle, recordCycles, RECORD_FPS),
+    clock: { y: manualY, mo: manualMo, d: manualD, h: manualH, m: manualM, s: manualS, sub: manualSub },
+    speed,
+    morph0: millis() * 0.001,
+    base: signatureBaseName({ h: manualH, m: manualM, S: manualS, date: { y: manualY, mo: manualMo, d: manualD } }),
+    files: [],
+    bytes: 0,
+    prev,
+  };
+
+  pixelDensity(1);
+  resizeCanvas(DESIGN_W, DESIGN_H, true);
+  noLoop();
+  redraw();
+}
+
+// top of draw(): phase time, clock and morph time of the current frame
+function recordStepTime() {
+  const t = recording.frame / RECORD_FPS;
+  const c = recording.clock;
+
+  fadeTimer = t;
+  animTime = t;
+
+  manualY = c.y; manualMo = c.mo; manualD = c.d;
+  manualH = c.h; manualM = c.m; manualS = c.s;
+  manualSub = c.sub;
+  shiftManualTime(t * recording.speed);
+
+  return recording.morph0 + t;
+}
+
+// end of draw(): store the canvas, then draw the next frame
+function recordCaptureFrame() {
+  const rec = recording;
+  document.title = `REC ${rec.frame + 1} / ${rec.total}`;
+
+  drawingContext.canvas.toBlob(blob => {
+    if (recording !== rec) return;   // cancelled meanwhile
+    if (!blob) {
+      recordFail(rec);
+      return;
+    }
+    blob.arrayBuffer().then(buf => {
+      if (recording !== rec) return;
+      // size limit -> save the frames so far
+      if (rec.bytes + buf.byteLength > RECORD_MAX_BYTES) rec.total = rec.frame;
+      else {
+        rec.files.push({ name: recordFrameName(rec.frame), data: new Uint8Array(buf) });
+        rec.bytes += buf.byteLength;
+        rec.frame++;
+      }
+
+      if (rec.frame < rec.total) {
+        redraw();
+      } else {
+        // built from the parts, no joined copy of the frames in JS
+        downloadBlob(new Blob(zipStoreParts(rec.files), { type: "application/zip" }), rec.base + "_cycle.zip");
+        recordFinish();
+      }
+    }).catch(() => recordFail(rec));
+  }, "image/png");
+}
+
+// toBlob() gave no image or reading it failed (out of memory, ...)
+function recordFail(rec) {
+  if (recording !== rec) return;
+  recordFinish();
+  recordFailedAt = millis();
+}
+
+function recordCancel() {
+  if (recording) recordFinish();
+}
+
+function recordFinish() {
+  const prev = recording.prev;
+  recording = null;
+
+  useLiveTime = prev.useLiveTime;
+  const c = prev.clock;
+  manualY = c.y; manualMo = c.mo; manualD = c.d;
+  manualH = c.h; manualM = c.m; manualS = c.s;
+  manualSub = c.sub;
+  fadeTimer = prev.fadeTimer;
+  animTime = prev.animTime;
+  document.title = prev.title;
+
+  pixelDensity(prev.density);
+  resizeCanvas(windowWidth, windowHeight, true);
+  loop();
+}
+
+// ------------------------------------------------------------
+// ZIP (method 0 = stored; PNGs are compressed already)
+// ------------------------------------------------------------
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> [Uint8Array] parts of the .zip in
+// order (headers are new, the frame data is not copied)
+function zipStoreParts(files) {
+  const enc = new TextEncoder();
+  const entries = files.map(f => ({ name: enc.encode(f.name), data: f.data, crc: crc32(f.data) }));
+  const parts = [];
+
+  let buf, view, p;
+  const begin = n => {
+    buf = new Uint8Array(n);
+    view = new DataView(buf.buffer);
+    p = 0;
+    parts.push(buf);
+  };
+  const u16 = v => { view.setUint16(p, v, true); p += 2; };
+  const u32 = v => { view.setUint32(p, v, true); p += 4; };
+
+  // local headers + data
+  let offset = 0;
+  for (const e of entries) {
+    e.offset = offset;
+    begin(30 + e.name.length);
+    u32(0x04034b50); u16(20); u16(0); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.data.length); u32(e.data.length);
+    u16(e.name.length); u16(0);
+    buf.set(e.name, p);
+    parts.push(e.data);
+    offset += buf.length + e.data.length;
+  }
+
+  // central directory + end record
+  const dirSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+  begin(dirSize + 22);
+  for (const e of entries) {
+    u32(0x02014b50); u16(20); u16(20); u16(0); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.data.length); u32(e.data.length);
+    u16(e.name.length); u16(0); u16(0); u16(0); u16(0); u32(0);
+    u32(e.offset);
+    buf.set(e.name, p); p += e.name.length;
+  }
+
+  u32(0x06054b50); u16(0); u16(0);
+  u16(entries.length); u16(entries.length);
+  u32(dirSize); u32(offset); u16(0);
+
+  return parts;
+}
+
+// files -> Uint8Array (.zip) in one piece
+function zipStore(files) {
+  const parts = zipStoreParts(files);
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let p = 0;
+  for (const part of parts) {
+    out.set(part, p);
+    p += part.length;
+  }
+  return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RECORD_FPS, RECORD_CYCLES, RECORD_MAX_CYCLES, RECORD_MAX_FRAMES, recordFrameCount, recordFrameName, crc32, zipStoreParts, zipStore };
+}
@@ -0,0 +1,49 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Seeded randomness (pure, no p5)
+//
+// - mulberry32: small, fast PRNG -> same seed, same sequence
+// - hashInts: mixes a seed with integers (time, cell index, ...)
+// - seededDigit: ASCII digit for one cell, from seed + shown time
+//   -> same moment + same seed = same digits, on screen and in exports
+// ------------------------------------------------------------
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a style mix of 32-bit ints
+function hashInts(...ints) {
+  let h = 0x811c9dc5;
+  for (const n of ints) {
+    h ^= n | 0;
+    h = Math.imul(h, 0x01000193);
+    h ^= h >>> 13;
+  }
+  return h >>> 0;
+}
+
+// "1234" -> 1234, any other text -> hash of its characters
+function seedFromString(str) {
+  const s = String(str).trim();
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  return hashInts(...Array.from(s, ch => ch.codePointAt(0)));
+}
+
+function newSeed() {
+  return Math.floor(Math.random() * 100000);
+}
+
+// 0..9 for one ASCII cell; block = which ASCII block, cell = r * cols + c
+function seededDigit(seed, h, m, s, block, cell) {
+  return Math.floor(mulberry32(hashInts(seed, h, m, s, block, cell))() * 10);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { mulberry32, hashInts, seedFromString, newSeed, seededDigit };
+}
@@ -1,5 +1,5 @@
 // ------------------------------------------------------------
-// THE MATH OF TIME — p5.js Web Version (VISUAL ONLY)
+// THE MATH OF TIME — p5.js Web Version (AUDIOVISUAL)
 // Responsive Canvas + HiDPI
 // Content-based scaling with symmetric top/bottom margins
 // Grid: ONLY Y-windowed (starts where top-right ASCII ends, ends where bottom-left ASCII begins)
@@ -7,13 +7,36 @@
 // Transition: invert overlay alpha locked to triContentAlpha (perfect sync)
 //
 // Features:
-// - Type in Time (T, Enter) -> manual time preview
+// - Type in Time (T, Enter) -> manual time; 3:15 pm, now+2h, -90s, noon, ISO, live preview, ↑/↓ history (timeinput.js)
 // - Time Roulette toggle (Z) with slow brake-out
 // - Reset to Live (R)
 // - Manual Phase Control: Space toggles auto/manual, 1 geo, 2 tri, 3 auto
-// - Right-side controls box aligned to grid bounds (starts where grid ends to the right)
-// - Left-side info box aligned to grid bounds (ends where grid begins to the left)
-// - Help colors: black on white mode, white on negative mode
+// - Time -> geometry math is pure (geometry.js); draw() only renders it
+// - Sound from the triangle (audio.js), mute toggle (M)
+// - Signature export (E): PNG at DESIGN size + SVG + JSON (export.js)
+// - Seeded mode (K or ?seed=N): ASCII digits from seed + time, replayable roulette (seed.js)
+// - URL config (?time=&phase=&roulette=&hideui=&cycle=&seed=&tz=&world=), U copies state as URL (config.js)
+// - Phase schedule: named phases with durations + easing (phases.js, ?phases=, MATH_OF_TIME_CONFIG)
+// - Time zones: Q cycles the zone, W world mode with several cities at once (timezone.js)
+// - Full date: typing accepts YYYY-MM-DD HH:MM:SS; day / month / year geometry
+// - 24-hour dial (H or ?hours=24): AM and PM give different hour markers
+// - Timeline scrubber (drag, arrow keys) + playback P / B / +- (timeline.js)
+// - Cycle recording (V): full phase cycle frame by frame -> PNG sequence .zip (record.js)
+// - Pointer / touch: drag the markers, tap the Controls, pinch zoom (pointer.js)
+// - Ghosts (G or ?ghosts=hour|minute): past triangles + vertex paths (ghosts.js)
+// - Triangle analytics (A or ?analysis=panel|draw): sides, area, class, centers (analytics.js)
+// - Finder (F condition, N next hit, ?find=&range=): notable moments of the day (finder.js)
+// - Almanac (L or ?almanac=hour|10min): one sheet of signatures for a day, SVG / PDF / print (almanac.js)
+// - Themes (C or ?theme=light|dark|high-contrast|print): palette for every draw step (theme.js)
+// - Reduced motion (X, ?motion=, prefers-reduced-motion): tint instead of negative, calm ASCII / blink, still hour shape (motion.js)
+// - Info box content from a venue's JSON / Markdown file (?info= or page config), paged when long (info.js)
+// - Languages (I or ?lang=en|de): string tables, locale-aware angles and date (i18n.js)
+// - Screen readers: live region (time, phase, roulette, angles), Controls as buttons, info as markup (a11y.js)
+// - Alarms (O, J) kept in localStorage, countdown (D) / stopwatch (S) shown by the markers, ring with tint + chime (alarms.js)
+// - Controls box right of the grid, info box left of it; stacked or drawers when there is no room (layout.js)
+// - Colors come from the theme palette (theme.js); UI boxes invert with the negative
+//
+// Tests (headless, p5 stubbed): node --test test/
 // ------------------------------------------------------------
 
 const DESIGN_W = 1080;
@@ -44,18 +67,30 @@ let gOffX = 0;
 let gOffY = 0;
 let gSc = 1;
 
-// keep last controls box size (so left box can match exactly)
-let gControlsBoxW = 330;
-let gControlsBoxH = 230;
-
 // --- TIME CONTROL ---
 let useLiveTime = true;     // if false -> use manual time
 let manualH = 12, manualM = 0, manualS = 0;
+let manualY = 2025, manualMo = 1, manualD = 1;   // taken from the live date when manual mode starts
+let manualSub = 0;          // 0..<1 s, so playback / scrubbing glides
+
+// --- PLAYBACK (manual time only) ---
+const PLAY_SPEEDS = [1, 60, 600, 3600];
+const SCRUB_RATE = 900;     // s of clock time per s while an arrow key is held (x4 with up/down)
+let playPaused = true;
+let playReverse = false;
+let playSpeedIdx = 0;
+
+// --- HOUR DIAL ---
+let hours24 = false;        // H -> 24 labels, one lap per day
+
+// --- TIME ZONES ---
+let timeZone = "local";     // IANA name or "local"
+let worldMode = false;      // W -> grid of city signatures
 
 // Type-in-time UI
 let typingMode = false;
-let timeInput = "";         // "HH:MM" or "HH:MM:SS"
-let inputHintTimer = 0;
+let timeInput = "";         // text typed so far (formats: timeinput.js)
+let typingFor = "time";     // "time" (T) | "alarm" (O) | "countdown" (D), see alarms.js
 
 // Roulette with braking
 // states: "off" | "spin" | "brake"
@@ -66,67 +101,158 @@ const ROULETTE_FAST = 90;
 const ROULETTE_SLOW_STOP = 950;   // ms threshold where we stop
 const ROULETTE_BRAKE_MULT = 1.18; // grows interval each tick during brake
 
+// --- SEEDED MODE ---
+let seedMode = false;       // true -> no frame noise, everything from seedValue
+let seedValue = 0;
+let rouletteRng = null;     // re-seeded on every rouletteStart()
+let rouletteLanding = null; // seeded: { h, m, s } the brake ends on, whatever the frame timing
+
+// --- SIGNATURE EXPORT ---
+let gLastFrame = null;   // { h, m, S, t, date, hours24, source, seed } of the last drawn frame
+let exportFrame = null;  // frozen frame, rendered + saved on the next draw()
+
 // --- PHASE CONTROL ---
 let phaseMode = "auto";          // "auto" | "geo" | "tri"
 let manualPhaseEnabled = false;  // toggled by Space
-
-// ------------------------------------------------------------
-// LEFT INFO BOX TEXT (edit here if you want exact wording)
-// ------------------------------------------------------------
-const INFO_TITLE = "MATH OF TIME";
-const INFO_PARAS = [
-  "MATH OF TIME is an alternative clock system that visualizes the hidden mathematics behind everyday time perception.",
-  "Instead of showing fixed numbers, it translates real time into shifting geometry, movement, rhythm, and sound. Each moment generates its own geometric configuration, with a constantly transforming triangle forming a unique signature of the present.",
-  "Programmed in Processing and expanded through an audiovisual composition, the work explores how time—though mathematical and measurable—becomes deeply personal through perception, attention, and experience."
-];
-
-// Highlight exactly this sentence (we render it bold as its own line block)
-const INFO_HIGHLIGHT = "Each moment generates its own geometric configuration.";
-
-// Bottom meta
-const INFO_META = [
-  { k: "YEAR",        v: "2025" },
-  { k: "SUPERVISION", v: "PROF. NINA JURIC" },
-  { k: "PROGRAMM",    v: "PROCESSING" },
-];
+let phaseBase = PHASE_SCHEDULE;        // or MATH_OF_TIME_CONFIG.phases
+let phaseOverrides = [];               // ?phases=
+let phaseCycleOverride = null;         // s, ?cycle=
+let phaseSchedule = PHASE_SCHEDULE;    // base + overrides + cycle (rebuildPhaseSchedule)
+let phaseCycle = PHASE_DEFAULT_CYCLE;
+let phaseOverlay = PHASE_OVERLAY;
+let phaseName = "";                    // current auto phase (help box)
+
+// --- UI / SHARE ---
+let showUI = true;               // ?hideui=1 -> false
+let urlCopiedAt = -Infinity;     // millis() of last U (help box feedback)
 
 // ------------------------------------------------------------
 // HELPERS
 // ------------------------------------------------------------
-function daysInMonth(y, m) {
-  const dm = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-  const leap = (y % 4 === 0 && y % 100 !== 0) || (y % 400 === 0);
-  if (leap) dm[1] = 29;
-  return dm[m - 1];
+function clampInt(v, a, b) {
+  return Math.max(a, Math.min(b, v | 0));
 }
 
-function angleAtPoint(P, A, B) {
-  const v1 = p5.Vector.sub(A, P);
-  const v2 = p5.Vector.sub(B, P);
-  if (v1.mag() === 0 || v2.mag() === 0) return 0;
-
-  v1.normalize();
-  v2.normalize();
-  const dot = constrain(p5.Vector.dot(v1, v2), -1, 1);
-  return degrees(acos(dot));
+// live wall clock of the chosen zone, S incl. milliseconds
+function liveTime() {
+  const now = new Date();
+  const p = zonedTimeParts(now, timeZone);
+  p.S = p.s + now.getMilliseconds() / 1000.0;
+  return p;
 }
 
-function clampInt(v, a, b) {
-  return Math.max(a, Math.min(b, v | 0));
+function cycleTimeZone() {
+  const i = TIME_ZONES.indexOf(timeZone);
+  timeZone = TIME_ZONES[(i + 1) % TIME_ZONES.length];
 }
 
 function setManualTime(h, m, s) {
+  // live -> manual keeps today's date (of the chosen zone)
+  if (useLiveTime) {
+    const live = liveTime();
+    manualY = live.y;
+    manualMo = live.mo;
+    manualD = live.d;
+  }
   manualH = clampInt(h, 0, 23);
   manualM = clampInt(m, 0, 59);
   manualS = clampInt(s, 0, 59);
+  manualSub = 0;
+  useLiveTime = false;
+}
+
+// live -> manual at the current live moment (playback / scrub start here)
+function ensureManualTime() {
+  if (!useLiveTime) return;
+  const live = liveTime();
+  setManualTime(live.h, live.m, live.s);
+  manualSub = live.S - live.s;
+}
+
+// move the manual date + time by deltaSeconds (any sign, rolls over days)
+function shiftManualTime(deltaSeconds) {
+  // whole seconds via Date, the fraction stays separate (no drift at 1/60 s steps)
+  const total = manualSub + deltaSeconds;
+  const whole = Math.floor(total);
+  const d = new Date(Date.UTC(manualY, manualMo - 1, manualD, manualH, manualM, manualS) + whole * 1000);
+
+  manualY = d.getUTCFullYear();
+  manualMo = d.getUTCMonth() + 1;
+  manualD = d.getUTCDate();
+  manualH = d.getUTCHours();
+  manualM = d.getUTCMinutes();
+  manualS = d.getUTCSeconds();
+  manualSub = total - whole;
+}
+
+// 0..<86400 on the manual date (timeline scrubber)
+function setManualSecondsOfDay(sec) {
+  ensureManualTime();
+  const whole = Math.floor(sec);
+  manualH = Math.floor(whole / 3600);
+  manualM = Math.floor((whole % 3600) / 60);
+  manualS = whole % 60;
+  manualSub = sec - whole;
+}
+
+function playSpeed() {
+  return PLAY_SPEEDS[playSpeedIdx] * (playReverse ? -1 : 1);
+}
+
+function playbackLabel() {
+  if (playPaused) return tr("val.paused");
+  return `${playReverse ? "<<" : ">>"} ${PLAY_SPEEDS[playSpeedIdx]}x`;
+}
+
+function togglePlayback() {
+  ensureManualTime();
+  playPaused = !playPaused;
+}
+
+// seeded mode -> roulette sequence comes from seedValue
+function rouletteRandom(a, b) {
+  if (seedMode && rouletteRng) return a + rouletteRng() * (b - a);
+  return random(a, b);
+}
+
+function setManualDate(y, mo, d) {
+  manualY = clampInt(y, 1, 9999);
+  manualMo = clampInt(mo, 1, 12);
+  manualD = clampInt(d, 1, daysInMonth(manualY, manualMo));
   useLiveTime = false;
 }
 
+// date of the shown time (live date of the zone, or the manual date)
+function shownDate() {
+  if (useLiveTime) {
+    const live = liveTime();
+    return { y: live.y, mo: live.mo, d: live.d };
+  }
+  return { y: manualY, mo: manualMo, d: manualD };
+}
+
+function randomTime() {
+  const h = floor(rouletteRandom(0, 24));
+  const m = floor(rouletteRandom(0, 60));
+  const s = floor(rouletteRandom(0, 60));
+  return { h, m, s };
+}
+
 function setRandomTime() {
-  const h = floor(random(0, 24));
-  const m = floor(random(0, 60));
-  const s = floor(random(0, 60));
-  setManualTime(h, m, s);
+  const t = randomTime();
+  setManualTime(t.h, t.m, t.s);
+}
+
+function setSeedMode(on, seed) {
+  seedMode = on;
+  if (seed !== undefined) seedValue = seed;
+}
+
+// one ASCII cell: noise per frame, or fixed by seed + shown time
+function asciiDigit(h, m, s, block, r, c) {
+  if (reducedMotion) return motionDigit(seedMode ? seedValue : null, animTime, block, r * ASCII_COLS + c);
+  if (!seedMode) return Math.floor(random(0, 10));
+  return seededDigit(seedValue, h, m, s, block, r * ASCII_COLS + c);
 }
 
 function parseTimeString(str) {
@@ -145,6 +271,27 @@ function parseTimeString(str) {
   return { h, m, s };
 }
 
+// "YYYY-MM-DD", "YYYY-MM-DD HH:MM[:SS]" (also with T) or just "HH:MM[:SS]"
+// -> { date: { y, mo, d } | null, h, m, s } or null
+function parseDateTimeString(str) {
+  const dm = str.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T]+(.+))?$/);
+  if (!dm) {
+    const t = parseTimeString(str);
+    return t ? { date: null, h: t.h, m: t.m, s: t.s } : null;
+  }
+
+  const y = parseInt(dm[1], 10);
+  const mo = parseInt(dm[2], 10);
+  const d = parseInt(dm[3], 10);
+  if (mo < 1 || mo > 12) return null;
+  if (d < 1 || d > daysInMonth(y, mo)) return null;
+
+  const t = dm[4] !== undefined ? parseTimeString(dm[4]) : { h: 0, m: 0, s: 0 };
+  if (!t) return null;
+
+  return { date: { y, mo, d }, h: t.h, m: t.m, s: t.s };
+}
+
 function fmt2(n) {
   return nf(n, 2);
 }
@@ -152,9 +299,11 @@ function fmt2(n) {
 function rouletteStart() {
   typingMode = false;
   timeInput = "";
-  inputHintTimer = 0;
+  inputError = null;
 
   useLiveTime = false;
+  rouletteRng = mulberry32(seedValue);
+  rouletteLanding = seedMode ? randomTime() : null;   // first draw of the seed = the result
   rouletteState = "spin";
   rouletteInterval = ROULETTE_FAST;
   rouletteNextAt = millis();
@@ -169,18 +318,253 @@ function rouletteStop() {
   rouletteState = "off";
 }
 
+// brake ends (or Z stops it): a seeded roulette always lands on its result
+function rouletteLand() {
+  if (rouletteLanding) setManualTime(rouletteLanding.h, rouletteLanding.m, rouletteLanding.s);
+  rouletteStop();
+}
+
+// base schedule + ?phases= overrides + ?cycle=
+function rebuildPhaseSchedule() {
+  let schedule = phaseScheduleOverride(phaseBase, phaseOverrides);
+  if (phaseCycleOverride !== null) schedule = phaseScheduleWithCycle(schedule, phaseCycleOverride);
+  if (phaseCycleLength(schedule) <= 0) return;   // all zero -> keep the old one
+  phaseSchedule = schedule;
+  phaseCycle = phaseCycleLength(schedule);
+}
+
+// window.MATH_OF_TIME_CONFIG (set in index.html before the scripts); the URL wins
+function applyPageConfig(obj) {
+  if (!obj) return;
+  const schedule = normalizePhaseSchedule(obj.phases);
+  if (schedule) phaseBase = schedule;
+  phaseOverlay = normalizePhaseOverlay(obj.overlay);
+  rebuildPhaseSchedule();
+  if (obj.theme) setTheme(obj.theme);
+  if (obj.lang) setLocale(obj.lang);
+  if (obj.info) setInfoSource(obj.info);
+}
+
+// initial state from the query string (see config.js)
+function applyUrlConfig(cfg) {
+  if (cfg.seed !== undefined) setSeedMode(true, cfg.seed);
+  if (cfg.time) setManualTime(cfg.time.h, cfg.time.m, cfg.time.s);
+  if (cfg.date) setManualDate(cfg.date.y, cfg.date.mo, cfg.date.d);
+  if (cfg.phase && cfg.phase !== "auto") {
+    manualPhaseEnabled = true;
+    phaseMode = cfg.phase;
+  }
+  if (cfg.phases) phaseOverrides = cfg.phases;
+  if (cfg.cycle !== undefined) phaseCycleOverride = cfg.cycle;
+  if (cfg.phases || cfg.cycle !== undefined) rebuildPhaseSchedule();
+  if (cfg.tz) timeZone = cfg.tz;
+  if (cfg.world !== undefined) worldMode = cfg.world;
+  if (cfg.hours24 !== undefined) hours24 = cfg.hours24;
+  if (cfg.ghosts) ghostMode = cfg.ghosts;
+  if (cfg.theme) setTheme(cfg.theme);
+  if (cfg.lang) {
+    localeOverride = true;
+    setLocale(cfg.lang);
+  }
+  if (cfg.info) setInfoSource(cfg.info);
+  if (cfg.motion) {
+    motionOverride = true;
+    setReducedMotion(cfg.motion === "reduced", millis() * 0.001);
+  }
+  if (cfg.analysis) analysisMode = cfg.analysis;
+  if (cfg.range) finderRange = cfg.range;
+  if (cfg.find) finderStart(cfg.find, millis() * 0.001);
+  if (cfg.almanac) almanacOpen(cfg.almanac, shownDate(), millis() * 0.001, hours24);
+  if (cfg.speed !== undefined) {
+    const abs = Math.abs(cfg.speed);
+    playSpeedIdx = Math.max(0, PLAY_SPEEDS.indexOf(abs));
+    playReverse = cfg.speed < 0;
+    ensureManualTime();
+    playPaused = false;
+  }
+  if (cfg.recordCycles !== undefined) recordCycles = cfg.recordCycles;
+  if (cfg.hideUI !== undefined) showUI = !cfg.hideUI;
+  if (cfg.roulette) rouletteStart();
+}
+
+function currentUrlState() {
+  return {
+    time: useLiveTime ? null : { h: manualH, m: manualM, s: manualS },
+    date: useLiveTime ? null : { y: manualY, mo: manualMo, d: manualD },
+    phase: manualPhaseEnabled ? phaseMode : "auto",
+    roulette: rouletteState !== "off",
+    hideUI: !showUI,
+    cycle: phaseCycleOverride === null ? undefined : phaseCycle,
+    phases: phaseOverrides,
+    seed: seedMode ? seedValue : null,
+    tz: timeZone,
+    world: worldMode,
+    hours24,
+    ghosts: ghostMode,
+    analysis: analysisMode,
+    find: finderCondition(),
+    range: finderRange,
+    theme: themeName,
+    lang: localeOverride ? locale : undefined,
+    info: infoSource || undefined,
+    motion: motionOverride ? (reducedMotion ? "reduced" : "full") : undefined,
+    almanac: almanac ? almanac.step : undefined,
+    speed: useLiveTime || playPaused ? null : playSpeed(),
+    recordCycles,
+  };
+}
+
+function copyStateUrl() {
+  const url = window.location.origin + window.location.pathname + buildUrlQuery(currentUrlState());
+  urlCopiedAt = millis();
+
+  if (navigator.clipboard && window.isSecureContext) {
+    navigator.clipboard.writeText(url).catch(() => window.prompt(tr("prompt.url"), url));
+  } else {
+    window.prompt(tr("prompt.url"), url);
+  }
+}
+
 // ------------------------------------------------------------
 // INPUT
 // ------------------------------------------------------------
 function keyPressed() {
+  // first gesture unlocks Web Audio
+  audioResume();
+
+  // any key ends a ringing alarm / countdown (and does nothing else)
+  if (alarmRing) {
+    alarmDismiss();
+    return;
+  }
+
+  // a focused button of the screen-reader layer gets its own keys
+  if (a11yHasFocus()) return;
+
+  // recording: only V / Esc (cancel), everything else would change the frames
+  if (recordActive()) {
+    if (keyCode === ESCAPE || key === 'v' || key === 'V') recordCancel();
+    return;
+  }
+
+  // almanac sheet: its own keys (almanac.js)
+  if (almanac) {
+    almanacKey(key, keyCode);
+    return;
+  }
+
+  // typing mode keys (first, so digits / space don't trigger shortcuts)
+  if (typingMode) {
+    if (keyCode === ESCAPE) {
+      typingMode = false;
+      timeInput = "";
+      return;
+    }
+    if (keyCode === ENTER || keyCode === RETURN) {
+      // a failed Enter keeps the text, the Controls box says why
+      if (!applyTypedInput(typingFor, timeInput).error) {
+        typingMode = false;
+        timeInput = "";
+      }
+      return;
+    }
+    if ((keyCode === UP_ARROW || keyCode === DOWN_ARROW) && typingFor === "time") {
+      timeInput = inputHistoryStep(keyCode === UP_ARROW ? -1 : 1, timeInput);
+      return;
+    }
+    if (keyCode === BACKSPACE) {
+      timeInput = timeInput.slice(0, -1);
+      return;
+    }
+    if (key.length === 1 && timeInput.length < TIME_INPUT_MAX) timeInput += key;
+    return;
+  }
+
+  return runCommand(key);
+}
+
+// typed text -> parseTimeInput() against the shown and the live clock
+function timeInputParse(str) {
+  const live = liveTime();
+  const shown = useLiveTime ? live : { y: manualY, mo: manualMo, d: manualD, h: manualH, m: manualM, s: manualS };
+  return parseTimeInput(str, shown, live, timeZone);
+}
+
+// typed / prompted time -> manual time (+ history); returns the parse ({ error } if it failed)
+function applyTimeInput(str) {
+  const parsed = timeInputParse(str);
+  if (parsed.error) return parsed;
+  rouletteStop();
+  setManualTime(parsed.h, parsed.m, parsed.s);
+  if (parsed.date) setManualDate(parsed.date.y, parsed.date.mo, parsed.date.d);
+  inputHistoryAdd(str.trim());
+  inputError = null;
+  return parsed;
+}
+
+// alarm (O) / countdown (D) text -> { h, m, s, date } like a time, so the
+// clock previews it while typing; { error } if it doesn't parse
+function typedInputParse(purpose, str) {
+  if (purpose === "alarm") return parseAlarmInput(str, liveTime(), timeZone);
+  if (purpose === "countdown") {
+    const sec = parseDuration(str);
+    if (typeof sec !== "number") return sec;
+    return { date: null, h: Math.floor(sec / 3600), m: Math.floor(sec / 60) % 60, s: sec % 60, seconds: sec };
+  }
+  return timeInputParse(str);
+}
+
+// Enter / prompt: sets the time, adds the alarm or starts the countdown;
+// returns the parse ({ error } if it failed)
+function applyTypedInput(purpose, str) {
+  if (purpose === "time") return applyTimeInput(str);
+  const parsed = typedInputParse(purpose, str);
+  if (parsed.error) return parsed;
+  if (purpose === "alarm") {
+    const added = alarmAdd(parsed, new Date(), timeZone);
+    if (added.error) return added;
+  } else timerStart("countdown", parsed.seconds, millis());
+  inputError = null;
+  return parsed;
+}
+
+function startTyping(purpose) {
+  rouletteStop();
+  typingMode = true;
+  typingFor = purpose;
+  timeInput = "";
+  inputHistoryIdx = -1;
+}
+
+// tapped in the Controls box; T / O / D ask with a prompt (no keyboard on touch screens)
+function runTapCommand(k) {
+  if (recordActive()) return;
+  const purpose = { T: "time", O: "alarm", D: "countdown" }[k];
+  if (purpose && !(purpose === "countdown" && timer && timer.mode === "countdown")) {
+    rouletteStop();
+    const str = window.prompt(tr(`prompt.${purpose}`), "");
+    if (str === null) return;
+    const parsed = applyTypedInput(purpose, str);
+    if (parsed.error) inputError = { msg: `${str.trim()}: ${parsed.error}`, at: millis() };
+    return;
+  }
+  runCommand(k);
+}
+
+// one shortcut (keyboard or tap)
+function runCommand(key) {
   // RESET
   if (key === 'r' || key === 'R') {
     rouletteStop();
     typingMode = false;
     timeInput = "";
     useLiveTime = true;
+    playPaused = true;
     manualPhaseEnabled = false;
     phaseMode = "auto";
+    viewReset();
+    finderStart("off");
+    timerStop();
     return;
   }
 
@@ -188,7 +572,7 @@ function keyPressed() {
   if (key === 'z' || key === 'Z') {
     if (rouletteState === "off") rouletteStart();
     else if (rouletteState === "spin") rouletteBeginBrake();
-    else if (rouletteState === "brake") rouletteStop(); // emergency stop
+    else if (rouletteState === "brake") rouletteLand(); // emergency stop
     return;
   }
 
@@ -203,46 +587,164 @@ function keyPressed() {
   if (key === '2') { manualPhaseEnabled = true; phaseMode = "tri"; return; }
   if (key === '3') { manualPhaseEnabled = false; phaseMode = "auto"; return; }
 
+  // sound mute
+  if (key === 'm' || key === 'M') {
+    audioToggleMute();
+    return;
+  }
+
+  // signature export (frozen at the frame currently shown)
+  if (key === 'e' || key === 'E') {
+    if (gLastFrame) exportFrame = { ...gLastFrame };
+    return;
+  }
+
+  // record full cycle(s)
+  if (key === 'v' || key === 'V') {
+    recordStart();
+    return;
+  }
+
+  // seeded mode on (fresh seed) / off
+  if (key === 'k' || key === 'K') {
+    if (seedMode) setSeedMode(false);
+    else setSeedMode(true, newSeed());
+    return;
+  }
+
+  // playback (manual time)
+  if (key === 'p' || key === 'P') {
+    togglePlayback();
+    return;
+  }
+  if (key === 'b' || key === 'B') {
+    playReverse = !playReverse;
+    return;
+  }
+  if (key === '+' || key === '=') {
+    playSpeedIdx = Math.min(PLAY_SPEEDS.length - 1, playSpeedIdx + 1);
+    return;
+  }
+  if (key === '-' || key === '_') {
+    playSpeedIdx = Math.max(0, playSpeedIdx - 1);
+    return;
+  }
+
+  // triangle analytics: off / readout / readout + centers
+  if (key === 'a' || key === 'A') {
+    cycleAnalysisMode();
+    return;
+  }
+
+  // reduced motion on / off (overrides the system setting)
+  if (key === 'x' || key === 'X') {
+    toggleReducedMotion(gLastFrame ? gLastFrame.t : millis() * 0.001);
+    return;
+  }
+
+  // theme: light / dark / high contrast / print
+  if (key === 'c' || key === 'C') {
+    cycleTheme();
+    return;
+  }
+
+  // language of all on-canvas text
+  if (key === 'i' || key === 'I') {
+    cycleLocale();
+    return;
+  }
+
+  // almanac sheet of the shown day (hour shape as shown now)
+  if (key === 'l' || key === 'L') {
+    almanacOpen("hour", shownDate(), gLastFrame ? gLastFrame.t : millis() * 0.001, hours24);
+    return;
+  }
+
+  // finder: next condition (scan starts) / jump to the next hit
+  if (key === 'f' || key === 'F') {
+    cycleFinderCondition(gLastFrame ? gLastFrame.t : millis() * 0.001);
+    return;
+  }
+  if (key === 'n' || key === 'N') {
+    finderNext();
+    return;
+  }
+
+  // ghost triangles: off / last hour / last minute
+  if (key === 'g' || key === 'G') {
+    cycleGhostMode();
+    return;
+  }
+
+  // 12 / 24 hour dial
+  if (key === 'h' || key === 'H') {
+    hours24 = !hours24;
+    if (finder) finderStart(finder.cond, finder.tMorph);   // hour marker moved -> rescan
+    return;
+  }
+
+  // time zone / world clock
+  if (key === 'q' || key === 'Q') {
+    cycleTimeZone();
+    return;
+  }
+  if (key === 'w' || key === 'W') {
+    worldMode = !worldMode;
+    return;
+  }
+
+  // share current state
+  if (key === 'u' || key === 'U') {
+    copyStateUrl();
+    return;
+  }
+
   // type in time
   if (key === 't' || key === 'T') {
-    rouletteStop();
-    typingMode = !typingMode;
-    if (typingMode) {
-      timeInput = "";
-      inputHintTimer = millis();
-    }
+    startTyping("time");
     return;
   }
 
-  // typing mode keys
-  if (typingMode) {
-    if (keyCode === ESCAPE) {
-      typingMode = false;
-      timeInput = "";
-      return;
-    }
-    if (keyCode === ENTER || keyCode === RETURN) {
-      const parsed = parseTimeString(timeInput);
-      if (parsed) {
-        rouletteStop();
-        setManualTime(parsed.h, parsed.m, parsed.s);
-        typingMode = false;
-        timeInput = "";
-      } else {
-        inputHintTimer = millis();
-      }
-      return;
-    }
-    if (keyCode === BACKSPACE) {
-      timeInput = timeInput.slice(0, -1);
-      return;
-    }
-    if ((key >= '0' && key <= '9') || key === ':') {
-      if (timeInput.length < 8) timeInput += key;
-      return;
-    }
+  // alarms: type a new one / remove the next one
+  if (key === 'o' || key === 'O') {
+    startTyping("alarm");
+    return;
+  }
+  if (key === 'j' || key === 'J') {
+    alarmRemoveNext(new Date());
+    return;
+  }
+
+  // countdown: type the duration, then pause / resume; stopwatch: start, pause / resume
+  if (key === 'd' || key === 'D') {
+    if (timer && timer.mode === "countdown") timerToggle(millis());
+    else startTyping("countdown");
+    return;
+  }
+  if (key === 's' || key === 'S') {
+    if (timer && timer.mode === "stopwatch") timerToggle(millis());
+    else timerStart("stopwatch", 0, millis());
+    return;
+  }
+}
+
+function mousePressed() {
+  audioResume();
+  if (alarmRing) {
+    alarmDismiss();
     return;
   }
+  if (recordActive() || almanac) return;
+  pointerPressed(mouseX, mouseY, touches);
+}
+
+function mouseDragged() {
+  if (recordActive() || almanac) return;
+  pointerDragged(mouseX, mouseY, touches);
+}
+
+function mouseReleased() {
+  pointerReleased(touches);
 }
 
 // ------------------------------------------------------------
@@ -252,9 +754,17 @@ function setup() {
   pixelDensity(Math.min(window.devicePixelRatio || 1, 2));
   createCanvas(windowWidth, windowHeight);
   textAlign(CENTER, CENTER);
+  a11yInit(document);
+
+  motionInit(window, 0);
+  localeInit(navigator);
+  alarmsInit(window);
+  applyPageConfig(window.MATH_OF_TIME_CONFIG);
+  applyUrlConfig(parseUrlConfig(window.location.search));
 }
 
 function windowResized() {
+  if (recordActive()) return;   // stays at DESIGN size until done
   resizeCanvas(windowWidth, windowHeight);
 }
 
@@ -262,14 +772,29 @@ function windowResized() {
 // DRAW
 // ------------------------------------------------------------
 function draw() {
-  background(245);
+  // almanac sheet instead of the clock (almanac.js)
+  if (almanac) {
+    themeBackground();
+    drawAlmanac();
+    return;
+  }
 
-  const dt = deltaTime / 1000.0;
+  // export frame: same moment again, at DESIGN size, clock stands still
+  const exporting = exportFrame !== null;
+  if (exporting) beginSignatureExport();
+
+  // recording: fixed time step per frame (record.js)
+  const recordingNow = recordActive();
+  const recMorph = recordingNow ? recordStepTime() : 0;
+
+  themeBackground();
+
+  const dt = exporting || recordingNow ? 0 : deltaTime / 1000.0;
   animTime += dt;
   fadeTimer += dt;
 
   // roulette tick + slow brake
-  if (rouletteState !== "off" && millis() >= rouletteNextAt) {
+  if (!exporting && !recordingNow && rouletteState !== "off" && millis() >= rouletteNextAt) {
     setRandomTime();
 
     if (rouletteState === "spin") {
@@ -280,36 +805,44 @@ function draw() {
       rouletteNextAt = millis() + rouletteInterval;
 
       if (rouletteInterval >= ROULETTE_SLOW_STOP) {
-        rouletteStop();
+        rouletteLand();
       }
     }
   }
 
-  const cycle = fadeTimer % 23.0;
+  // finder scan (chunk per frame)
+  if (!exporting && !recordingNow) finderTick();
+
+  // alarms due, countdown at zero (alarms.js)
+  if (!exporting && !recordingNow) alarmTick(new Date(), millis(), timeZone);
+
+  // arrow keys scrub (held = continuous), otherwise playback runs
+  if (!exporting && !recordingNow && !typingMode) {
+    let scrub = 0;
+    if (keyIsDown(LEFT_ARROW)) scrub -= SCRUB_RATE;
+    if (keyIsDown(RIGHT_ARROW)) scrub += SCRUB_RATE;
+    if (keyIsDown(DOWN_ARROW)) scrub -= SCRUB_RATE * 4;
+    if (keyIsDown(UP_ARROW)) scrub += SCRUB_RATE * 4;
+
+    if (scrub !== 0) {
+      rouletteStop();
+      ensureManualTime();
+      shiftManualTime(scrub * dt);
+    } else if (!useLiveTime && !playPaused && !timelineDragging && !markerDrag && rouletteState === "off") {
+      shiftManualTime(playSpeed() * dt);
+    }
+  }
+
+  const cycle = fadeTimer % phaseCycle;
 
   // ------------------------------------------------------------
   // PHASES (auto) OR manual phase lock
   // ------------------------------------------------------------
   if (!manualPhaseEnabled && phaseMode === "auto") {
-    if (cycle < 1.5) {
-      const f = cycle / 1.5;
-      geoAlpha = Math.floor(map(f, 0, 1, 255, 0));
-      triContentAlpha = 0;
-    } else if (cycle < 11.5) {
-      geoAlpha = 0;
-      triContentAlpha = 255;
-    } else if (cycle < 13.0) {
-      geoAlpha = 0;
-      const f = (cycle - 11.5) / 1.5;
-      triContentAlpha = Math.floor(map(f, 0, 1, 255, 0));
-    } else if (cycle < 14.5) {
-      triContentAlpha = 0;
-      const f = (cycle - 13.0) / 1.5;
-      geoAlpha = Math.floor(map(f, 0, 1, 0, 255));
-    } else {
-      geoAlpha = 255;
-      triContentAlpha = 0;
-    }
+    const ph = phaseAt(phaseSchedule, cycle);
+    geoAlpha = ph.geo;
+    triContentAlpha = ph.tri;
+    phaseName = ph.name;
   } else {
     if (phaseMode === "tri") {
       geoAlpha = 0;
@@ -338,17 +871,15 @@ function draw() {
   gSc = sc;
 
   push();
+  if (!exporting && !recordingNow) applyViewTransform();
   translate(offX, offY - CONTENT_MIN_Y * sc);
   scale(sc);
 
   // ------------------------------------------------------------
   // Layout constants
   // ------------------------------------------------------------
-  const cxHour = 450, cyHour = 620;
-  const lineX = 735, lineTop = 140, lineBot = 740;
-  const cxSec = 620, cySec = 420, secW = 260, secH = 520;
+  // (clock geometry layout lives in GEO_LAYOUT, geometry.js)
   const bx = 170, by = 70, bw = 100, bh = 260;
-  const tiltHour = radians(-8);
 
   // ------------------------------------------------------------
   // GRID (Triangle only) — ONLY Y-windowed
@@ -366,7 +897,7 @@ function draw() {
     const gridY0 = Math.max(margin, topAsciiBottomY);
     const gridY1 = Math.min(DESIGN_H - margin, bottomAsciiTopY);
 
-    stroke(0, 18 * (triContentAlpha / 255.0));
+    strokeC(palette.fg, inkA(18 * (triContentAlpha / 255.0)));
     strokeWeight(1);
 
     for (let x = margin; x <= DESIGN_W - margin; x += gridSize) {
@@ -380,279 +911,102 @@ function draw() {
   // ------------------------------------------------------------
   // TIME SOURCE (live vs manual)
   // ------------------------------------------------------------
+  const live = liveTime();
+
   let hNow, mNow, sNow;
   if (useLiveTime) {
-    hNow = hour();
-    mNow = minute();
-    sNow = second();
+    hNow = live.h;
+    mNow = live.m;
+    sNow = live.s;
   } else {
     hNow = manualH;
     mNow = manualM;
     sNow = manualS;
   }
 
-  const S = useLiveTime ? (millis() / 1000.0) % 60.0 : sNow;
-  const M = mNow + S / 60.0;
-  const H12 = (hNow % 12) + M / 60.0;
-
-  let hourMarker = createVector(0, 0);
-  let secondMarker = createVector(0, 0);
-  let minuteMarker = createVector(0, 0);
+  let S = useLiveTime ? live.S : sNow + manualSub;
+  // finder on -> shape as scanned; reduced motion -> shape stands still
+  const heldMorph = finderMorph() !== null ? finderMorph() : motionMorph();
+  let tMorph = recordingNow ? recMorph : (heldMorph !== null ? heldMorph : millis() * 0.001);
+  let dateNow = useLiveTime ? { y: live.y, mo: live.mo, d: live.d } : { y: manualY, mo: manualMo, d: manualD };
+  let dial24 = hours24;
+
+  if (exporting) {
+    hNow = exportFrame.h;
+    mNow = exportFrame.m;
+    S = exportFrame.S;
+    sNow = Math.floor(S);
+    tMorph = exportFrame.t;
+    dateNow = exportFrame.date;
+    dial24 = exportFrame.hours24;
+  }
 
-  // ------------------------------------------------------------
-  // 1) HOUR SHAPE
-  // ------------------------------------------------------------
-  push();
-  translate(cxHour, cyHour);
-  rotate(tiltHour);
+  // countdown / stopwatch: the markers show the remaining / elapsed time
+  if (timer && !exporting && !recordingNow) {
+    S = timerSeconds(millis());
+    hNow = Math.floor(S / 3600);
+    mNow = Math.floor(S / 60) % 60;
+    sNow = Math.floor(S) % 60;
+    S -= hNow * 3600 + mNow * 60;
+  }
 
-  const t = millis() * 0.001;
-  const sizeBase = 180;
+  // typing: the clock previews the typed time / alarm / duration until Enter / Esc
+  const preview = typingMode && !exporting && !recordingNow ? typedInputParse(typingFor, timeInput) : null;
+  if (preview && !preview.error) {
+    hNow = preview.h;
+    mNow = preview.m;
+    sNow = preview.s;
+    S = sNow;
+    if (preview.date) dateNow = preview.date;
+  }
 
-  const pts = new Array(4);
-  pts[0] = createVector(-sizeBase, -sizeBase);
-  pts[1] = createVector(sizeBase, -sizeBase);
-  pts[2] = createVector(sizeBase, sizeBase);
-  pts[3] = createVector(-sizeBase, sizeBase);
+  // all positions / angles for this instant (pure, see geometry.js)
+  const cfg = computeConfiguration(hNow, mNow, S, tMorph, dateNow, { hours24: dial24 });
+  const secondMarker = cfg.markers.second;
+  const minuteMarker = cfg.markers.minute;
+  const { cx: cxSec, w: secW } = cfg.layout.second;
+  const lineX = cfg.layout.minute.x;
 
-  const triF = (sin(t * 0.5) + 1) * 0.5;
-  const kiteF = (sin(t * 0.8 + PI / 3) + 1) * 0.5;
-  const rectF = (sin(t * 0.6 + PI / 5) + 1) * 0.5;
+  const world = worldMode ? worldCells(dateNow, hNow, mNow, S, tMorph, dial24) : null;
+  gLastCfg = world ? null : cfg;
 
-  for (let i = 0; i < 4; i++) {
-    if (i % 2 === 0) pts[i].x *= 1.0 + rectF * 0.3;
-    else pts[i].y *= 1.0 + rectF * 0.2;
+  if (world) {
+    drawWorldClocks(world);
+  } else {
+    drawGhosts(hNow, mNow, S, tMorph, dial24);
+    drawClockFace(cfg, true);
+    drawDateFace(cfg.date);
   }
 
-  pts[0].x -= kiteF * 50;
-  pts[2].x += kiteF * 50;
-  pts[1].y -= kiteF * 30;
-  pts[3].y += kiteF * 30;
-
-  const midTop = p5.Vector.lerp(pts[0], pts[1], 0.5);
-  pts[0].lerp(midTop, triF * 0.9);
-  pts[1].lerp(midTop, triF * 0.9);
+  const angH = cfg.angles.h;
+  const angM = cfg.angles.m;
+  const angS = cfg.angles.s;
 
-  noFill();
-  stroke(0, 85 * (geoAlpha / 255.0));
-  strokeWeight(1.8);
+  // ------------------------------------------------------------
+  // SOUND (follows angles, markers and phase alphas)
+  // ------------------------------------------------------------
+  audioUpdate({
+    angles: [angH, angM, angS],
+    markers: [cfg.markers.hour, minuteMarker, secondMarker],
+    geoAlpha,
+    triContentAlpha,
+    second: sNow,
+  });
 
-  beginShape();
-  for (let i = 0; i < pts.length; i++) vertex(pts[i].x, pts[i].y);
-  endShape(CLOSE);
+  // ------------------------------------------------------------
+  // INFO PANEL (box + point readout) — world mode has no single triangle
+  // ------------------------------------------------------------
+  if (!worldMode) drawPointPanel(cfg, bx, by);
 
-  let perim = 0;
-  for (let i = 0; i < 4; i++) {
-    const a = pts[i];
-    const b = pts[(i + 1) % 4];
-    perim += dist(a.x, a.y, b.x, b.y);
-  }
-
-  const aH = map(H12 % 12, 0, 12, 0, perim);
-  let lenSoFar = 0;
-  for (let i = 0; i < 4; i++) {
-    const a = pts[i];
-    const b = pts[(i + 1) % 4];
-    const d = dist(a.x, a.y, b.x, b.y);
-    if (aH <= lenSoFar + d) {
-      const f = (aH - lenSoFar) / d;
-      hourMarker = p5.Vector.lerp(a, b, f);
-      break;
-    }
-    lenSoFar += d;
+  // ------------------------------------------------------------
+  // ANALYTICS (readout under the Point panel, centers on the triangle)
+  // ------------------------------------------------------------
+  if (!worldMode && analysisMode !== "off") {
+    const an = triangleAnalysis(cfg.markers);
+    drawAnalysisPanel(an, bx, by + 280);
+    if (analysisMode === "draw") drawTriangleCenters(an);
   }
 
-  // hour numbers
-  const step = perim / 12.0;
-  let traveled = 0;
-  let currentIndex = 0;
-  let edgeStart = pts[0];
-  let edgeEnd = pts[1];
-  let edgeLen = dist(edgeStart.x, edgeStart.y, edgeEnd.x, edgeEnd.y);
-
-  for (let i = 0; i < 12; i++) {
-    const target = i * step;
-
-    while (target > traveled + edgeLen) {
-      traveled += edgeLen;
-      currentIndex = (currentIndex + 1) % 4;
-      edgeStart = pts[currentIndex];
-      edgeEnd = pts[(currentIndex + 1) % 4];
-      edgeLen = dist(edgeStart.x, edgeStart.y, edgeEnd.x, edgeEnd.y);
-    }
-
-    const ratio = (target - traveled) / edgeLen;
-    const pos = p5.Vector.lerp(edgeStart, edgeEnd, ratio);
-    const disp = i === 0 ? 12 : i;
-
-    const isActive = abs((H12 % 12) - disp) < 0.5;
-
-    noStroke();
-    if (isActive) {
-      fill(0, geoAlpha);
-      textFont("monospace");
-      textSize(26);
-    } else {
-      fill(0, 140 * (geoAlpha / 255.0));
-      textFont("Helvetica, Arial, sans-serif");
-      textSize(13);
-    }
-
-    push();
-    translate(pos.x, pos.y);
-    text(String(disp), 0, 0);
-    pop();
-  }
-
-  noStroke();
-  fill(10, 40, 160);
-  ellipse(hourMarker.x, hourMarker.y, 18, 18);
-
-  pop(); // hour shape
-
-  // ------------------------------------------------------------
-  // 2) SECONDS OVAL
-  // ------------------------------------------------------------
-  noFill();
-  stroke(0, 90 * (geoAlpha / 255.0));
-  strokeWeight(1.4);
-  ellipse(cxSec, cySec, secW, secH);
-
-  textFont("Helvetica, Arial, sans-serif");
-  textSize(10);
-
-  for (let i = 0; i < 60; i++) {
-    const a = TWO_PI * (i / 60.0) - HALF_PI;
-
-    const ox = cxSec + cos(a) * (secW * 0.5);
-    const oy = cySec + sin(a) * (secH * 0.5);
-
-    const ix = cxSec + cos(a) * (secW * 0.5 - (i % 5 === 0 ? 14 : 7));
-    const iy = cySec + sin(a) * (secH * 0.5 - (i % 5 === 0 ? 14 : 7));
-
-    stroke(0, 70 * (geoAlpha / 255.0));
-    line(ix, iy, ox, oy);
-
-    if (i % 5 === 0) {
-      noStroke();
-      fill(0, 130 * (geoAlpha / 255.0));
-
-      const lx = cxSec + cos(a) * (secW * 0.5 + 18);
-      const ly = cySec + sin(a) * (secH * 0.5 + 18);
-
-      push();
-      translate(lx, ly);
-      rotate(a + HALF_PI);
-      text(nf(i, 2), 0, 0);
-      pop();
-    }
-  }
-
-  const aS = map(S, 0, 60, 0, TWO_PI) - HALF_PI;
-  const sx = cxSec + cos(aS) * (secW * 0.5);
-  const sy = cySec + sin(aS) * (secH * 0.5);
-  secondMarker = createVector(sx, sy);
-
-  noStroke();
-  fill(10, 40, 160);
-  ellipse(sx, sy, 8, 8);
-
-  // ------------------------------------------------------------
-  // 3) MINUTES
-  // ------------------------------------------------------------
-  stroke(0, 100 * (geoAlpha / 255.0));
-  strokeWeight(1.4);
-  line(lineX, lineTop, lineX, lineBot);
-
-  textFont("Helvetica, Arial, sans-serif");
-  textSize(10);
-
-  for (let i = 0; i < 60; i++) {
-    const y = map(i, 0, 59, lineTop, lineBot);
-    const len = i % 5 === 0 ? 14 : 7;
-
-    stroke(0, 70 * (geoAlpha / 255.0));
-    line(lineX - len, y, lineX, y);
-
-    if (i % 5 === 0) {
-      noStroke();
-      fill(0, 140 * (geoAlpha / 255.0));
-      textAlign(RIGHT, CENTER);
-      text(nf(i, 2), lineX - 18, y);
-    }
-  }
-
-  const yM = map(M % 60.0, 0, 60, lineTop, lineBot);
-  minuteMarker = createVector(lineX, yM);
-
-  noStroke();
-  fill(10, 40, 160);
-  ellipse(lineX, yM, 13, 13);
-
-  // ------------------------------------------------------------
-  // 4) TRIANGLE LINES
-  // ------------------------------------------------------------
-  const hx = cxHour + cos(tiltHour) * hourMarker.x - sin(tiltHour) * hourMarker.y;
-  const hy = cyHour + sin(tiltHour) * hourMarker.x + cos(tiltHour) * hourMarker.y;
-
-  stroke(200, 0, 0, 76);
-  strokeWeight(1.8);
-  line(hx, hy, secondMarker.x, secondMarker.y);
-  line(secondMarker.x, secondMarker.y, minuteMarker.x, minuteMarker.y);
-  line(minuteMarker.x, minuteMarker.y, hx, hy);
-
-  // ------------------------------------------------------------
-  // ANGLES — ALWAYS VISIBLE
-  // ------------------------------------------------------------
-  const H = createVector(hx, hy);
-  const Mv = createVector(minuteMarker.x, minuteMarker.y);
-  const Sv = createVector(secondMarker.x, secondMarker.y);
-
-  const angH = angleAtPoint(H, Sv, Mv);
-  const angM = angleAtPoint(Mv, H, Sv);
-  const angS = angleAtPoint(Sv, H, Mv);
-
-  textFont("monospace");
-  textSize(10);
-  fill(0);
-  noStroke();
-
-  textAlign(CENTER, TOP);
-  text(nf(angH, 0, 1) + "°", hx, hy + 18);
-  text(nf(angM, 0, 1) + "°", minuteMarker.x, minuteMarker.y + 18);
-
-  textAlign(CENTER, BOTTOM);
-  text(nf(angS, 0, 1) + "°", secondMarker.x, secondMarker.y - 12);
-
-  // ------------------------------------------------------------
-  // INFO PANEL (box + point readout)
-  // ------------------------------------------------------------
-  noFill();
-  stroke(0);
-  strokeWeight(1.2);
-  rect(bx, by, 100, 260);
-
-  fill(0);
-  noStroke();
-  textAlign(LEFT, TOP);
-  textFont("monospace");
-  textSize(10);
-
-  const tx = bx + 25;
-  const ty = by + 25;
-
-  text("Point (h)", tx, ty);
-  text("X: " + Math.floor(hx), tx, ty + 20);
-  text("Y: " + Math.floor(hy), tx, ty + 40);
-
-  text("Point (min)", tx, ty + 80);
-  text("X: " + Math.floor(minuteMarker.x), tx, ty + 100);
-  text("Y: " + Math.floor(minuteMarker.y), tx, ty + 120);
-
-  text("Point (sec)", tx, ty + 160);
-  text("X: " + Math.floor(secondMarker.x), tx, ty + 180);
-  text("Y: " + Math.floor(secondMarker.y), tx, ty + 200);
-
   // ------------------------------------------------------------
   // ASCII + calculating + loading (Triangle-Content)
   // ------------------------------------------------------------
@@ -677,12 +1031,12 @@ function draw() {
     textAlign(LEFT, TOP);
     textFont("monospace");
     textSize(ASCII_PX * 0.9);
-    fill(0, triContentAlpha);
+    fillC(palette.fg, triContentAlpha);
 
     for (let r = 0; r < ASCII_ROWS; r++) {
       for (let c = 0; c < ASCII_COLS; c++) {
         if (mask[r][c] === 1) {
-          const d = Math.floor(random(0, 10));
+          const d = asciiDigit(hNow, mNow, sNow, 0, r, c);
           text(String(d), startX1 + c * ASCII_PX, startY1 + r * ASCII_PX);
         }
       }
@@ -697,35 +1051,34 @@ function draw() {
     for (let r = 0; r < ASCII_ROWS; r++) {
       for (let c = 0; c < ASCII_COLS; c++) {
         if (mask[r][c] === 1) {
-          const d = Math.floor(random(0, 10));
+          const d = asciiDigit(hNow, mNow, sNow, 1, r, c);
           text(String(d), startX2 + c * ASCII_PX, startY2 + r * ASCII_PX);
         }
       }
     }
 
     // "calculating time…"
-    const full = "calculating time…";
+    const full = tr("canvas.calculating");
     const L = full.length;
     const baseX = 310;
     const baseY = 200;
     const gapY = 18;
 
-    const phase = cycle - 1.5;
+    // timings from the overlay phase of the schedule (phases.js)
+    const ov = overlayAt(phaseSchedule, phaseOverlay, cycle);
 
     let msg = "";
     let alpha = 255;
 
-    if (phase < 2.0) {
-      const letters = Math.floor(map(phase, 0, 2.0, 1, L));
+    if (ov.text === "type") {
+      const letters = Math.floor(map(ov.f, 0, 1, 1, L));
       msg = full.substring(0, letters);
       alpha = 255;
-    } else if (phase < 7.0) {
+    } else if (ov.text === "blink") {
       msg = full;
-      const blink = sin(frameCount * 0.15);
-      alpha = map(blink, -1, 1, 60, 255);
-    } else if (phase < 9.0) {
-      const f = map(phase, 7.0, 9.0, 1.0, 0.0);
-      const letters = Math.floor(map(f, 0, 1, 1, L));
+      alpha = motionBlinkAlpha(animTime);   // slower + shallower with reduced motion
+    } else if (ov.text === "untype") {
+      const letters = Math.floor(map(1 - ov.f, 0, 1, 1, L));
       msg = full.substring(0, letters);
       alpha = 255;
     } else {
@@ -737,7 +1090,7 @@ function draw() {
 
     textFont("monospace");
     textSize(12);
-    fill(0, finalAlpha);
+    fillC(palette.fg, finalAlpha);
     textAlign(LEFT, CENTER);
 
     text(msg, baseX, baseY);
@@ -745,11 +1098,11 @@ function draw() {
     text(msg, baseX, baseY + gapY * 2);
 
     // loading bar
-    let p = constrain(cycle - 1.5, 0, 8.0);
-    const filledBoxes = Math.floor(p / 2.0);
+    const boxes = phaseOverlay.boxes;
+    const filledBoxes = Math.floor(ov.load * boxes);
 
-    const fullWidth = textWidth("calculating time…");
-    const boxWidth = fullWidth / 4.0;
+    const fullWidth = textWidth(full);
+    const boxWidth = fullWidth / boxes;
     const boxHeight = 10;
     const gap = 2;
 
@@ -757,21 +1110,21 @@ function draw() {
     const ly = 265;
 
     const aStroke = 180 * (triContentAlpha / 255.0);
-    stroke(0, aStroke);
+    strokeC(palette.fg, aStroke);
     strokeWeight(1);
 
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < boxes; i++) {
       const x = lx + i * boxWidth;
 
       noFill();
       rect(x, ly, boxWidth - gap, boxHeight);
 
       if (i < filledBoxes) {
-        fill(0, triContentAlpha);
+        fillC(palette.fg, triContentAlpha);
         noStroke();
         rect(x, ly, boxWidth - gap, boxHeight);
 
-        stroke(0, aStroke);
+        strokeC(palette.fg, aStroke);
         noFill();
       }
     }
@@ -780,9 +1133,9 @@ function draw() {
   // ------------------------------------------------------------
   // DAY TEXT
   // ------------------------------------------------------------
-  const dNow = day();
-  const dMax = daysInMonth(year(), month());
-  const dayText = "day " + dNow + " of " + dMax;
+  const dNow = dateNow.d;
+  const dMax = daysInMonth(dateNow.y, dateNow.mo);
+  const dayText = tr("canvas.day", { date: fmtDate(dateNow), d: dNow, n: dMax });
 
   const dayX = lineX;
   const dayY = -180;
@@ -790,7 +1143,7 @@ function draw() {
   textAlign(RIGHT, CENTER);
   textFont("monospace");
   textSize(12);
-  fill(0);
+  fillC(palette.fg);
   noStroke();
   text(dayText, dayX, dayY);
 
@@ -799,296 +1152,898 @@ function draw() {
   // ------------------------------------------------------------
   // NEGATIVE EFFECT — PERFECTLY SYNCED
   // ------------------------------------------------------------
-  if (triContentAlpha > 0) {
+  if (negativeOn()) {
     const frameImg = get();
     frameImg.filter(INVERT);
 
     tint(255, triContentAlpha);
     image(frameImg, 0, 0);
     noTint();
+  } else if (reducedMotion && palette.negative && triContentAlpha > 0) {
+    drawMotionTint(triContentAlpha);
+  }
+
+  if (exporting) {
+    endSignatureExport(exportFrame, cfg, world);
+    exportFrame = null;
+    return;
   }
 
+  if (recordingNow) {
+    recordCaptureFrame();
+    return;
+  }
+
+  gLastFrame = {
+    h: hNow,
+    m: mNow,
+    S,
+    t: tMorph,
+    date: dateNow,
+    hours24: dial24,
+    source: useLiveTime ? "live" : "manual",
+    seed: seedMode ? seedValue : null,
+  };
+
+  // screen-reader layer (throttled inside)
+  a11yUpdate({
+    h: hNow,
+    m: mNow,
+    s: Math.floor(S),
+    phase: manualPhaseEnabled ? phaseMode : phaseName,
+    manualPhase: manualPhaseEnabled,
+    roulette: rouletteState,
+    ring: alarmRing ? alarmRing.text : null,
+    angles: cfg.angles,
+  }, helpBoxLines, millis());
+
+  // ringing alarm / countdown (also without UI: kiosks run with ?hideui=1)
+  drawAlarmRing(millis());
+
   // ------------------------------------------------------------
   // UI (screen space; not inverted)
   // ------------------------------------------------------------
-  drawHelpBox();       // right box (controls)
-  drawInfoBoxLeft();   // left box (project info)
+  if (!showUI) return;
+
+  drawTimeline(hNow * 3600 + mNow * 60 + S);
+  drawUI();            // Controls + Info boxes (side / stacked / drawers)
 }
 
 // ------------------------------------------------------------
-// HELP BOX UI (RIGHT) — starts where grid ends to the right
+// CLOCK FACE — renders one configuration (DESIGN coords)
+// detail = false -> no numbers / ticks / angle labels (mini faces, world mode)
 // ------------------------------------------------------------
-function drawHelpBox() {
-  const isNeg = triContentAlpha > 0;
-  const fg = isNeg ? 255 : 0;
-  const fgA = isNeg ? 210 : 190;
-  const strokeA = isNeg ? 150 : 140;
+function drawClockFace(cfg, detail) {
+  const hourShape = cfg.hourShape;
+  const hourMarker = cfg.markers.hourLocal;
+  const secondMarker = cfg.markers.second;
+  const minuteMarker = cfg.markers.minute;
+  const { cx: cxSec, cy: cySec, w: secW, h: secH } = cfg.layout.second;
+  const { x: lineX, top: lineTop, bottom: lineBot } = cfg.layout.minute;
 
-  // Grid bounds in SCREEN SPACE
-  const margin = 70;
-  const gridRightScreen = gOffX + (DESIGN_W - margin) * gSc;
-  const gridTopScreen   = gOffY + (margin - CONTENT_MIN_Y) * gSc;
+  // ------------------------------------------------------------
+  // 1) HOUR SHAPE
+  // ------------------------------------------------------------
+  push();
+  translate(hourShape.cx, hourShape.cy);
+  rotate(radians(hourShape.tiltDeg));
 
-  const x = gridRightScreen;
-  const y = gridTopScreen;
+  const pts = hourShape.local;
 
-  const pad = 18;
-  const lh = 16;
-  const fontSize = 12;
+  noFill();
+  strokeC(palette.fg, inkA(85 * (geoAlpha / 255.0)));
+  strokeWeight(1.8);
 
-  textFont("monospace");
-  textSize(fontSize);
+  beginShape();
+  for (let i = 0; i < pts.length; i++) vertex(pts[i].x, pts[i].y);
+  endShape(CLOSE);
 
-  const rightMargin = 24;
-  const maxW = Math.max(240, width - x - rightMargin);
+  // hour numbers
+  if (detail) {
+    for (const num of hourShape.numbers) {
+      noStroke();
+      if (num.active) {
+        fillC(palette.fg, geoAlpha);
+        textFont("monospace");
+        textSize(26);
+      } else {
+        fillC(palette.fg, inkA(140 * (geoAlpha / 255.0)));
+        textFont("Helvetica, Arial, sans-serif");
+        textSize(13);
+      }
 
-  const modeTime = useLiveTime ? "LIVE" : "MANUAL";
-  const modePhase = manualPhaseEnabled ? `MANUAL (${phaseMode.toUpperCase()})` : "AUTO";
-  const rouletteTxt = rouletteState === "off" ? "OFF" : (rouletteState === "spin" ? "ON" : "BRAKE");
+      push();
+      translate(num.pos.x, num.pos.y);
+      text(String(num.value), 0, 0);
+      pop();
+    }
+  }
 
-  const shownTime = useLiveTime
-    ? `${fmt2(hour())}:${fmt2(minute())}:${fmt2(second())}`
-    : `${fmt2(manualH)}:${fmt2(manualM)}:${fmt2(manualS)}`;
+  noStroke();
+  fillC(palette.marker);
+  ellipse(hourMarker.x, hourMarker.y, 18, 18);
 
-  let rawLines = [];
-  rawLines.push("Controls");
-  rawLines.push("");
-  rawLines.push(`Time:     ${modeTime}   [${shownTime}]`);
-  rawLines.push(`Phase:    ${modePhase}`);
-  rawLines.push(`Roulette: ${rouletteTxt}`);
-  rawLines.push("");
-  rawLines.push("T   type time (HH:MM or HH:MM:SS)");
-  rawLines.push("    Enter apply");
-  rawLines.push("Z   toggle roulette (slow brake)");
-  rawLines.push("R   reset to live");
-  rawLines.push("Space  auto/manual phase");
-  rawLines.push("1 geo   2 triangle   3 auto");
+  pop(); // hour shape
 
-  if (typingMode) {
-    rawLines.push("");
-    const blink = (sin(millis() * 0.012) + 1) * 0.5;
-    const caret = blink > 0.5 ? "_" : " ";
-    rawLines.push(`INPUT: ${timeInput}${caret}`);
+  // ------------------------------------------------------------
+  // 2) SECONDS OVAL
+  // ------------------------------------------------------------
+  noFill();
+  strokeC(palette.fg, inkA(90 * (geoAlpha / 255.0)));
+  strokeWeight(1.4);
+  ellipse(cxSec, cySec, secW, secH);
+
+  if (detail) {
+    textFont("Helvetica, Arial, sans-serif");
+    textSize(10);
 
-    const parsed = parseTimeString(timeInput);
-    if (timeInput.length > 0 && !parsed && (millis() - inputHintTimer) < 900) {
-      rawLines.push("format: HH:MM or HH:MM:SS");
+    for (let i = 0; i < 60; i++) {
+      const a = TWO_PI * (i / 60.0) - HALF_PI;
+
+      const ox = cxSec + cos(a) * (secW * 0.5);
+      const oy = cySec + sin(a) * (secH * 0.5);
+
+      const ix = cxSec + cos(a) * (secW * 0.5 - (i % 5 === 0 ? 14 : 7));
+      const iy = cySec + sin(a) * (secH * 0.5 - (i % 5 === 0 ? 14 : 7));
+
+      strokeC(palette.fg, inkA(70 * (geoAlpha / 255.0)));
+      line(ix, iy, ox, oy);
+
+      if (i % 5 === 0) {
+        noStroke();
+        fillC(palette.fg, inkA(130 * (geoAlpha / 255.0)));
+
+        const lx = cxSec + cos(a) * (secW * 0.5 + 18);
+        const ly = cySec + sin(a) * (secH * 0.5 + 18);
+
+        push();
+        translate(lx, ly);
+        rotate(a + HALF_PI);
+        text(nf(i, 2), 0, 0);
+        pop();
+      }
     }
   }
 
-  const wrapWidth = maxW - pad * 2;
-  let lines = [];
+  noStroke();
+  fillC(palette.marker);
+  ellipse(secondMarker.x, secondMarker.y, 8, 8);
 
-  function pushWrapped(line) {
-    if (line === "") { lines.push(""); return; }
-    if (textWidth(line) <= wrapWidth) { lines.push(line); return; }
+  // ------------------------------------------------------------
+  // 3) MINUTES
+  // ------------------------------------------------------------
+  strokeC(palette.fg, inkA(100 * (geoAlpha / 255.0)));
+  strokeWeight(1.4);
+  line(lineX, lineTop, lineX, lineBot);
 
-    const words = line.split(" ");
-    let current = "";
+  if (detail) {
+    textFont("Helvetica, Arial, sans-serif");
+    textSize(10);
 
-    for (let i = 0; i < words.length; i++) {
-      const test = current ? (current + " " + words[i]) : words[i];
-      if (textWidth(test) <= wrapWidth) current = test;
-      else {
-        if (current) lines.push(current);
-        current = words[i];
+    for (let i = 0; i < 60; i++) {
+      const y = map(i, 0, 59, lineTop, lineBot);
+      const len = i % 5 === 0 ? 14 : 7;
+
+      strokeC(palette.fg, inkA(70 * (geoAlpha / 255.0)));
+      line(lineX - len, y, lineX, y);
+
+      if (i % 5 === 0) {
+        noStroke();
+        fillC(palette.fg, inkA(140 * (geoAlpha / 255.0)));
+        textAlign(RIGHT, CENTER);
+        text(nf(i, 2), lineX - 18, y);
       }
     }
-    if (current) lines.push(current);
   }
 
-  for (const l of rawLines) pushWrapped(l);
+  noStroke();
+  fillC(palette.marker);
+  ellipse(minuteMarker.x, minuteMarker.y, 13, 13);
 
-  let desiredW = 240;
-  for (const l of lines) desiredW = Math.max(desiredW, textWidth(l) + pad * 2);
-  const boxW = Math.min(desiredW, maxW);
-  const boxH = pad * 2 + lines.length * lh;
+  // ------------------------------------------------------------
+  // 4) TRIANGLE LINES
+  // ------------------------------------------------------------
+  const hx = cfg.markers.hour.x;
+  const hy = cfg.markers.hour.y;
 
-  // store so left box can match exactly
-  gControlsBoxW = boxW;
-  gControlsBoxH = boxH;
+  strokeC(palette.triangle, inkA(76));
+  strokeWeight(1.8);
+  line(hx, hy, secondMarker.x, secondMarker.y);
+  line(secondMarker.x, secondMarker.y, minuteMarker.x, minuteMarker.y);
+  line(minuteMarker.x, minuteMarker.y, hx, hy);
 
+  // ------------------------------------------------------------
+  // ANGLES — ALWAYS VISIBLE (except in mini faces)
+  // ------------------------------------------------------------
+  if (!detail) return;
+
+  const angH = cfg.angles.h;
+  const angM = cfg.angles.m;
+  const angS = cfg.angles.s;
+
+  textFont("monospace");
+  textSize(10);
+  fillC(palette.fg);
+  noStroke();
+
+  textAlign(CENTER, TOP);
+  text(fmtDeg(angH), hx, hy + 18);
+  text(fmtDeg(angM), minuteMarker.x, minuteMarker.y + 18);
+
+  textAlign(CENTER, BOTTOM);
+  text(fmtDeg(angS), secondMarker.x, secondMarker.y - 12);
+}
+
+// ------------------------------------------------------------
+// DATE FACE — day-of-month oval, day-of-year shape, month line
+// built like seconds oval / hour shape / minute line (DESIGN coords)
+// ------------------------------------------------------------
+function drawDateFace(dc) {
+  const L = GEO_LAYOUT;
+  const geoF = geoAlpha / 255.0;
+
+  textFont("Helvetica, Arial, sans-serif");
+  textSize(9);
+
+  // DAY OF MONTH (oval, one tick per day)
   noFill();
-  stroke(fg, strokeA);
-  strokeWeight(1);
-  rect(x, y, boxW, boxH);
+  strokeC(palette.fg, inkA(90 * geoF));
+  strokeWeight(1.2);
+  ellipse(L.day.cx, L.day.cy, L.day.w, L.day.h);
+
+  for (let i = 0; i < dc.daysInMonth; i++) {
+    const a = TWO_PI * (i / dc.daysInMonth) - HALF_PI;
+    const len = (i + 1) % 5 === 0 || i === 0 ? 10 : 5;
+
+    strokeC(palette.fg, inkA(70 * geoF));
+    line(
+      L.day.cx + cos(a) * (L.day.w * 0.5 - len), L.day.cy + sin(a) * (L.day.h * 0.5 - len),
+      L.day.cx + cos(a) * (L.day.w * 0.5),       L.day.cy + sin(a) * (L.day.h * 0.5)
+    );
+
+    if ((i + 1) % 5 === 0 || i === 0) {
+      noStroke();
+      fillC(palette.fg, inkA(130 * geoF));
+      textAlign(CENTER, CENTER);
+      text(nf(i + 1, 2), L.day.cx + cos(a) * (L.day.w * 0.5 + 14), L.day.cy + sin(a) * (L.day.h * 0.5 + 14));
+    }
+  }
+
+  // DAY OF YEAR (square, one lap per year, month labels at each 1st)
+  const ys = dc.yearShape;
+  push();
+  translate(ys.cx, ys.cy);
+  rotate(radians(ys.tiltDeg));
+
+  noFill();
+  strokeC(palette.fg, inkA(85 * geoF));
+  strokeWeight(1.4);
+  beginShape();
+  for (const P of ys.local) vertex(P.x, P.y);
+  endShape(CLOSE);
+
+  for (const ms of ys.monthStarts) {
+    strokeC(palette.fg, inkA(70 * geoF));
+    line(ms.pos.x * 0.92, ms.pos.y * 0.92, ms.pos.x, ms.pos.y);
+
+    noStroke();
+    fillC(palette.fg, inkA((ms.active ? 255 : 140) * geoF));
+    textSize(ms.active ? 13 : 9);
+    textAlign(CENTER, CENTER);
+    text(nf(ms.value, 2), ms.pos.x * 1.18, ms.pos.y * 1.18);
+  }
 
   noStroke();
-  fill(fg, fgA);
-  textAlign(LEFT, TOP);
+  fillC(palette.marker);
+  ellipse(dc.markers.yearLocal.x, dc.markers.yearLocal.y, 12, 12);
+  pop();
+
+  // MONTH (horizontal line, 12 steps)
+  const mLen = L.month.right - L.month.left;
+  strokeC(palette.fg, inkA(100 * geoF));
+  strokeWeight(1.2);
+  line(L.month.left, L.month.y, L.month.right, L.month.y);
 
-  const textX = x + pad;
-  const textY = y + pad;
+  textSize(9);
+  for (let i = 0; i <= 12; i++) {
+    const x = L.month.left + (i / 12) * mLen;
+    strokeC(palette.fg, inkA(70 * geoF));
+    line(x, L.month.y, x, L.month.y + 10);
 
-  for (let i = 0; i < lines.length; i++) {
-    text(lines[i], textX, textY + i * lh);
+    if (i < 12) {
+      noStroke();
+      fillC(palette.fg, inkA(140 * geoF));
+      textAlign(CENTER, TOP);
+      text(nf(i + 1, 2), x + mLen / 24, L.month.y + 8);
+    }
   }
+
+  // markers + date triangle
+  noStroke();
+  fillC(palette.marker);
+  ellipse(dc.markers.day.x, dc.markers.day.y, 8, 8);
+  ellipse(dc.markers.month.x, dc.markers.month.y, 10, 10);
+
+  const D = dc.markers.day, Mo = dc.markers.month, Y = dc.markers.year;
+  strokeC(palette.triangle, inkA(45));
+  strokeWeight(1.2);
+  line(D.x, D.y, Mo.x, Mo.y);
+  line(Mo.x, Mo.y, Y.x, Y.y);
+  line(Y.x, Y.y, D.x, D.y);
 }
 
 // ------------------------------------------------------------
-// LEFT INFO BOX — same size as Controls; ends where grid begins to the left
+// WORLD MODE — one mini signature per city in WORLD_ZONES
+// manual time is read as wall clock of the chosen zone, then shifted
 // ------------------------------------------------------------
-function drawInfoBoxLeft() {
-  const isNeg = triContentAlpha > 0;
-  const fg = isNeg ? 255 : 0;
-  const fgA = isNeg ? 210 : 190;
-  const strokeA = isNeg ? 150 : 140;
+const WORLD_COLS = 2;
+const WORLD_ROWS = 3;
+const WORLD_X0 = 120, WORLD_Y0 = 90, WORLD_CELL_W = 420, WORLD_CELL_H = 265;
+const WORLD_SCALE = 0.3;
+const WORLD_FACE_CX = 470, WORLD_FACE_CY = 505;   // center of the full clock face
+
+// one cell per zone: { zone, time: { h, m, s }, offset (min), cfg, x, y (top left) }
+// (drawn here, exported by export.js)
+function worldCells(date, hNow, mNow, S, tMorph, dial24) {
+  const sInt = Math.floor(S);
+  const ms = (S - sInt) * 1000;
+  const base = zonedWallToDate({ y: date.y, mo: date.mo, d: date.d, h: hNow, m: mNow, s: sInt }, timeZone);
+  const instant = new Date(base.getTime() + ms);
+  const cells = [];
+
+  for (let i = 0; i < WORLD_ZONES.length && i < WORLD_COLS * WORLD_ROWS; i++) {
+    const zone = WORLD_ZONES[i];
+    const p = zonedTimeParts(instant, zone);
+    cells.push({
+      zone,
+      time: { h: p.h, m: p.m, s: p.s },
+      offset: zoneOffsetMinutes(instant, zone),
+      cfg: computeConfiguration(p.h, p.m, p.s + ms / 1000.0, tMorph, null, { hours24: dial24 }),
+      x: WORLD_X0 + (i % WORLD_COLS) * WORLD_CELL_W,
+      y: WORLD_Y0 + Math.floor(i / WORLD_COLS) * WORLD_CELL_H,
+    });
+  }
+  return cells;
+}
 
-  // --- Grid / ASCII bounds (DESIGN coords) ---
-  const margin = 70;
+function worldLabel(cell) {
+  const t = cell.time;
+  return `${zoneLabel(cell.zone)}  ${formatOffset(cell.offset)}  ${fmt2(t.h)}:${fmt2(t.m)}:${fmt2(t.s)}`;
+}
 
-  // bottom-left ASCII starts here (DESIGN coords) — same as in your ASCII drawing
-  const bottomAsciiTopY = DESIGN_H / 2 - (ASCII_ROWS * ASCII_PX) / 2;
+function drawWorldClocks(cells) {
+  for (const cell of cells) {
+    push();
+    translate(cell.x + WORLD_CELL_W / 2, cell.y + (WORLD_CELL_H - 30) / 2);
+    scale(WORLD_SCALE);
+    translate(-WORLD_FACE_CX, -WORLD_FACE_CY);
+    drawClockFace(cell.cfg, false);
+    pop();
 
-  // Grid top (DESIGN coords)
-  const gridTopY = margin;
+    noStroke();
+    fillC(palette.fg, cell.zone === timeZone ? 255 : 170);
+    textFont("monospace");
+    textSize(11);
+    textAlign(CENTER, TOP);
+    text(worldLabel(cell), cell.x + WORLD_CELL_W / 2, cell.y + WORLD_CELL_H - 24);
+  }
+}
 
-  // Box bottom should be: beginning of bottom-left ASCII (DESIGN coords)
-  const boxBottomY = bottomAsciiTopY;
+// ------------------------------------------------------------
+// POINT PANEL — box + X/Y readout of the three triangle points
+// ------------------------------------------------------------
+function drawPointPanel(cfg, bx, by) {
+  const hx = cfg.markers.hour.x;
+  const hy = cfg.markers.hour.y;
+  const minuteMarker = cfg.markers.minute;
+  const secondMarker = cfg.markers.second;
 
-  // Convert to SCREEN SPACE using current content transform
-  const gridLeftScreen = gOffX + (margin) * gSc;
-  const yTopScreen = gOffY + (gridTopY - CONTENT_MIN_Y) * gSc;
-  const yBottomScreen = gOffY + (boxBottomY - CONTENT_MIN_Y) * gSc;
+  noFill();
+  strokeC(palette.fg);
+  strokeWeight(1.2);
+  rect(bx, by, 100, 260);
 
-  // Width like Controls, height = up to ASCII start
-  const boxW = gControlsBoxW;
-  const boxH = Math.max(140, yBottomScreen - yTopScreen);
+  fillC(palette.fg);
+  noStroke();
+  textAlign(LEFT, TOP);
+  textFont("monospace");
+  textSize(10);
 
-  // Position: right edge touches grid left edge
-  const x = gridLeftScreen - boxW;
-  const y = yTopScreen;
+  const tx = bx + 25;
+  const ty = by + 25;
 
-  // Typography
-  const pad = 18;
-  const lh = 16;
-  const fontSize = 12;
+  text(tr("point.h"), tx, ty);
+  text("X: " + Math.floor(hx), tx, ty + 20);
+  text("Y: " + Math.floor(hy), tx, ty + 40);
+
+  text(tr("point.min"), tx, ty + 80);
+  text("X: " + Math.floor(minuteMarker.x), tx, ty + 100);
+  text("Y: " + Math.floor(minuteMarker.y), tx, ty + 120);
+
+  text(tr("point.sec"), tx, ty + 160);
+  text("X: " + Math.floor(secondMarker.x), tx, ty + 180);
+  text("Y: " + Math.floor(secondMarker.y), tx, ty + 200);
+}
+
+// ------------------------------------------------------------
+// ANALYSIS PANEL — same look as the Point panel, right below it
+// ------------------------------------------------------------
+function drawAnalysisPanel(an, bx, by) {
+  const f1 = v => fmtNum(v, 1);
+  const pt = P => (P ? `${Math.round(P.x)},${Math.round(P.y)}` : "-");
 
   textFont("monospace");
-  textSize(fontSize);
+  textSize(10);
+
+  // longer words of other languages wrap inside the panel
+  const rows = wrapLines([
+    tr("an.sides"),
+    "h-m " + f1(an.sides.hm),
+    "m-s " + f1(an.sides.ms),
+    "s-h " + f1(an.sides.sh),
+    "",
+    tr("an.perimeter") + " " + Math.round(an.perimeter),
+    tr("an.area") + " " + Math.round(an.area),
+    "",
+    tr(`an.${an.kind}`),
+    tr(`an.${an.shape}`),
+    "",
+    tr("an.centroid"),
+    pt(an.centroid),
+    tr("an.incenter"),
+    pt(an.incenter),
+    tr("an.circumcenter"),
+    pt(an.circumcenter),
+  ], 100 - 24);
+
+  const h = 30 + rows.length * 18;
 
-  // Draw box
   noFill();
-  stroke(fg, strokeA);
+  strokeC(palette.fg);
+  strokeWeight(1.2);
+  rect(bx, by, 100, h);
+
+  fillC(palette.fg);
+  noStroke();
+  textAlign(LEFT, TOP);
+
+  for (let i = 0; i < rows.length; i++) {
+    text(rows[i], bx + 12, by + 16 + i * 18);
+  }
+}
+
+// G / I / O with their circles (circumcircle only while it stays near the canvas)
+function drawTriangleCenters(an) {
   strokeWeight(1);
-  rect(x, y, boxW, boxH);
+  noFill();
+
+  strokeC(palette.marker, inkA(70));
+  ellipse(an.incenter.x, an.incenter.y, an.inradius * 2, an.inradius * 2);
+  if (an.circumcenter && an.circumradius < DESIGN_W * 1.5) {
+    ellipse(an.circumcenter.x, an.circumcenter.y, an.circumradius * 2, an.circumradius * 2);
+  }
 
-  const cx = x + pad;
-  const cy = y + pad;
-  const wrapW = boxW - pad * 2;
+  const centers = [["G", an.centroid], ["I", an.incenter], ["O", an.circumcenter]];
 
-  function wrapTextToLines(str) {
-    if (!str) return [""];
-    const words = str.split(" ");
-    let lines = [];
+  textFont("monospace");
+  textSize(10);
+  textAlign(LEFT, BOTTOM);
+  for (const [label, P] of centers) {
+    if (!P) continue;
+    noStroke();
+    fillC(palette.marker);
+    ellipse(P.x, P.y, 5, 5);
+    text(label, P.x + 5, P.y - 3);
+  }
+}
+
+// ------------------------------------------------------------
+// UI BOXES — placed by computeUiLayout() (layout.js)
+// side (desktop), stacked above / below the content, or drawers
+// ------------------------------------------------------------
+function drawUI() {
+  textFont("monospace");
+  textSize(12);
+
+  // screen bounds of grid + content (same numbers as the content transform)
+  const margin = 70;
+  const contentH = (CONTENT_MAX_Y - CONTENT_MIN_Y) * gSc;
+  const f = {
+    gridX0: gOffX + margin * gSc,
+    gridX1: gOffX + (DESIGN_W - margin) * gSc,
+    gridY0: gOffY + (margin - CONTENT_MIN_Y) * gSc,
+    infoBottomY: gOffY + (DESIGN_H / 2 - (ASCII_ROWS * ASCII_PX) / 2 - CONTENT_MIN_Y) * gSc,   // bottom-left ASCII
+    contentY0: gOffY,
+    contentY1: gOffY + contentH,
+    bottomReserve: TIMELINE_BOTTOM + TIMELINE_H + 18,
+  };
+
+  const helpRaw = helpBoxLines();
+  const fullW = width - UI_EDGE * 2;
+
+  let controlsW = 240;
+  for (const l of helpRaw) controlsW = Math.max(controlsW, textWidth(l) + UI_PAD * 2);
+
+  const controlsHAt = w => UI_PAD * 2 + wrapLines(helpRaw, w - UI_PAD * 2, true).length * UI_LINE_H;
+  const need = {
+    controlsW,
+    controlsH: controlsHAt(fullW),
+    controlsHAt,
+    infoH: infoBoxNaturalH(fullW),
+  };
+
+  // typing shows its INPUT line in Controls -> that drawer opens by itself
+  gUiLayout = computeUiLayout(width, height, f, need, typingMode ? "controls" : uiDrawer);
+
+  gHelpTaps = [];
+  if (gUiLayout.controls) drawHelpBox(gUiLayout.controls, helpRaw);
+  if (gUiLayout.info) drawInfoBox(gUiLayout.info);
+  for (const t of gUiLayout.tabs) drawUiTab(t);
+}
+
+// palette colors, inverted along with the frame in the negative
+function uiColors() {
+  const isNeg = negativeOn();
+  return {
+    fg: isNeg ? invertC(palette.fg) : palette.fg,
+    fgA: isNeg ? 210 : 190,
+    strokeA: isNeg ? 150 : 140,
+    bg: isNeg ? invertC(palette.bg) : palette.bg,   // drawer panels cover the content
+    mark: isNeg ? invertC(palette.triangle) : palette.triangle,   // ==highlight== in the info box
+  };
+}
+
+function drawUiBoxFrame(r, h) {
+  const c = uiColors();
+  strokeC(c.fg, c.strokeA);
+  strokeWeight(1);
+  if (r.solid) fillC(c.bg, 240);
+  else noFill();
+  rect(r.x, r.y, r.w, h);
+}
+
+function drawUiTab(t) {
+  const c = uiColors();
+  drawUiBoxFrame({ ...t, solid: true }, t.h);
+
+  noStroke();
+  fillC(c.fg, c.fgA);
+  textAlign(CENTER, CENTER);
+  textStyle(t.open ? BOLD : NORMAL);
+  text(`${tr(`tab.${t.id}`)} ${t.open ? "▴" : "▾"}`, t.x + t.w / 2, t.y + t.h / 2);
+  textStyle(NORMAL);
+}
+
+// words -> lines no wider than wrapWidth ("" stays an empty line)
+// hang: continuation lines start under the text after a "K   " / "Time:   " column
+// words wider than a line are split (after a hyphen if one fits)
+function wrapLines(rawLines, wrapWidth, hang = false) {
+  const lines = [];
+
+  for (const line of rawLines) {
+    if (line === "") { lines.push(""); continue; }
+    if (textWidth(line) <= wrapWidth) { lines.push(line); continue; }
+
+    const col = hang ? line.match(/^\s*\S+\s{2,}/) : null;
+    let indent = col ? " ".repeat(col[0].length) : "";
+    if (textWidth(indent) > wrapWidth / 2) indent = "";
+
+    const words = [];
+    for (const w of line.split(" ")) words.push(...splitWord(w, wrapWidth - textWidth(indent)));
     let current = "";
 
     for (let i = 0; i < words.length; i++) {
       const test = current ? (current + " " + words[i]) : words[i];
-      if (textWidth(test) <= wrapW) current = test;
+      if (textWidth(test) <= wrapWidth) current = test;
       else {
         if (current) lines.push(current);
-        current = words[i];
+        current = indent + words[i];
       }
     }
     if (current) lines.push(current);
-    return lines;
   }
 
-  // -------------------------
-  // META BLOCK (BOTTOM) — back again
-  // -------------------------
-  const metaGapAbove = 22;
-  const metaRowStep = lh * 1.5;
-  const metaBlockH = INFO_META.length * metaRowStep;
+  return lines;
+}
 
-  const metaY = y + boxH - pad - metaBlockH;
-  const bodyBottomY = metaY - metaGapAbove;
+// word -> pieces no wider than w
+function splitWord(word, w) {
+  const parts = [];
+  while (word.length > 1 && textWidth(word) > w) {
+    let n = 1;
+    while (n < word.length - 1 && textWidth(word.substring(0, n + 1)) <= w) n++;
+    const hyphen = word.lastIndexOf("-", n - 1);
+    if (hyphen > 0) n = hyphen + 1;
+    parts.push(word.substring(0, n));
+    word = word.substring(n);
+  }
+  parts.push(word);
+  return parts;
+}
 
-  // BODY
-  noStroke();
-  fill(fg, fgA);
-  textAlign(LEFT, TOP);
+// ------------------------------------------------------------
+// HELP BOX (Controls): status + key list
+// ------------------------------------------------------------
+function helpBoxLines() {
+  const modeTime = useLiveTime ? tr("val.live") : tr("val.manual");
+  const modePhase = manualPhaseEnabled ? `${tr("val.manual")} (${phaseMode.toUpperCase()})` : `${tr("val.auto")} (${phaseName}, ${fmtNum(phaseCycle, 1)}s)`;
+  const rouletteTxt = rouletteState === "off" ? tr("val.off") : (rouletteState === "spin" ? tr("val.on") : tr("val.brake"));
+  const seedTxt = seedMode ? String(seedValue) : tr("val.off");
+  const soundTxt = !audioIsRunning() ? tr("val.pressKey") : (audioMuted ? tr("val.muted") : tr("val.on"));
+
+  const live = liveTime();
+  const shownTime = useLiveTime
+    ? `${live.y}-${fmt2(live.mo)}-${fmt2(live.d)} ${fmt2(live.h)}:${fmt2(live.m)}:${fmt2(live.s)}`
+    : `${manualY}-${fmt2(manualMo)}-${fmt2(manualD)} ${fmt2(manualH)}:${fmt2(manualM)}:${fmt2(manualS)}`;
+  const zoneTxt = `${zoneLabel(timeZone)} (${formatOffset(zoneOffsetMinutes(new Date(), timeZone))})`;
+  const alarmsTxt = alarmSoonest ? tr("val.alarms", { n: alarms.length, next: alarmText(alarmSoonest, timeZone) }) : tr("val.off");
+  let timerTxt = tr("val.off");
+  if (timer) {
+    const countdown = timer.mode === "countdown";
+    timerTxt = tr(countdown ? "val.countdown" : "val.stopwatch", { t: timerClock(timerSeconds(millis()), countdown) });
+    if (timer.since === null && !timer.done) timerTxt += " " + tr("val.paused");
+  }
 
-  let yCursor = cy;
+  const status = [
+    ["time", `${modeTime}   [${shownTime}]`],
+    ["zone", `${zoneTxt}${worldMode ? "   " + tr("val.world") : ""}`],
+    ["playback", useLiveTime ? tr("val.live") : playbackLabel()],
+    ["timer", timerTxt],
+    ["alarms", alarmsTxt],
+    ["dial", hours24 ? "24 H" : "12 H"],
+    ["find", finderStatus()],
+    ["ghosts", ghostMode === "off" ? tr("val.off") : tr(`ghost.${ghostMode}`)],
+    ["phase", modePhase],
+    ["roulette", rouletteTxt],
+    ["seed", seedTxt],
+    ["sound", soundTxt],
+    ["theme", tr(`theme.${themeName}`)],
+    ["motion", `${reducedMotion ? tr("val.reduced") : tr("val.full")}${motionOverride ? "" : " " + tr("val.system")}`],
+    ["lang", LOCALES[locale].name],
+  ].map(([k, v]) => [tr(`status.${k}`) + ":", v]);
+  const labelW = Math.max(...status.map(([k]) => k.length)) + 1;
 
-  // Title (bold)
-  textStyle(BOLD);
-  for (const l of wrapTextToLines(INFO_TITLE)) {
-    if (yCursor + lh > bodyBottomY) break;
-    text(l, cx, yCursor);
-    yCursor += lh;
+  let rawLines = [];
+  rawLines.push(tr("ui.controls"));
+  rawLines.push("");
+  for (const [k, v] of status) rawLines.push(k.padEnd(labelW) + v);
+  rawLines.push("");
+  rawLines.push(`T   ${tr("help.type")}`);
+  rawLines.push(`    ${tr("help.typeKeys")}`);
+  rawLines.push(`O   ${tr("help.alarm")}`);
+  rawLines.push(`J   ${tr("help.alarmRemove")}`);
+  rawLines.push(`D   ${tr("help.countdown")}`);
+  rawLines.push(`S   ${tr("help.stopwatch")}`);
+  rawLines.push(`Z   ${tr("help.roulette")}`);
+  rawLines.push(`R   ${tr("help.reset")}`);
+  rawLines.push(`P   ${tr("help.play")}   B ${tr("help.reverse")}`);
+  rawLines.push(`+/- ${tr("help.speed")}`);
+  rawLines.push(`<- ->  ${tr("help.scrub")}`);
+  rawLines.push(`    ${tr("help.scrubDrag")}`);
+  rawLines.push(tr("help.drag"));
+  rawLines.push(tr("help.tap"));
+  rawLines.push(`Space  ${tr("help.phase")}`);
+  rawLines.push(`1 ${tr("help.geo")}   2 ${tr("help.tri")}   3 ${tr("help.auto")}`);
+  rawLines.push(`M   ${tr("help.mute")}`);
+  rawLines.push(`E   ${tr("help.export")}`);
+  rawLines.push(`V   ${recordCycles > 1 ? tr("help.recordN", { n: recordCycles }) : tr("help.record1")}`);
+  rawLines.push(`K   ${tr("help.seed")}`);
+  rawLines.push(`A   ${tr("help.analysis")}`);
+  rawLines.push(`F   ${tr("help.find")}`);
+  rawLines.push(`N   ${tr("help.next")}`);
+  rawLines.push(`G   ${tr("help.ghosts")}`);
+  rawLines.push(`L   ${tr("help.almanac")}`);
+  rawLines.push(`H   ${tr("help.dial")}`);
+  rawLines.push(`C   ${tr("help.theme")}`);
+  rawLines.push(`X   ${tr("help.motion")}`);
+  rawLines.push(`I   ${tr("help.lang")}`);
+  rawLines.push(`Q   ${tr("help.zone")}`);
+  rawLines.push(`W   ${tr("help.world")}`);
+  rawLines.push(`U   ${tr("help.url")}`);
+
+  if (millis() - urlCopiedAt < 1500) {
+    rawLines.push("");
+    rawLines.push(tr("help.urlCopied"));
   }
-  textStyle(NORMAL);
 
-  yCursor += lh;
+  if (millis() - recordFailedAt < 5000) {
+    rawLines.push("");
+    rawLines.push(tr("help.recordFailed"));
+  }
 
-  // Paragraph 1
-  for (const l of wrapTextToLines(INFO_PARAS[0])) {
-    if (yCursor + lh > bodyBottomY) break;
-    text(l, cx, yCursor);
-    yCursor += lh;
+  if (typingMode) {
+    rawLines.push("");
+    const blink = (sin(millis() * 0.012) + 1) * 0.5;
+    const caret = blink > 0.5 ? "_" : " ";
+    rawLines.push(`${tr(`input.label.${typingFor}`)} ${timeInput}${caret}`);
+
+    // what Enter would set, or why it can't
+    const parsed = typedInputParse(typingFor, timeInput);
+    const clock = `${fmt2(parsed.h)}:${fmt2(parsed.m)}:${fmt2(parsed.s)}`;
+    if (parsed.error) rawLines.push(timeInput.trim() ? `✗ ${parsed.error}` : parsed.error);
+    else if (typingFor === "countdown") rawLines.push(`→ ${clock}`);
+    else if (typingFor === "alarm") {
+      const when = parsed.date ? `${parsed.date.y}-${fmt2(parsed.date.mo)}-${fmt2(parsed.date.d)}` : tr("val.daily");
+      rawLines.push(`→ ${when} ${clock} ${parsed.label}`.trimEnd());
+    } else {
+      const d = parsed.date || shownDate();
+      rawLines.push(`→ ${d.y}-${fmt2(d.mo)}-${fmt2(d.d)} ${clock}`);
+    }
+    if (typingFor === "time" && inputHistory.length) rawLines.push(tr("input.history", { n: inputHistory.length }));
+  } else if (inputError && millis() - inputError.at < TIME_ERROR_MS) {
+    rawLines.push("");
+    rawLines.push(`✗ ${inputError.msg}`);
   }
 
-  yCursor += lh;
+  return rawLines;
+}
 
-  // Paragraph 2 with highlight sentence (bold)
-  const p2 = INFO_PARAS[1];
-  const idx = p2.indexOf(INFO_HIGHLIGHT);
+// r: { x, y, w, h (null = fit lines), solid }
+function drawHelpBox(r, rawLines) {
+  const c = uiColors();
+  const lines = wrapLines(rawLines, r.w - UI_PAD * 2, true);
+  const boxH = r.h === null ? UI_PAD * 2 + lines.length * UI_LINE_H : r.h;
 
-  if (idx >= 0) {
-    const before = p2.slice(0, idx).trim();
-    const after  = p2.slice(idx + INFO_HIGHLIGHT.length).trim();
+  drawUiBoxFrame(r, boxH);
 
-    for (const l of wrapTextToLines(before)) {
-      if (yCursor + lh > bodyBottomY) break;
-      textStyle(NORMAL);
-      text(l, cx, yCursor);
-      yCursor += lh;
-    }
+  noStroke();
+  fillC(c.fg, c.fgA);
+  textAlign(LEFT, TOP);
 
-    for (const l of wrapTextToLines(INFO_HIGHLIGHT)) {
-      if (yCursor + lh > bodyBottomY) break;
-      textStyle(BOLD);
-      text(l, cx, yCursor);
-      yCursor += lh;
-    }
-    textStyle(NORMAL);
+  const textX = r.x + UI_PAD;
+  const textY = r.y + UI_PAD;
+  const maxLines = Math.floor((boxH - UI_PAD * 2) / UI_LINE_H);
 
-    for (const l of wrapTextToLines(after)) {
-      if (yCursor + lh > bodyBottomY) break;
-      text(l, cx, yCursor);
-      yCursor += lh;
+  for (let i = 0; i < Math.min(lines.length, maxLines); i++) {
+    text(lines[i], textX, textY + i * UI_LINE_H);
+
+    // tap targets (pointer.js)
+    for (const t of helpLineTaps(lines[i])) {
+      const x0 = textX + textWidth(lines[i].substring(0, t.from));
+      const x1 = textX + textWidth(lines[i].substring(0, t.to));
+      gHelpTaps.push({ x: x0, y: textY + i * UI_LINE_H, w: x1 - x0, h: UI_LINE_H, key: t.key });
     }
-  } else {
-    for (const l of wrapTextToLines(p2)) {
-      if (yCursor + lh > bodyBottomY) break;
-      text(l, cx, yCursor);
-      yCursor += lh;
+  }
+}
+
+// ------------------------------------------------------------
+// INFO BOX (project info): title, paragraphs, meta rows at the bottom
+// content: infoContent() (info.js); pages when it doesn't fit
+// ------------------------------------------------------------
+const INFO_META_GAP = 22;
+const INFO_META_STEP = UI_LINE_H * 1.5;
+
+// spans -> lines no wider than wrapWidth: [{ runs: [{ text, bold, mark }] }]
+// (bold runs measured bold, as drawInfoBox() draws them)
+function wrapSpans(spans, wrapWidth) {
+  const words = [];
+  for (const sp of spans) {
+    textStyle(sp.bold ? BOLD : NORMAL);
+    for (const w of sp.text.split(/(\s+)/)) {
+      if (!w) continue;
+      if (/^\s/.test(w)) words.push({ space: true });
+      else for (const piece of splitWord(w, wrapWidth)) words.push({ text: piece, bold: sp.bold, mark: sp.mark });
     }
   }
 
-  yCursor += lh;
+  textStyle(NORMAL);
+  const spaceW = textWidth(" ");
+  const lines = [];
+  let runs = [];
+  let lineW = 0;
+  let gap = false;
+  for (const w of words) {
+    if (w.space) { gap = runs.length > 0; continue; }
+    textStyle(w.bold ? BOLD : NORMAL);
+    const ww = textWidth(w.text);
+    const sep = gap ? spaceW : 0;
+    if (runs.length && lineW + sep + ww > wrapWidth) {
+      lines.push({ runs });
+      runs = [];
+      lineW = 0;
+    } else if (gap) {
+      runs.push({ text: " ", bold: false, mark: false });
+      lineW += sep;
+    }
+    runs.push(w);
+    lineW += ww;
+    gap = false;
+  }
+  if (runs.length) lines.push({ runs });
+  textStyle(NORMAL);
+  return lines;
+}
 
-  // Paragraph 3
-  for (const l of wrapTextToLines(INFO_PARAS[2])) {
-    if (yCursor + lh > bodyBottomY) break;
-    text(l, cx, yCursor);
-    yCursor += lh;
+// body as lines ({ runs: [] } = gap)
+function infoBoxLines(wrapW) {
+  const info = infoContent();
+  const out = wrapSpans([{ text: info.title, bold: true, mark: false }], wrapW);
+  for (const para of info.paras) {
+    out.push({ runs: [] });
+    out.push(...wrapSpans(para, wrapW));
   }
+  return out;
+}
 
-  // META (bold, 2 columns)
+// meta block at box width w: values wrapped in the column right of the keys
+// -> { valDx (from the text left edge), rows: [{ k, lines: [text] }], h }
+function infoMetaLayout(w) {
+  const meta = infoContent().meta;
   textStyle(BOLD);
+  let keyW = 0;
+  for (const row of meta) keyW = Math.max(keyW, textWidth(row.k));
+  const valDx = Math.max(w * 0.50 - UI_PAD, keyW + UI_PAD);
+
+  const rows = meta.map(row => ({
+    k: row.k,
+    lines: wrapSpans([{ text: row.v, bold: true, mark: false }], w - UI_PAD * 2 - valDx)
+      .map(l => l.runs.map(run => run.text).join("")),
+  }));
+  textStyle(NORMAL);
+  const h = rows.reduce((sum, row) => sum + INFO_META_STEP + Math.max(0, row.lines.length - 1) * UI_LINE_H, 0);
+  return { valDx, rows, h };
+}
+
+// height that shows everything at width w (stacked / drawer layouts)
+function infoBoxNaturalH(w) {
+  const body = infoBoxLines(w - UI_PAD * 2).length * UI_LINE_H;
+  return UI_PAD * 2 + body + INFO_META_GAP + infoMetaLayout(w).h;
+}
+
+// r: { x, y, w, h, solid }; body above the meta block, in pages if it is taller
+function drawInfoBox(r) {
+  const c = uiColors();
+  drawUiBoxFrame(r, r.h);
+
+  const cx = r.x + UI_PAD;
+  const cy = r.y + UI_PAD;
+
+  const meta = infoMetaLayout(r.w);
+  const metaY = r.y + r.h - UI_PAD - meta.h;
+  const bodyBottomY = metaY - INFO_META_GAP;
+
+  noStroke();
   textAlign(LEFT, TOP);
 
-  const keyX = cx;
-  const valX = x + boxW * 0.50;
+  // paged: the last row is the pager, below the lines of the page
+  const lines = infoBoxLines(r.w - UI_PAD * 2);
+  const rows = Math.floor((bodyBottomY - cy) / UI_LINE_H);
+  const paged = lines.length > Math.max(1, rows);
+  const fit = Math.max(1, paged ? rows - 1 : rows);
+  const pages = paged ? infoPages(lines, fit) : [lines];
+  infoPage = Math.min(infoPage, pages.length - 1);
 
-  for (let i = 0; i < INFO_META.length; i++) {
-    const rowY = metaY + i * metaRowStep;
-    text(INFO_META[i].k, keyX, rowY);
-    text(INFO_META[i].v, valX, rowY);
+  let yCursor = cy;
+  for (const l of pages[infoPage]) {
+    let x = cx;
+    for (const run of l.runs) {
+      textStyle(run.bold ? BOLD : NORMAL);
+      fillC(run.mark ? c.mark : c.fg, c.fgA);
+      text(run.text, x, yCursor);
+      x += textWidth(run.text);
+    }
+    yCursor += UI_LINE_H;
   }
 
+  gInfoPager = null;
+  if (pages.length > 1) {
+    const pagerY = cy + fit * UI_LINE_H;
+    textStyle(NORMAL);
+    fillC(c.fg, c.fgA);
+    textAlign(CENTER, TOP);
+    text(`◂   ${infoPage + 1} / ${pages.length}   ▸`, r.x + r.w / 2, pagerY);
+    textAlign(LEFT, TOP);
+    gInfoPager = { x: r.x, y: pagerY, w: r.w, h: UI_LINE_H, pages: pages.length };
+  }
+
+  // META (bold, 2 columns; values move right of long keys, long values wrap)
+  textStyle(BOLD);
+  fillC(c.fg, c.fgA);
+  let rowY = metaY;
+  for (const row of meta.rows) {
+    text(row.k, cx, rowY);
+    row.lines.forEach((l, i) => text(l, cx + meta.valDx, rowY + i * UI_LINE_H));
+    rowY += INFO_META_STEP + Math.max(0, row.lines.length - 1) * UI_LINE_H;
+  }
   textStyle(NORMAL);
 }
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+// just enough DOM for a11y.js
+class FakeEl {
+  constructor(tag) {
+    this.tag = tag;
+    this.attrs = {};
+    this.children = [];
+    this.listeners = {};
+    this.ownText = "";
+  }
+  setAttribute(k, v) { this.attrs[k] = String(v); }
+  appendChild(c) { this.children.push(c); return c; }
+  replaceChildren(...cs) { this.children = cs; }
+  addEventListener(type, fn) { this.listeners[type] = fn; }
+  contains(el) { return el === this || this.children.some(c => c.contains && c.contains(el)); }
+  set textContent(t) { this.ownText = t; this.children = []; }
+  get textContent() { return this.ownText + this.children.map(c => c.textContent).join(""); }
+  find(pred) {
+    if (pred(this)) return this;
+    for (const c of this.children) {
+      const hit = c.find && c.find(pred);
+      if (hit) return hit;
+    }
+    return null;
+  }
+  findAll(pred, out = []) {
+    if (pred(this)) out.push(this);
+    for (const c of this.children) if (c.findAll) c.findAll(pred, out);
+    return out;
+  }
+}
+
+function fakeDocument() {
+  const canvas = new FakeEl("canvas");
+  return {
+    body: new FakeEl("body"),
+    activeElement: null,
+    createElement: tag => new FakeEl(tag),
+    createTextNode: t => ({ textContent: t }),
+    querySelector: sel => (sel === "canvas" ? canvas : null),
+    canvas,
+  };
+}
+
+const STATE = { h: 9, m: 5, s: 7, phase: "tri", roulette: "off", angles: { h: 41.23, m: 60.1, s: 78.67 } };
+
+test("summary sentence and throttle", () => {
+  const { ctx } = loadSketch();
+  assert.equal(ctx.a11ySummary(STATE),
+    "Time 09:05:07. Phase: triangle. Roulette: off. Angles: hour 41.2°, minute 60.1°, second 78.7°.");
+  assert.match(ctx.a11ySummary({ ...STATE, phase: "geo", manualPhase: true, roulette: "brake" }),
+    /Phase: geometry \(manual\)\. Roulette: braking\./);
+  assert.match(ctx.a11ySummary({ ...STATE, phase: "hold" }), /Phase: hold\./);   // own schedule names as is
+
+  assert.equal(ctx.a11yDue(0, null, "", "tri|off"), true);
+  assert.equal(ctx.a11yDue(3000, 0, "tri|off", "geo|off"), false);    // too soon even for a change
+  assert.equal(ctx.a11yDue(5000, 0, "tri|off", "geo|off"), true);     // change
+  assert.equal(ctx.a11yDue(5000, 0, "tri|off", "tri|off"), false);
+  assert.equal(ctx.a11yDue(15000, 0, "tri|off", "tri|off"), true);    // period
+});
+
+test("Controls box lines -> status lines and one button per command", () => {
+  const { ctx } = loadSketch();
+  const parts = ctx.a11yHelpParts(ctx.helpBoxLines());
+
+  assert.ok(parts.status[0].startsWith("Time: "));
+  assert.ok(parts.status.some(l => l.startsWith("Roulette: ")));
+
+  const labels = parts.commands.map(c => c.label);
+  assert.ok(labels.includes("Z: toggle roulette (slow brake)"));
+  assert.ok(labels.includes("B: reverse"));
+  assert.ok(labels.includes("Space: auto/manual phase"));
+  assert.ok(labels.some(l => l.startsWith("T: type time") && l.endsWith("Enter apply, Esc cancel, ↑/↓ history")));
+  assert.deepEqual(Array.from(parts.commands.filter(c => c.key === "1"), c => c.label), ["1: geo"]);
+});
+
+test("DOM layer: info markup, live region, working buttons", () => {
+  const sk = loadSketch();
+  const doc = fakeDocument();
+  sk.ctx.a11yInit(doc);
+
+  const root = doc.body.children[0];
+  assert.equal(root.attrs.class, "mot-sr");
+  assert.equal(doc.canvas.attrs.role, "img");
+  assert.equal(root.find(e => e.tag === "h2").textContent, sk.run("INFO_TITLE"));
+  assert.equal(root.findAll(e => e.tag === "dt").length, sk.run("infoContent().meta.length"));
+  assert.equal(root.findAll(e => e.tag === "p" && !e.attrs.role).length, sk.run("infoContent().paras.length"));
+
+  sk.ctx.a11yUpdate(STATE, sk.ctx.helpBoxLines, 0);
+  const live = root.find(e => e.attrs["aria-live"] === "polite");
+  assert.ok(live.textContent.startsWith("Time 09:05:07"));
+
+  sk.ctx.a11yUpdate({ ...STATE, s: 8 }, sk.ctx.helpBoxLines, 1000);
+  assert.ok(live.textContent.startsWith("Time 09:05:07"));   // throttled
+
+  const zoom = root.find(e => e.tag === "button" && e.textContent.startsWith("Z:"));
+  zoom.listeners.click();
+  assert.equal(sk.run("rouletteState"), "spin");
+
+  // keys go to the focused button, not the sketch
+  doc.activeElement = zoom;
+  pressKey(sk, "z");
+  assert.equal(sk.run("rouletteState"), "spin");
+  doc.activeElement = null;
+  pressKey(sk, "z");
+  assert.equal(sk.run("rouletteState"), "brake");
+});
+
+test("language change rebuilds labels, info and buttons", () => {
+  const sk = loadSketch();
+  const doc = fakeDocument();
+  sk.ctx.a11yInit(doc);
+  sk.ctx.a11yUpdate(STATE, sk.ctx.helpBoxLines, 0);
+
+  pressKey(sk, "i");
+  sk.ctx.a11yUpdate(STATE, sk.ctx.helpBoxLines, 5000);
+  const root = doc.body.children[0];
+  assert.equal(root.attrs.lang, "de");
+  assert.equal(root.find(e => e.attrs.role === "group").attrs["aria-label"], "Steuerung");
+  assert.ok(root.find(e => e.tag === "dt" && e.textContent === "JAHR"));
+  assert.ok(root.find(e => e.tag === "button" && e.textContent === "R: zurück zur Live-Zeit"));
+  assert.equal(sk.ctx.a11ySummary(STATE),
+    "Zeit 09:05:07. Phase: Dreieck. Roulette: aus. Winkel: Stunde 41,2°, Minute 60,1°, Sekunde 78,7°.");
+  assert.match(sk.ctx.a11ySummary({ ...STATE, phase: "tri", manualPhase: true, roulette: "spin" }),
+    /Phase: Dreieck \(manuell\)\. Roulette: dreht\./);
+});
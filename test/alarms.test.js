@@ -0,0 +1,207 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+const plain = v => JSON.parse(JSON.stringify(v));
+
+const LIVE = { y: 2025, mo: 3, d: 14, h: 9, m: 0, s: 0 };
+const NOW = new Date(Date.UTC(2025, 2, 14, 9, 0, 0));             // = LIVE in UTC
+const at = (h, m, s = 0, d = 14) => new Date(Date.UTC(2025, 2, d, h, m, s));
+
+// localStorage stand-in (one per "browser", shared across reloads)
+function fakeStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: k => (k in items ? items[k] : null),
+    setItem: (k, v) => { items[k] = String(v); },
+  };
+}
+
+function loadWith(storage) {
+  const sk = loadSketch();
+  sk.ctx.sin = Math.sin;   // caret blink in the Controls box while typing
+  sk.ctx.alarmsInit({ localStorage: storage });
+  return sk;
+}
+
+function type(sk, str) {
+  for (const ch of str) pressKey(sk, ch);
+}
+
+test("durations: units, m:ss / h:mm:ss, bare minutes, errors", () => {
+  const { ctx } = loadSketch();
+  assert.equal(ctx.parseDuration("25m"), 1500);
+  assert.equal(ctx.parseDuration("1h30m"), 5400);
+  assert.equal(ctx.parseDuration("90 s"), 90);
+  assert.equal(ctx.parseDuration("10:00"), 600);
+  assert.equal(ctx.parseDuration("1:30:00"), 5400);
+  assert.equal(ctx.parseDuration("25"), 1500);
+  assert.equal(ctx.parseDuration("1,5"), 90);
+  assert.equal(ctx.parseDuration("0m").error, "a countdown needs more than 0 s");
+  assert.equal(ctx.parseDuration("25h").error, "at most 23:59:59");
+  assert.equal(ctx.parseDuration("5x").error, 'unknown unit "x" (d, h, m, s)');
+});
+
+test("alarm input: time first, the rest is the label; daily or once", () => {
+  const { ctx } = loadSketch();
+  const parse = str => plain(ctx.parseAlarmInput(str, LIVE, "UTC"));
+  assert.deepEqual(parse("7:30 standup"), { h: 7, m: 30, s: 0, date: null, label: "standup" });
+  assert.deepEqual(parse("3:15 pm design review"), { h: 15, m: 15, s: 0, date: null, label: "design review" });
+  assert.deepEqual(parse("now+25m tea"), { h: 9, m: 25, s: 0, date: { y: 2025, mo: 3, d: 14 }, label: "tea" });
+  assert.deepEqual(parse("2025-03-15 9:00 demo"), { h: 9, m: 0, s: 0, date: { y: 2025, mo: 3, d: 15 }, label: "demo" });
+
+  assert.equal(parse("").error, "e.g. 7:30 standup · 3:15 pm review · now+25m tea · 2025-03-14 9:00 demo");
+  assert.equal(parse("2025-03-14 8:00 demo").error, "that time has passed");
+  assert.equal(parse("25:00 standup").error, "hour 25 is not 0-23");
+  assert.equal(parse("standup at 9").error, "starts with a time (7:30 standup, now+25m tea)");
+  ctx.setLocale("de");
+  assert.equal(parse("jetzt-1m").error, "diese Zeit ist vorbei");
+});
+
+test("daily alarms ring once a day, one-off alarms once; missed ones are dropped", () => {
+  const sk = loadWith(fakeStorage());
+  const { ctx } = sk;
+  ctx.alarmAdd({ h: 9, m: 30, s: 0, date: null, label: "standup" }, NOW, "UTC");
+  ctx.alarmAdd({ h: 8, m: 0, s: 0, date: null, label: "early" }, NOW, "UTC");   // already past -> tomorrow
+  ctx.alarmAdd({ h: 9, m: 45, s: 0, date: { y: 2025, mo: 3, d: 14 }, label: "tea" }, NOW, "UTC");
+  ctx.alarmAdd({ h: 9, m: 5, s: 0, date: { y: 2025, mo: 3, d: 14 }, label: "missed" }, NOW, "UTC");
+  const labels = list => Array.from(list, a => a.label);
+
+  assert.deepEqual(labels(ctx.alarmsUpcoming(NOW)), ["missed", "standup", "tea", "early"]);
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 29, 59))), []);
+  assert.equal(sk.run("alarms.length"), 3);   // "missed" is 10 min late -> gone
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 30))), ["standup"]);
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 31))), []);   // not twice
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 50))), ["tea"]);
+  assert.equal(sk.run("alarms.length"), 2);
+
+  assert.deepEqual(labels(ctx.alarmsDue(at(8, 0, 0, 15))), ["early"]);
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 30, 0, 15))), ["standup"]);
+});
+
+test("alarms keep the zone they were set in; browsing zones moves nothing", () => {
+  const sk = loadWith(fakeStorage());
+  const { ctx } = sk;
+  ctx.alarmAdd({ h: 9, m: 30, s: 0, date: null, label: "berlin" }, NOW, "Europe/Berlin");   // 08:30 UTC (CET)
+  ctx.alarmAdd({ h: 9, m: 50, s: 0, date: { y: 2025, mo: 3, d: 14 }, label: "demo" }, NOW, "UTC");
+  const labels = list => Array.from(list, a => a.label);
+
+  // Berlin's 09:30 had passed at 09:00 UTC -> tomorrow
+  assert.deepEqual(labels(ctx.alarmsUpcoming(NOW)), ["demo", "berlin"]);
+  sk.run('timeZone = "Asia/Tokyo"');   // shown zone changes, alarms don't
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 10))), []);
+  assert.deepEqual(labels(ctx.alarmsDue(at(9, 50))), ["demo"]);
+  assert.deepEqual(labels(ctx.alarmsDue(at(8, 30, 0, 15))), ["berlin"]);
+  assert.equal(ctx.alarmText(sk.run("alarms[0]"), "Asia/Tokyo"), "09:30 (Berlin) berlin");
+  assert.equal(ctx.alarmText(sk.run("alarms[0]"), "Europe/Berlin"), "09:30 berlin");
+
+  // daily alarm late across midnight still rings for its day, once
+  ctx.alarmAdd({ h: 23, m: 59, s: 0, date: null, label: "late" }, at(12, 0, 0, 15), "UTC");
+  assert.deepEqual(labels(ctx.alarmsDue(at(0, 3, 0, 16))), ["late"]);
+  assert.deepEqual(labels(ctx.alarmsDue(at(0, 4, 0, 16))), []);
+});
+
+test("the Controls box reads the next alarm sorted once a second, not every frame", () => {
+  const sk = loadWith(fakeStorage());
+  const { ctx } = sk;
+  sk.run('timeZone = "UTC"');
+  ctx.alarmAdd({ h: 9, m: 45, s: 0, date: null, label: "tea" }, NOW, "UTC");
+  ctx.alarmAdd({ h: 9, m: 30, s: 0, date: null, label: "standup" }, NOW, "UTC");
+
+  const sorted = ctx.alarmsUpcoming;
+  let calls = 0;
+  ctx.alarmsUpcoming = now => { calls++; return sorted(now); };
+  for (let i = 0; i < 3; i++) assert.ok(ctx.helpBoxLines().some(l => l.endsWith("2 · next 09:30 standup")));
+  ctx.alarmTick(at(9, 10), 0, "UTC");
+  ctx.alarmTick(new Date(at(9, 10).getTime() + 500), 500, "UTC");
+  assert.equal(calls, 1);
+
+  ctx.alarmTick(at(9, 30), 1000, "UTC");   // standup rings -> tea is next
+  assert.ok(ctx.helpBoxLines().some(l => l.endsWith("2 · next 09:45 tea")));
+});
+
+test("O adds an alarm, kept in localStorage across reloads; J removes the next", () => {
+  const storage = fakeStorage();
+  const sk = loadWith(storage);
+  pressKey(sk, "o");
+  type(sk, "23:59 wrap up");
+  assert.ok(sk.ctx.helpBoxLines().includes("→ every day 23:59:00 wrap up"));
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("typingMode"), false);
+  assert.equal(sk.run("useLiveTime"), true);   // the clock itself stays live
+
+  const saved = JSON.parse(storage.items["mathOfTime.alarms"]);
+  assert.deepEqual(saved.map(a => a.label), ["wrap up"]);
+
+  const reloaded = loadWith(storage);
+  assert.equal(reloaded.run("alarms[0].label"), "wrap up");
+  assert.ok(reloaded.ctx.helpBoxLines().some(l => /^Alarms:\s+1 · next 23:59 wrap up$/.test(l)));
+  pressKey(reloaded, "j");
+  assert.equal(reloaded.run("alarms.length"), 0);
+  assert.equal(storage.items["mathOfTime.alarms"], "[]");
+
+  storage.items["mathOfTime.alarms"] = "{ nope";
+  assert.equal(loadWith(storage).run("alarms.length"), 0);
+  const blocked = loadSketch();
+  blocked.ctx.alarmsInit({ get localStorage() { throw new Error("denied"); } });
+  assert.equal(blocked.ctx.alarmAdd({ h: 7, m: 0, s: 0, label: "" }, NOW, "UTC"), true);   // works until reload
+});
+
+test("countdown: D types the duration, pauses, rings at zero, any key ends it", () => {
+  const sk = loadWith(fakeStorage());
+  pressKey(sk, "d");
+  type(sk, "25m");
+  assert.ok(sk.ctx.helpBoxLines().includes("→ 00:25:00"));
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("timer.mode"), "countdown");
+
+  sk.clock.ms += 10500;
+  assert.equal(sk.ctx.timerSeconds(sk.clock.ms), 1489.5);
+  assert.ok(sk.ctx.helpBoxLines().some(l => /^Timer:\s+COUNTDOWN 00:24:50$/.test(l)));
+  pressKey(sk, "d");   // pause
+  sk.clock.ms += 60000;
+  assert.equal(sk.ctx.timerSeconds(sk.clock.ms), 1489.5);
+  assert.ok(sk.ctx.helpBoxLines().some(l => l.endsWith("COUNTDOWN 00:24:50 PAUSED")));
+  pressKey(sk, "d");   // resume
+
+  sk.clock.ms += 1489500;
+  sk.ctx.alarmTick(NOW, sk.clock.ms, "UTC");
+  assert.equal(sk.run("alarmRing.text"), "TIME'S UP · 00:25:00");
+  assert.equal(sk.ctx.timerSeconds(sk.clock.ms), 0);
+  pressKey(sk, "t");   // only ends the ringing
+  assert.equal(sk.run("alarmRing"), null);
+  assert.equal(sk.run("timer"), null);
+  assert.equal(sk.run("typingMode"), false);
+});
+
+test("alarm rings with its label, stops by itself; stopwatch counts up, R ends it", () => {
+  const sk = loadWith(fakeStorage());
+  sk.ctx.alarmAdd({ h: 9, m: 30, s: 0, date: null, label: "standup" }, NOW, "UTC");
+  sk.ctx.alarmTick(at(9, 30), 1000, "UTC");
+  assert.equal(sk.run("alarmRing.text"), "ALARM 09:30 standup");
+  assert.match(sk.ctx.a11ySummary({ h: 9, m: 30, s: 0, phase: "x", roulette: "off", ring: "ALARM 09:30 standup", angles: { h: 1, m: 2, s: 3 } }),
+    /^ALARM 09:30 standup\. Press any key to stop\. Time 09:30:00/);
+  sk.ctx.alarmTick(at(9, 31), 61000, "UTC");
+  assert.equal(sk.run("alarmRing"), null);
+
+  sk.clock.ms = 5000;
+  pressKey(sk, "s");
+  sk.clock.ms = 3725000 + 5000;
+  assert.equal(sk.ctx.timerClock(sk.ctx.timerSeconds(sk.clock.ms)), "01:02:05");
+  pressKey(sk, "r");
+  assert.equal(sk.run("timer"), null);
+});
+
+test("tap O / D ask with a prompt", () => {
+  const sk = loadWith(fakeStorage());
+  sk.ctx.window.prompt = () => "now-5m late";
+  sk.ctx.runTapCommand("O");
+  assert.ok(sk.ctx.helpBoxLines().includes("✗ now-5m late: that time has passed"));
+  sk.ctx.window.prompt = () => "90s";
+  sk.ctx.runTapCommand("D");
+  assert.equal(sk.run("timer.total"), 90);
+  sk.ctx.runTapCommand("D");   // running -> pause, no prompt
+  assert.equal(sk.run("timer.since"), null);
+});
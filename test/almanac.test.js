@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+const DAY = { y: 2025, mo: 3, d: 14 };
+
+test("one cell per hour / per 10 minutes, angles as computed", () => {
+  const { ctx } = loadSketch();
+  const hourly = ctx.almanacSheet("hour", DAY, 5, false);
+  const dense = ctx.almanacSheet("10min", DAY, 5, false);
+
+  assert.equal(hourly.cells.length, 24);
+  assert.equal(dense.cells.length, 144);
+  assert.deepEqual([dense.cells[7].h, dense.cells[7].m], [1, 10]);
+
+  const cfg = ctx.computeConfiguration(15, 0, 0, 5, null);
+  assert.equal(hourly.cells[15].angles.h, cfg.angles.h);
+  const label = hourly.items.find(it => it.kind === "text" && it.str.startsWith(cfg.angles.h.toFixed(1)));
+  assert.ok(label);
+
+  // everything stays on the page
+  for (const it of dense.items) {
+    const pts = it.kind === "poly" ? it.pts : [it];
+    for (const P of pts) assert.ok(P.x >= 0 && P.x <= dense.w && P.y >= 0 && P.y <= dense.h);
+  }
+});
+
+test("grid picks the layout with the largest signatures", () => {
+  const { ctx } = loadSketch();
+  const bounds = { x: 0, y: 0, w: 100, h: 140 };
+  const tall = ctx.almanacGrid(24, 500, 700, bounds);
+  const wide = ctx.almanacGrid(24, 1400, 250, bounds);
+
+  assert.ok(tall.cols * tall.rows >= 24 && wide.cols * wide.rows >= 24);
+  assert.ok(wide.cols > tall.cols);
+  assert.ok(tall.scale > 0 && tall.scale * bounds.w <= tall.cellW);
+});
+
+test("SVG and PDF sheets", () => {
+  const { ctx } = loadSketch();
+  const sheet = ctx.almanacSheet("hour", DAY, 5, true);
+
+  const svg = ctx.almanacSVG(sheet);
+  assert.match(svg, /^<svg [^>]*width="210mm" height="297mm"/);
+  assert.equal((svg.match(/rgb\(10,40,160\)/g) || []).length, 24 * 3);
+  assert.ok(svg.includes("THE MATH OF TIME  2025-03-14"));
+  assert.equal(svg, ctx.almanacSVG(ctx.almanacSheet("hour", DAY, 5, true)));
+
+  const bytes = ctx.almanacPDF(sheet);
+  const pdf = Buffer.from(bytes).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+  assert.ok(pdf.includes("(THE MATH OF TIME  2025-03-14) Tj"));
+  assert.ok(pdf.includes("\xb0"));   // ° in WinAnsi
+
+  // xref offsets point at their objects
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.ok(pdf.startsWith("xref", xref));
+  const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+  assert.equal(offsets.length, 5);
+  offsets.forEach((off, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, off)));
+
+  const len = Number(/\/Length (\d+)/.exec(pdf)[1]);
+  const start = pdf.indexOf("stream\n") + 7;
+  assert.equal(pdf.indexOf("\nendstream"), start + len);
+});
+
+test("L opens the view, its keys step, change day and close", () => {
+  const sk = loadSketch();
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?date=2025-12-31&time=10:00"));
+  pressKey(sk, "l");
+  assert.equal(sk.run("almanac.step"), "hour");
+  assert.equal(sk.run("almanac.sheet.cells.length"), 24);
+
+  pressKey(sk, "s");
+  assert.equal(sk.run("almanac.sheet.cells.length"), 144);
+  pressKey(sk, "", 39);   // →
+  assert.equal(sk.run("almanacDateText(almanac.date)"), "2026-01-01");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()).includes("almanac=10min"), true);
+
+  pressKey(sk, "z");      // clock keys are off
+  assert.equal(sk.run("almanac !== null"), true);
+  pressKey(sk, "L");
+  assert.equal(sk.run("almanac"), null);
+});
+
+test("?almanac= opens the sheet, bad values are ignored", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.parseUrlConfig("?almanac=weekly").almanac, undefined);
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?almanac=10min"));
+  assert.equal(sk.run("almanac.step"), "10min");
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+test("3-4-5 right triangle: sides, area, centers", () => {
+  const { ctx } = loadSketch();
+  const an = ctx.triangleAnalysis({ hour: { x: 0, y: 0 }, minute: { x: 300, y: 0 }, second: { x: 0, y: 400 } });
+
+  assert.equal(an.sides.hm, 300);
+  assert.equal(an.sides.ms, 500);
+  assert.equal(an.sides.sh, 400);
+  assert.equal(an.perimeter, 1200);
+  assert.equal(an.area, 60000);
+  assert.equal(an.kind, "right");
+  assert.equal(an.shape, "scalene");
+
+  assert.ok(near(an.centroid.x, 100) && near(an.centroid.y, 400 / 3));
+  // incircle of a 3-4-5 triangle (x100): r = 100, center (100, 100)
+  assert.ok(near(an.inradius, 100));
+  assert.ok(near(an.incenter.x, 100) && near(an.incenter.y, 100));
+  // circumcenter = midpoint of the hypotenuse
+  assert.ok(near(an.circumcenter.x, 150) && near(an.circumcenter.y, 200));
+  assert.ok(near(an.circumradius, 250));
+});
+
+test("circumcenter is equidistant from all vertices of a live triangle", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.computeConfiguration(14, 32, 10, 7, null);
+  const an = ctx.triangleAnalysis(cfg.markers);
+  const d = P => Math.hypot(P.x - an.circumcenter.x, P.y - an.circumcenter.y);
+
+  assert.ok(near(d(cfg.markers.hour), an.circumradius, 1e-6));
+  assert.ok(near(d(cfg.markers.minute), an.circumradius, 1e-6));
+  assert.ok(near(d(cfg.markers.second), an.circumradius, 1e-6));
+  assert.equal(an.angles.h, cfg.angles.h);
+  assert.ok(near(an.angles.h + an.angles.m + an.angles.s, 180, 1e-9));
+});
+
+test("classification: acute / obtuse, near-equilateral / near-isosceles, degenerate", () => {
+  const { ctx } = loadSketch();
+  const eq = ctx.triangleAnalysis({ hour: { x: 0, y: 0 }, minute: { x: 100, y: 0 }, second: { x: 50, y: 86 } });
+  assert.equal(eq.kind, "acute");
+  assert.equal(eq.shape, "near-equilateral");
+
+  const iso = ctx.triangleAnalysis({ hour: { x: 0, y: 0 }, minute: { x: 100, y: 0 }, second: { x: 50, y: 20 } });
+  assert.equal(iso.kind, "obtuse");
+  assert.equal(iso.shape, "near-isosceles");
+
+  const flat = ctx.triangleAnalysis({ hour: { x: 0, y: 0 }, minute: { x: 100, y: 0 }, second: { x: 200, y: 0 } });
+  assert.equal(flat.kind, "degenerate");
+  assert.equal(flat.circumcenter, null);
+});
+
+test("A cycles the analysis modes, ?analysis= round trips", () => {
+  const sk = loadSketch();
+  pressKey(sk, "a");
+  assert.equal(sk.run("analysisMode"), "panel");
+  pressKey(sk, "A");
+  assert.equal(sk.run("analysisMode"), "draw");
+  pressKey(sk, "a");
+  assert.equal(sk.run("analysisMode"), "off");
+
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?analysis=draw"));
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?analysis=draw");
+});
+
+test("signature JSON carries the analysis", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.computeConfiguration(9, 15, 0, 3, null);
+  const json = ctx.signatureJSON({ h: 9, m: 15, S: 0, t: 3, source: "manual" }, cfg);
+  assert.equal(json.analysis.area, ctx.triangleAnalysis(cfg.markers).area);
+});
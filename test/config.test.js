@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch } = require("./harness.js");
+
+test("parseUrlConfig: full kiosk query", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.parseUrlConfig("?time=14:32:10&phase=tri&roulette=1&hideui=1&cycle=30&seed=7");
+
+  assert.deepEqual({ ...cfg.time }, { h: 14, m: 32, s: 10 });
+  assert.equal(cfg.phase, "tri");
+  assert.equal(cfg.roulette, true);
+  assert.equal(cfg.hideUI, true);
+  assert.equal(cfg.cycle, 30);
+  assert.equal(cfg.seed, 7);
+});
+
+test("parseUrlConfig: invalid values are dropped, cycle is clamped", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.parseUrlConfig("?time=25:00&phase=spin&cycle=5&seed=");
+
+  assert.equal(cfg.time, undefined);
+  assert.equal(cfg.phase, undefined);
+  assert.equal(cfg.seed, undefined);
+  assert.equal(cfg.cycle, 14.5);
+});
+
+test("buildUrlQuery -> parseUrlConfig round trip", () => {
+  const { ctx } = loadSketch();
+  const state = {
+    time: { h: 9, m: 5, s: 3 },
+    phase: "geo",
+    roulette: false,
+    hideUI: true,
+    cycle: 40,
+    seed: 1234,
+  };
+  const query = ctx.buildUrlQuery(state);
+  assert.equal(query, "?time=09:05:03&phase=geo&hideui=1&cycle=40&seed=1234");
+
+  const back = ctx.parseUrlConfig(query);
+  assert.deepEqual({ ...back.time }, state.time);
+  assert.equal(back.phase, "geo");
+  assert.equal(back.hideUI, true);
+  assert.equal(back.cycle, 40);
+  assert.equal(back.seed, 1234);
+});
+
+test("buildUrlQuery: live default state is an empty query", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "");
+});
+
+test("applyUrlConfig sets the initial state", () => {
+  const sk = loadSketch();
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?time=06:07:08&phase=tri&hideui=1&cycle=60"));
+
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.equal(sk.run("[manualH, manualM, manualS].join(':')"), "6:7:8");
+  assert.equal(sk.run("phaseMode"), "tri");
+  assert.equal(sk.run("manualPhaseEnabled"), true);
+  assert.equal(sk.run("showUI"), false);
+  assert.equal(sk.run("phaseCycle"), 60);
+});
+
+test("?date= sets the manual date and round trips", () => {
+  const sk = loadSketch();
+  const cfg = sk.ctx.parseUrlConfig("?date=2024-02-29&time=23:59");
+  assert.deepEqual({ ...cfg.date }, { y: 2024, mo: 2, d: 29 });
+  assert.equal(sk.ctx.parseUrlConfig("?date=2025-02-29").date, undefined);
+
+  sk.ctx.applyUrlConfig(cfg);
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?time=23:59:00&date=2024-02-29");
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch } = require("./harness.js");
+
+const FRAME = { h: 14, m: 32, S: 10.25, t: 42, source: "manual" };
+
+test("signature JSON matches the Point panel and angle labels", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.computeConfiguration(FRAME.h, FRAME.m, FRAME.S, FRAME.t);
+  const json = ctx.signatureJSON(FRAME, cfg);
+
+  assert.equal(json.time, "14:32:10");
+  assert.equal(json.morphT, 42);
+  assert.equal(json.points.h.x, Math.floor(cfg.markers.hour.x));
+  assert.equal(json.points.min.y, Math.floor(cfg.markers.minute.y));
+  assert.equal(json.points.sec.x, Math.floor(cfg.markers.second.x));
+  assert.equal(json.angles.h, Math.round(cfg.angles.h * 10) / 10);
+  assert.equal(json.exact.angles.sec, cfg.angles.s);
+});
+
+test("signature SVG is deterministic and contains every element", () => {
+  const { ctx } = loadSketch();
+  const a = ctx.signatureSVG(ctx.computeConfiguration(FRAME.h, FRAME.m, FRAME.S, FRAME.t));
+  const b = ctx.signatureSVG(ctx.computeConfiguration(FRAME.h, FRAME.m, FRAME.S, FRAME.t));
+
+  assert.equal(a, b);
+  for (const id of ["hour-shape", "hour-numbers", "seconds-oval", "minute-line", "markers", "triangle", "angles"]) {
+    assert.ok(a.includes(`id="${id}"`), id);
+  }
+  assert.match(a, /^<svg [^>]*width="1080" height="1920"/);
+});
+
+test("signature file name uses the shown time", () => {
+  const { ctx } = loadSketch();
+  assert.equal(ctx.signatureBaseName(FRAME), "math-of-time_14-32-10");
+});
+
+test("world mode exports the whole grid in SVG and JSON, as the PNG shows it", () => {
+  const sk = loadSketch();
+  const { ctx } = sk;
+  sk.run('timeZone = "UTC"');
+  const cells = ctx.worldCells({ y: 2025, mo: 1, d: 15 }, FRAME.h, FRAME.m, FRAME.S, FRAME.t, false);
+
+  const svg = ctx.signatureWorldSVG(cells);
+  for (const id of ["europe-berlin", "asia-tokyo", "australia-sydney"]) {
+    assert.ok(svg.includes(`<g id="${id}" transform=`), id);
+    assert.ok(svg.includes(`id="${id}-triangle"`), id);
+  }
+  assert.ok(svg.includes(">Tokyo  UTC+09:00  23:32:10</text>"));
+  assert.ok(!svg.includes('id="angles"'));   // mini faces have no labels
+
+  const json = ctx.signatureWorldJSON(FRAME, cells);
+  assert.equal(json.time, "14:32:10");
+  assert.deepEqual(Array.from(json.world, z => z.zone), Array.from(sk.run("WORLD_ZONES")));
+  const tokyo = json.world.find(z => z.zone === "Asia/Tokyo");
+  assert.equal(tokyo.time, "23:32:10");
+  assert.equal(tokyo.offset, "UTC+09:00");
+  const cfg = ctx.computeConfiguration(23, 32, FRAME.S, FRAME.t);
+  assert.equal(tokyo.exact.angles.sec, cfg.angles.s);
+  assert.equal(tokyo.points.h.x, Math.floor(cfg.markers.hour.x));
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("hits meet their condition, runs collapse to one best second", () => {
+  const { ctx } = loadSketch();
+  const hits = ctx.scanMoments("right", 0, 3599, 0, false);
+  assert.ok(hits.length > 0);
+
+  for (const hit of hits) {
+    const cfg = ctx.computeConfiguration(hit.h, hit.m, hit.s, 0, null);
+    const an = ctx.triangleAnalysis(cfg.markers);
+    assert.ok(Math.min(...[an.angles.h, an.angles.m, an.angles.s].map(a => Math.abs(a - 90))) <= 0.5);
+    assert.equal(hit.sec, hit.h * 3600 + hit.m * 60 + hit.s);
+  }
+  // one hit per run: never two neighbouring seconds
+  for (let i = 1; i < hits.length; i++) assert.ok(hits[i].sec - hits[i - 1].sec > 1);
+});
+
+test("extremes give a single hit, chunked scan = whole scan", () => {
+  const { ctx } = loadSketch();
+  const max = ctx.scanMoments("max-area", 0, 599, 0, false);
+  assert.equal(max.length, 1);
+
+  const sc = ctx.finderScanner("collinear", 0, 1799, 0, false);
+  let chunks = 0;
+  while (!sc.done) {
+    ctx.finderAdvance(sc, 250);
+    chunks++;
+  }
+  assert.equal(chunks, 8);
+  assert.deepEqual(JSON.parse(JSON.stringify(sc.hits)), JSON.parse(JSON.stringify(ctx.scanMoments("collinear", 0, 1799, 0, false))));
+});
+
+test("parseFinderRange", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual({ ...ctx.parseFinderRange("06:00-18:30") }, { from: 21600, to: 66600 });
+  assert.deepEqual({ ...ctx.parseFinderRange("0:00:10-0:01") }, { from: 10, to: 60 });
+  assert.equal(ctx.parseFinderRange("18:00-06:00"), null);
+  assert.equal(ctx.parseFinderRange("24:00-25:00"), null);
+  assert.equal(ctx.parseFinderRange("10:75-11:00"), null);
+  assert.equal(ctx.parseFinderRange("noon"), null);
+  assert.equal(ctx.formatFinderRange({ from: 21600, to: 66600 }), "06:00-18:30");
+});
+
+test("F scans, N jumps to the hits and the hour shape is held", () => {
+  const sk = loadSketch();
+  sk.run("finderRange = { from: 3600, to: 4199 }");
+  sk.clock.ms = 5000;
+  pressKey(sk, "f");
+  assert.equal(sk.run("finderCondition()"), "equilateral");
+  pressKey(sk, "F");
+  assert.equal(sk.run("finderCondition()"), "right");
+  assert.equal(sk.run("finderMorph()"), 5);
+
+  assert.equal(sk.run("finderHits().length"), 0);   // nothing before the scan is done
+  let now = 0;
+  sk.ctx.performance = { now: () => (now += 5) };   // each slice "takes" 5 ms
+  sk.run("finderTick()");
+  assert.equal(sk.run("finder.next"), 3600 + 2 * 30);   // 8 ms budget: two slices, then the next frame
+  sk.run("while (!finder.done) finderTick()");
+  const hits = sk.run("JSON.stringify(finderHits())");
+  const list = JSON.parse(hits);
+  assert.ok(list.length >= 2);
+
+  pressKey(sk, "n");
+  assert.deepEqual([sk.run("manualH"), sk.run("manualM"), sk.run("manualS")], [list[0].h, list[0].m, list[0].s]);
+  assert.equal(sk.run("playPaused"), true);
+  pressKey(sk, "N");
+  assert.equal(sk.run("manualS"), list[1].s);
+  assert.match(sk.run("finderStatus()"), /2\//);
+
+  pressKey(sk, "r");
+  assert.equal(sk.run("finderCondition()"), "off");
+  assert.equal(sk.run("finderMorph()"), null);
+});
+
+test("?find=&range= round trips", () => {
+  const sk = loadSketch();
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?find=collinear&range=06:00-07:00"));
+  assert.equal(sk.run("finderCondition()"), "collinear");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?find=collinear&range=06:00-07:00");
+
+  const cfg = sk.ctx.parseUrlConfig("?find=bogus&range=later");
+  assert.equal(cfg.find, undefined);
+  assert.equal(cfg.range, undefined);
+});
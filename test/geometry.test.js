@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  angleAtPoint,
+  hourShapeMorph,
+  hourShapeVertices,
+  polygonPerimeter,
+  pointOnPerimeter,
+  hourNumbers,
+  computeConfiguration,
+  GEO_LAYOUT,
+} = require("../geometry.js");
+
+const EPS = 1e-9;
+
+function near(actual, expected, eps = EPS) {
+  assert.ok(Math.abs(actual - expected) <= eps, `${actual} != ${expected} (±${eps})`);
+}
+
+test("angleAtPoint: right angle and straight line", () => {
+  near(angleAtPoint({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 5 }), 90);
+  near(angleAtPoint({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: -3, y: 0 }), 180);
+  // acos near 1 is only accurate to ~1e-6°
+  near(angleAtPoint({ x: 0, y: 0 }, { x: 2, y: 2 }, { x: 4, y: 4 }), 0, 1e-5);
+});
+
+test("angleAtPoint: degenerate sides give 0 instead of NaN", () => {
+  const P = { x: 10, y: 10 };
+  assert.equal(angleAtPoint(P, P, { x: 20, y: 10 }), 0);
+  assert.equal(angleAtPoint(P, { x: 20, y: 10 }, P), 0);
+  assert.equal(angleAtPoint(P, P, P), 0);
+});
+
+test("pointOnPerimeter: starts at pts[0] and stays on the outline", () => {
+  const pts = hourShapeVertices(hourShapeMorph(0), GEO_LAYOUT.hour.size);
+  const perim = polygonPerimeter(pts);
+
+  assert.deepEqual(pointOnPerimeter(pts, 0), pts[0]);
+
+  // float overshoot wraps back to the start instead of the shape center
+  assert.deepEqual(pointOnPerimeter(pts, perim * (1 + 1e-12)), pts[0]);
+});
+
+test("hour marker at H12 = 11.999 sits just before pts[0] on the last edge", () => {
+  // 11:59:56.4 -> H12 = 11.999
+  const cfg = computeConfiguration(11, 59, 56.4, 0);
+  near(cfg.time.H12, 11.999, 1e-12);
+
+  const p0 = cfg.hourShape.local[0];
+  const p3 = cfg.hourShape.local[3];
+  const hm = cfg.markers.hourLocal;
+
+  assert.ok(Math.hypot(hm.x - p0.x, hm.y - p0.y) < cfg.hourShape.perimeter / 12000 + 1e-9);
+
+  // collinear with the closing edge pts[3] -> pts[0]
+  const cross = (p0.x - p3.x) * (hm.y - p3.y) - (p0.y - p3.y) * (hm.x - p3.x);
+  near(cross, 0, 1e-6);
+});
+
+test("hourNumbers: exactly one active label, 12 around midnight/noon", () => {
+  const pts = hourShapeVertices(hourShapeMorph(0), GEO_LAYOUT.hour.size);
+  const perim = polygonPerimeter(pts);
+
+  const active = H12 => hourNumbers(pts, perim, H12).filter(n => n.active).map(n => n.value);
+
+  assert.deepEqual(active(0), [12]);
+  assert.deepEqual(active(0.49), [12]);
+  assert.deepEqual(active(11.6), [12]);
+  assert.deepEqual(active(3.2), [3]);
+  assert.deepEqual(active(6.51), [7]);
+});
+
+test("hourNumbers: 12 labels, label 12 on pts[0]", () => {
+  const pts = hourShapeVertices(hourShapeMorph(5), GEO_LAYOUT.hour.size);
+  const nums = hourNumbers(pts, polygonPerimeter(pts), 0);
+
+  assert.equal(nums.length, 12);
+  assert.deepEqual(nums.map(n => n.value), [12, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  assert.deepEqual(nums[0].pos, pts[0]);
+});
+
+test("computeConfiguration: second and minute markers on their tracks", () => {
+  const cfg = computeConfiguration(0, 0, 0, 0);
+  const L = GEO_LAYOUT;
+
+  near(cfg.markers.second.x, L.second.cx);
+  near(cfg.markers.second.y, L.second.cy - L.second.h / 2);
+  near(cfg.markers.minute.x, L.minute.x);
+  near(cfg.markers.minute.y, L.minute.top);
+
+  const half = computeConfiguration(0, 30, 30, 0);
+  near(half.markers.second.y, L.second.cy + L.second.h / 2);
+  near(half.markers.minute.y, L.minute.top + (30.5 / 60) * (L.minute.bottom - L.minute.top));
+});
+
+// golden values — any change here changes every signature
+const GOLDEN = [
+  { at: [0, 0, 0, 0],       h: 5.674535804801277,  m: 23.285414713356275, s: 151.04004948184266 },
+  { at: [3, 15, 30, 10],    h: 125.76839692571367, m: 34.07840961987897,  s: 20.15319345440739 },
+  { at: [9, 45, 0, 0],      h: 41.23822504006735,  m: 94.40608894989803,  s: 44.35568601003462 },
+  { at: [18, 20, 45, 123.4], h: 34.80283744896062, m: 58.60309463346901,  s: 86.59406791757037 },
+];
+
+for (const g of GOLDEN) {
+  test(`triangle angles golden ${g.at.join(" ")}`, () => {
+    const cfg = computeConfiguration(...g.at);
+    near(cfg.angles.h, g.h, 1e-9);
+    near(cfg.angles.m, g.m, 1e-9);
+    near(cfg.angles.s, g.s, 1e-9);
+    near(cfg.angles.h + cfg.angles.m + cfg.angles.s, 180, 1e-9);
+  });
+}
+
+test("date helpers: days in year and day of year", () => {
+  const { daysInYear, dayOfYear } = require("../geometry.js");
+  assert.equal(daysInYear(2024), 366);
+  assert.equal(daysInYear(2025), 365);
+  assert.equal(dayOfYear(2025, 1, 1), 1);
+  assert.equal(dayOfYear(2024, 3, 1), 61);
+  assert.equal(dayOfYear(2025, 12, 31), 365);
+});
+
+test("date configuration: markers start at the top / left / pts[0]", () => {
+  const cfg = computeConfiguration(0, 0, 0, 0, { y: 2025, mo: 1, d: 1 });
+  const L = GEO_LAYOUT;
+  const dc = cfg.date;
+
+  near(dc.markers.day.x, L.day.cx);
+  near(dc.markers.day.y, L.day.cy - L.day.h / 2);
+  near(dc.markers.month.x, L.month.left);
+  assert.deepEqual(dc.markers.yearLocal, dc.yearShape.local[0]);
+  assert.equal(dc.yearShape.monthStarts.filter(m => m.active).length, 1);
+});
+
+test("date configuration differs between 03:00 on two days of the year", () => {
+  const a = computeConfiguration(3, 0, 0, 0, { y: 2025, mo: 3, d: 14 });
+  const b = computeConfiguration(3, 0, 0, 0, { y: 2025, mo: 9, d: 2 });
+
+  assert.deepEqual(a.angles, b.angles);
+  assert.notDeepEqual(a.date.angles, b.date.angles);
+  near(a.date.angles.day + a.date.angles.month + a.date.angles.year, 180, 1e-9);
+  assert.equal(computeConfiguration(3, 0, 0, 0).date, null);
+});
+
+test("24-hour dial: 03:00 and 15:00 differ, 24 labels with 24 on pts[0]", () => {
+  const am12 = computeConfiguration(3, 0, 0, 0);
+  const pm12 = computeConfiguration(15, 0, 0, 0);
+  assert.deepEqual(am12.markers.hour, pm12.markers.hour);
+
+  const am = computeConfiguration(3, 0, 0, 0, null, { hours24: true });
+  const pm = computeConfiguration(15, 0, 0, 0, null, { hours24: true });
+  assert.notDeepEqual(am.markers.hour, pm.markers.hour);
+  assert.notDeepEqual(am.angles, pm.angles);
+
+  const nums = pm.hourShape.numbers;
+  assert.equal(pm.time.dialHours, 24);
+  assert.equal(nums.length, 24);
+  assert.equal(nums[0].value, 24);
+  assert.deepEqual(nums[0].pos, pm.hourShape.local[0]);
+  assert.deepEqual(nums.filter(n => n.active).map(n => n.value), [15]);
+
+  // 12:00 on the 24 dial is half way round
+  const noon = computeConfiguration(12, 0, 0, 0, null, { hours24: true });
+  const half = pointOnPerimeter(noon.hourShape.local, noon.hourShape.perimeter / 2);
+  near(noon.markers.hourLocal.x, half.x);
+  near(noon.markers.hourLocal.y, half.y);
+});
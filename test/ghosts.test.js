@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("ghostMoment steps back over midnight", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual({ ...ctx.ghostMoment(14, 30, 15.5, 60) }, { h: 14, m: 29, S: 15.5 });
+  assert.deepEqual({ ...ctx.ghostMoment(0, 0, 30, 3600) }, { h: 23, m: 0, S: 30 });
+});
+
+test("hour mode: 60 ghosts, one per minute, oldest first", () => {
+  const { ctx } = loadSketch();
+  const ghosts = ctx.ghostTriangles(10, 0, 0, 3, false, "hour");
+  assert.equal(ghosts.length, 60);
+  assert.equal(ghosts[0].age, 1);
+  assert.equal(ghosts[59].age, 1 / 60);
+
+  // the newest ghost is exactly the triangle one minute ago
+  const ref = ctx.computeConfiguration(9, 59, 0, 3, null);
+  assert.deepEqual({ ...ghosts[59].markers.minute }, { ...ref.markers.minute });
+  assert.deepEqual({ ...ghosts[0].markers.hour }, { ...ctx.computeConfiguration(9, 0, 0, 3, null).markers.hour });
+});
+
+test("vertex paths end at the live markers; second path spans one lap", () => {
+  const { ctx, run } = loadSketch();
+  const now = ctx.computeConfiguration(8, 20, 12.5, 3, null);
+  const paths = ctx.vertexPaths(8, 20, 12.5, 3, false, "hour");
+  const n = run("GHOST_PATH_SAMPLES") + 1;
+
+  for (const which of ["hour", "minute", "second"]) {
+    assert.equal(paths[which].length, n);
+    assert.deepEqual({ ...paths[which][n - 1] }, { ...now.markers[which] });
+  }
+  // 60 s back = same second marker
+  const p0 = paths.second[0], p1 = paths.second[n - 1];
+  assert.ok(Math.abs(p0.x - p1.x) < 1e-9 && Math.abs(p0.y - p1.y) < 1e-9);
+});
+
+test("off mode draws nothing", () => {
+  const { ctx } = loadSketch();
+  assert.equal(ctx.ghostTriangles(1, 2, 3, 0, false, "off").length, 0);
+  assert.equal(ctx.vertexPaths(1, 2, 3, 0, false, "off").hour.length, 0);
+});
+
+test("G cycles the modes, ?ghosts= round trips", () => {
+  const sk = loadSketch();
+  pressKey(sk, "g");
+  assert.equal(sk.run("ghostMode"), "hour");
+  pressKey(sk, "G");
+  assert.equal(sk.run("ghostMode"), "minute");
+  pressKey(sk, "g");
+  assert.equal(sk.run("ghostMode"), "off");
+
+  assert.equal(sk.ctx.parseUrlConfig("?ghosts=toString").ghosts, undefined);
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?ghosts=minute"));
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?ghosts=minute");
+});
@@ -0,0 +1,75 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — headless test harness
+// Loads the browser scripts (as listed in index.html) into a Node vm
+// context with the p5 globals the logic touches stubbed out.
+//
+// Run all tests:  node --test test/
+// ------------------------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// local <script src> tags of index.html, in page order (p5 itself is a CDN url)
+function pageScripts() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  return [...html.matchAll(/<script src="([^"]+)"/g)]
+    .map(m => m[1])
+    .filter(src => !/^https?:/.test(src));
+}
+
+// minimal p5 surface used outside of draw()
+function p5Stubs(clock) {
+  return {
+    window: {},
+    console,
+    URLSearchParams,
+    TextEncoder,
+    performance,
+    millis: () => clock.ms,
+    random: (a, b) => a + clock.rand() * (b - a),
+    floor: Math.floor,
+    nf: (n, left) => String(Math.floor(n)).padStart(left, "0"),
+    constrain: (v, a, b) => Math.max(a, Math.min(b, v)),
+    ESCAPE: 27,
+    ENTER: 13,
+    RETURN: 13,
+    BACKSPACE: 8,
+    LEFT_ARROW: 37,
+    UP_ARROW: 38,
+    RIGHT_ARROW: 39,
+    DOWN_ARROW: 40,
+    key: "",
+    keyCode: 0,
+    keyIsDown: () => false,
+    touches: [],
+  };
+}
+
+// returns { ctx, run(code), clock }
+// clock.ms drives millis(), clock.rand drives random()
+function loadSketch() {
+  const clock = { ms: 0, rand: Math.random };
+  const ctx = vm.createContext(p5Stubs(clock));
+
+  for (const file of pageScripts()) {
+    const src = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(src, ctx, { filename: file });
+  }
+
+  // top-level let/const are not context properties -> evaluate inside
+  const run = code => vm.runInContext(code, ctx);
+
+  return { ctx, run, clock };
+}
+
+// simulate a p5 key event
+function pressKey(sketch, key, keyCode = 0) {
+  sketch.ctx.key = key;
+  sketch.ctx.keyCode = keyCode;
+  return sketch.ctx.keyPressed();
+}
+
+module.exports = { loadSketch, pressKey };
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("every string of the English table exists in every other language", () => {
+  const sk = loadSketch();
+  const locales = JSON.parse(sk.run("JSON.stringify(LOCALES)"));
+  const en = Object.keys(locales.en);
+  for (const id of sk.run("LOCALE_ORDER")) {
+    const missing = en.filter(k => locales[id][k] === undefined);
+    assert.deepEqual(missing, [], id);
+  }
+});
+
+test("tr: lookup, {name} substitution, English fallback, unknown key", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.tr("find.hits", { n: 3 }), "3 hits");
+  sk.ctx.setLocale("de");
+  assert.equal(sk.ctx.tr("find.hits", { n: 3 }), "3 Treffer");
+  sk.run('LOCALES.en["only.en"] = "fallback"');
+  assert.equal(sk.ctx.tr("only.en"), "fallback");
+  assert.equal(sk.ctx.tr("no.such.key"), "no.such.key");
+  assert.equal(sk.ctx.setLocale("xx"), false);
+  assert.equal(sk.run("locale"), "de");
+});
+
+test("numbers and dates follow the locale", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.fmtDeg(41.23), "41.2°");
+  assert.equal(sk.ctx.fmtNum(1234.5, 1), "1234.5");
+  assert.equal(sk.ctx.fmtDate({ y: 2025, mo: 3, d: 14 }), "Fri, 14 Mar 2025");
+
+  sk.ctx.setLocale("de");
+  assert.equal(sk.ctx.fmtDeg(41.23), "41,2°");
+  assert.equal(sk.ctx.fmtNum(1234.5, 1), "1234,5");
+  assert.equal(sk.ctx.fmtDate({ y: 2025, mo: 3, d: 14 }), "Fr., 14. März 2025");
+});
+
+test("browser language, I key, ?lang= and page config", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.matchLocale(["fr-FR", "de-AT"]), "de");
+  assert.equal(sk.ctx.matchLocale("fr"), null);
+
+  sk.ctx.localeInit({ languages: ["de-CH", "en"] });
+  assert.equal(sk.run("locale"), "de");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "");   // not chosen, not shared
+
+  pressKey(sk, "i");
+  assert.equal(sk.run("locale"), "en");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?lang=en");
+  pressKey(sk, "I");
+  assert.equal(sk.run("locale"), "de");
+
+  const other = loadSketch();
+  other.ctx.applyUrlConfig(other.ctx.parseUrlConfig("?lang=de"));
+  assert.equal(other.run("locale"), "de");
+  assert.equal(other.ctx.buildUrlQuery(other.ctx.currentUrlState()), "?lang=de");
+  assert.equal(other.ctx.parseUrlConfig("?lang=xx").lang, undefined);
+
+  const page = loadSketch();
+  page.ctx.applyPageConfig({ lang: "de" });
+  assert.equal(page.run("locale"), "de");
+});
+
+test("Controls box in German: status labels line up, keys stay tappable", () => {
+  const sk = loadSketch();
+  sk.ctx.setLocale("de");
+  const lines = sk.ctx.helpBoxLines();
+  assert.equal(lines[0], "Steuerung");
+
+  const status = lines.slice(2, lines.indexOf("", 2));
+  const cols = status.map(l => l.search(/:\s+\S/) + l.match(/:\s+/)[0].length);
+  assert.ok(cols.every(c => c === cols[0]), status.join("\n"));
+  assert.ok(status.some(l => l.startsWith("Sprache:") && l.endsWith("Deutsch")));
+
+  const keys = lines.flatMap(l => Array.from(sk.ctx.helpLineTaps(l), t => t.key));
+  for (const k of ["T", "Z", "R", "P", "B", " ", "1", "2", "3", "I", "U"]) assert.ok(keys.includes(k), k);
+});
+
+test("wrapLines: hanging indent, long words split (after a hyphen if it fits)", () => {
+  const sk = loadSketch();
+  sk.ctx.textWidth = s => s.length;   // 1 unit per character
+
+  assert.deepEqual(Array.from(sk.ctx.wrapLines(["K   aaa bbb ccc"], 10, true)), ["K   aaa", "    bbb", "    ccc"]);
+  assert.deepEqual(Array.from(sk.ctx.wrapLines(["K   aaa bbb ccc"], 10)), ["K   aaa", "bbb ccc"]);
+  assert.deepEqual(Array.from(sk.ctx.wrapLines(["abcdefghijkl"], 5)), ["abcde", "fghij", "kl"]);
+  assert.deepEqual(Array.from(sk.ctx.wrapLines(["fast-gleichseitig"], 12)), ["fast-", "gleichseitig"]);
+  assert.deepEqual(Array.from(sk.ctx.wrapLines(["", "ab"], 5)), ["", "ab"]);
+});
@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch } = require("./harness.js");
+
+const plain = v => JSON.parse(JSON.stringify(v));   // vm realm -> plain objects
+const settle = () => new Promise(r => setImmediate(r));
+
+// fetch stand-in serving files; missing files -> 404
+function fakeFetch(files, log) {
+  return url => {
+    log.push(url);
+    const found = files[url] !== undefined;
+    return Promise.resolve({ ok: found, status: found ? 200 : 404, text: () => Promise.resolve(files[url]) });
+  };
+}
+
+const VENUE_MD = `# GALLERY EDITION
+
+First line of the first paragraph,
+second line with **bold** and ==marked== words.
+
+Second paragraph.
+
+Third.
+
+- YEAR: 2026
+- CURATOR: A. B.
+- VENUE: Kunsthalle
+`;
+
+test("inline spans: bold, highlight, unmatched markers stay text", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual(plain(ctx.parseInfoSpans("a **b** c ==d==")), [
+    { text: "a ", bold: false, mark: false },
+    { text: "b", bold: true, mark: false },
+    { text: " c ", bold: false, mark: false },
+    { text: "d", bold: true, mark: true },
+  ]);
+  assert.deepEqual(plain(ctx.parseInfoSpans("2 ** 3")), [{ text: "2 ** 3", bold: false, mark: false }]);
+});
+
+test("Markdown: title, any number of paragraphs, meta rows", () => {
+  const { ctx } = loadSketch();
+  const info = plain(ctx.parseInfoMarkdown(VENUE_MD));
+  assert.equal(info.title, "GALLERY EDITION");
+  assert.equal(info.paras.length, 3);
+  assert.equal(info.paras[0].map(s => s.text).join(""), "First line of the first paragraph, second line with bold and marked words.");
+  assert.deepEqual(info.meta, [{ k: "YEAR", v: "2026" }, { k: "CURATOR", v: "A. B." }, { k: "VENUE", v: "Kunsthalle" }]);
+});
+
+test("JSON: meta as object or rows, per-language files, bad JSON", () => {
+  const { ctx } = loadSketch();
+  const one = plain(ctx.parseInfoFile("venue.json", JSON.stringify({ paragraphs: ["x **y**"], meta: { YEAR: 2026 } })));
+  assert.equal(one["*"].title, "MATH OF TIME");
+  assert.equal(one["*"].paras[0][1].bold, true);
+  assert.deepEqual(one["*"].meta, [{ k: "YEAR", v: "2026" }]);
+
+  const rows = plain(ctx.parseInfoJson({ meta: [{ k: "A", v: "1" }, { k: "B", v: "2" }] }));
+  assert.deepEqual(rows.meta, [{ k: "A", v: "1" }, { k: "B", v: "2" }]);
+
+  const both = plain(ctx.parseInfoFile("venue.json", JSON.stringify({ en: { title: "EN" }, de: "# DE\n\nText." })));
+  assert.equal(both.en.title, "EN");
+  assert.equal(both.de.title, "DE");
+
+  assert.equal(ctx.parseInfoFile("venue.json", "{ nope"), null);
+});
+
+test("built-in text bolds the highlight sentence in paragraph 2", () => {
+  const sk = loadSketch();
+  const bold = sk.run("infoContent()").paras[1].filter(s => s.bold).map(s => s.text);
+  assert.deepEqual(Array.from(bold), ["Each moment generates its own geometric configuration"]);
+  sk.ctx.setLocale("de");
+  assert.equal(sk.run("infoContent()").meta[0].k, "JAHR");
+});
+
+test("?info= loads a file per language, failures keep the built-in text", async () => {
+  const sk = loadSketch();
+  const log = [];
+  sk.ctx.fetch = fakeFetch({ "venue/info.en.md": VENUE_MD, "venue/info.de.md": "# AUSGABE\n\nText." }, log);
+
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?info=venue/info.{lang}.md"));
+  assert.equal(sk.run("infoContent().title"), "MATH OF TIME");   // still loading
+  await settle();
+  assert.equal(sk.run("infoContent().title"), "GALLERY EDITION");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?info=venue/info.{lang}.md");
+
+  sk.ctx.setLocale("de");
+  sk.run("infoContent()");
+  await settle();
+  assert.equal(sk.run("infoContent().title"), "AUSGABE");
+  assert.deepEqual(log, ["venue/info.en.md", "venue/info.de.md"]);
+
+  sk.ctx.setInfoSource("missing.md");
+  await settle();
+  assert.equal(sk.run("infoContent().meta[0].k"), "JAHR");
+  assert.equal(sk.run("infoCustom['*']"), "failed");
+});
+
+test("malformed inline content falls back to the built-in text", () => {
+  for (const info of [{ paragraphs: "text" }, { meta: "x" }, { de: null }, { en: { paragraphs: 3 } }, [1, 2]]) {
+    const sk = loadSketch();
+    sk.ctx.applyPageConfig({ info });
+    assert.equal(sk.run("infoContent().meta[0].k"), "YEAR", JSON.stringify(info));
+  }
+  const sk = loadSketch();
+  sk.ctx.applyPageConfig({ info: { paragraphs: ["One.", null], meta: [null, { k: "A" }, 5] } });
+  assert.equal(sk.run("infoContent().paras.length"), 1);
+  assert.deepEqual(plain(sk.run("infoContent().meta")), [{ k: "A", v: "" }]);
+});
+
+test("page config takes inline content", () => {
+  const sk = loadSketch();
+  sk.ctx.applyPageConfig({ info: { title: "KIOSK", paragraphs: ["One.", "Two."], meta: { A: "b" } } });
+  assert.equal(sk.run("infoContent().title"), "KIOSK");
+  assert.equal(sk.run("infoContent().paras.length"), 2);
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "");
+});
+
+test("pages: at most perPage lines, none starts with a gap; pager wraps", () => {
+  const sk = loadSketch();
+  const line = t => ({ runs: t ? [{ text: t }] : [] });
+  const lines = ["T", "", "a", "b", "c", "", "d", "e"].map(line);
+  const pages = plain(sk.ctx.infoPages(lines, 3)).map(p => p.map(l => (l.runs[0] ? l.runs[0].text : "")));
+  assert.deepEqual(pages, [["T", "", "a"], ["b", "c", ""], ["d", "e"]]);
+  assert.deepEqual(plain(sk.ctx.infoPages([], 3)), [[]]);
+
+  sk.run("gInfoPager = { x: 0, y: 100, w: 200, h: 20, pages: 3 }");
+  assert.equal(sk.ctx.infoPagerAt(150, 110), 1);
+  assert.equal(sk.ctx.infoPagerAt(50, 110), -1);
+  assert.equal(sk.ctx.infoPagerAt(50, 130), 0);
+  sk.ctx.infoTurnPage(-1);
+  assert.equal(sk.run("infoPage"), 2);
+  sk.ctx.infoTurnPage(1);
+  assert.equal(sk.run("infoPage"), 0);
+});
+
+// p5 text stand-ins: bold glyphs are wider, text() calls are kept
+function textCanvas(sk) {
+  const drawn = [];
+  let style = "normal";
+  const noop = () => {};
+  Object.assign(sk.ctx, {
+    BOLD: "bold", NORMAL: "normal", LEFT: "left", CENTER: "center", TOP: "top",
+    textStyle: s => { style = s; },
+    textWidth: s => String(s).length * (style === "bold" ? 10 : 6),
+    text: (t, x, y) => drawn.push({ t, x, y, style }),
+    textAlign: noop, noStroke: noop, fillC: noop, drawUiBoxFrame: noop,
+  });
+  return drawn;
+}
+
+test("info box: bold measured bold, pager below the page, long meta values wrap", () => {
+  const sk = loadSketch();
+  const drawn = textCanvas(sk);
+
+  // 106 wide in bold (66 if measured normal): no longer one line of 100
+  assert.equal(sk.ctx.wrapSpans([{ text: "aaaaa bbbbb", bold: true, mark: false }], 100).length, 2);
+  assert.equal(sk.ctx.wrapSpans([{ text: "aaaaa bbbbb", bold: false, mark: false }], 100).length, 1);
+
+  sk.ctx.applyPageConfig({ info: { title: "T", paragraphs: ["one two three four"], meta: { KEY: "a very long value here" } } });
+  const r = { x: 0, y: 0, w: 300, h: 0 };
+  const meta = sk.ctx.infoMetaLayout(r.w);
+  assert.deepEqual(plain(meta.rows[0].lines), ["a very long", "value here"]);   // 132 wide column
+  assert.equal(meta.h, 24 + 16);
+
+  // room for one body row only: page of one line, pager on the next row
+  r.h = 18 * 2 + 16 + 22 + meta.h;
+  sk.ctx.drawInfoBox(r);
+  const body = drawn.find(d => d.t === "T");
+  const pager = drawn.find(d => d.t.startsWith("◂"));
+  assert.equal(pager.y, body.y + 16);
+  assert.equal(sk.run("gInfoPager.pages"), 2);   // "T" | gap dropped, "one two three four"
+  assert.ok(drawn.some(d => d.t === "value here" && d.y > pager.y));
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch } = require("./harness.js");
+
+// screen bounds as drawUI() builds them, for a W x H window
+function frame(W, H) {
+  const contentH = 1460;   // CONTENT_MAX_Y - CONTENT_MIN_Y
+  const sc = Math.min(W / 1080, H / contentH);
+  const offX = (W - 1080 * sc) / 2;
+  const offY = (H - contentH * sc) / 2;
+  return {
+    gridX0: offX + 70 * sc,
+    gridX1: offX + 1010 * sc,
+    gridY0: offY + 330 * sc,
+    infoBottomY: offY + 1150 * sc,
+    contentY0: offY,
+    contentY1: offY + contentH * sc,
+    bottomReserve: 64,
+  };
+}
+
+const NEED = { controlsW: 330, controlsH: 600, infoH: 500, controlsHAt: () => 600 };
+
+test("desktop: boxes beside the grid, never off-screen", () => {
+  const { ctx } = loadSketch();
+  const L = ctx.computeUiLayout(1920, 1080, frame(1920, 1080), NEED, null);
+  assert.equal(L.mode, "side");
+  assert.ok(L.info.x >= 12);
+  assert.equal(L.info.x + L.info.w, frame(1920, 1080).gridX0);
+  assert.ok(L.controls.x + L.controls.w <= 1920 - 12);
+  assert.equal(L.tabs.length, 0);
+});
+
+test("side boxes shrink to the room there is", () => {
+  const { ctx } = loadSketch();
+  const f = frame(1300, 1080);
+  const L = ctx.computeUiLayout(1300, 1080, f, NEED, null);
+  assert.equal(L.mode, "side");
+  assert.ok(L.info.x >= 12 - 1e-9);
+  assert.ok(L.controls.w < NEED.controlsW);
+});
+
+test("long Controls: moves up beside the grid, drawers when the screen is too short", () => {
+  const { ctx } = loadSketch();
+  const f = frame(1920, 1080);
+  const bottom = 1080 - f.bottomReserve - 12;
+
+  const up = ctx.computeUiLayout(1920, 1080, f, { ...NEED, controlsHAt: () => 900 }, null);
+  assert.equal(up.mode, "side");
+  assert.equal(up.controls.y + 900, bottom);
+  assert.ok(up.controls.y >= 12);
+
+  const short = frame(1920, 700);
+  const L = ctx.computeUiLayout(1920, 700, short, { ...NEED, controlsHAt: w => (w < 400 ? 800 : 600) }, "controls");
+  assert.notEqual(L.mode, "side");
+  assert.ok(L.controls.y + L.controls.h <= 700 - short.bottomReserve);
+});
+
+test("tall narrow screen: Info above, Controls below the content", () => {
+  const { ctx } = loadSketch();
+  const f = frame(600, 2400);
+  const L = ctx.computeUiLayout(600, 2400, f, NEED, null);
+  assert.equal(L.mode, "stack");
+  assert.equal(L.info.w, 576);
+  assert.ok(L.info.y >= 12 && L.info.y + L.info.h <= f.contentY0);
+  assert.ok(L.controls.y >= f.contentY1);
+  assert.ok(L.controls.y + L.controls.h <= 2400 - f.bottomReserve);
+});
+
+test("phone portrait: drawers, one open at a time, inside the screen", () => {
+  const { ctx } = loadSketch();
+  const f = frame(390, 844);
+
+  const closed = ctx.computeUiLayout(390, 844, f, NEED, null);
+  assert.equal(closed.mode, "drawer");
+  assert.equal(closed.controls, null);
+  assert.equal(closed.info, null);
+  assert.deepEqual(Array.from(closed.tabs, t => t.id), ["controls", "info"]);
+
+  const open = ctx.computeUiLayout(390, 844, f, NEED, "controls");
+  assert.equal(open.info, null);
+  assert.equal(open.controls.solid, true);
+  assert.ok(open.controls.x >= 0 && open.controls.x + open.controls.w <= 390);
+  assert.ok(open.controls.y + open.controls.h <= 844 - f.bottomReserve);
+  assert.equal(open.tabs[0].open, true);
+});
+
+test("tapping a tab toggles its drawer", () => {
+  const sk = loadSketch();
+  sk.run(`gUiLayout = computeUiLayout(390, 844, ${JSON.stringify(frame(390, 844))}, { ...${JSON.stringify(NEED)}, controlsHAt: () => 600 }, null)`);
+  const tab = sk.run("gUiLayout.tabs[1]");
+
+  sk.ctx.pointerPressed(tab.x + 5, tab.y + 5, []);
+  assert.equal(sk.run("uiDrawer"), "info");
+  sk.ctx.pointerPressed(tab.x + 5, tab.y + 5, []);
+  assert.equal(sk.run("uiDrawer"), null);
+});
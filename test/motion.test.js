@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+// window.matchMedia stand-in; fire(matches) plays a system change
+function fakeMedia(matches) {
+  const listeners = [];
+  const mq = { matches, addEventListener: (type, fn) => listeners.push(fn) };
+  return {
+    matchMedia: () => mq,
+    fire: m => listeners.forEach(fn => fn({ matches: m })),
+  };
+}
+
+test("follows prefers-reduced-motion until X overrides it", () => {
+  const sk = loadSketch();
+  const media = fakeMedia(true);
+  sk.ctx.motionInit(media, 12);
+  assert.equal(sk.run("reducedMotion"), true);
+  assert.equal(sk.run("motionMorph()"), 12);
+
+  media.fire(false);
+  assert.equal(sk.run("reducedMotion"), false);
+  assert.equal(sk.run("motionMorph()"), null);
+
+  pressKey(sk, "x");
+  assert.equal(sk.run("reducedMotion"), true);
+  media.fire(false);
+  assert.equal(sk.run("reducedMotion"), true);   // the key wins
+  pressKey(sk, "X");
+  assert.equal(sk.run("reducedMotion"), false);
+});
+
+test("no negative, calm digits and blink while reduced", () => {
+  const sk = loadSketch();
+  sk.run("triContentAlpha = 255");
+  assert.equal(sk.run("negativeOn()"), true);
+  sk.ctx.setReducedMotion(true, 0);
+  assert.equal(sk.run("negativeOn()"), false);
+
+  const grid = t => {
+    sk.run(`animTime = ${t}`);
+    return sk.run("Array.from({ length: 60 }, (_, i) => asciiDigit(10, 20, 30, 0, Math.floor(i / 20), i % 20)).join('')");
+  };
+  assert.equal(grid(0.1), grid(3.9));
+  assert.notEqual(grid(0.1), grid(4.1));
+
+  const alphas = Array.from({ length: 200 }, (_, i) => sk.ctx.motionBlinkAlpha(i * 0.05));
+  assert.ok(Math.min(...alphas) >= 150 && Math.max(...alphas) <= 255);
+  sk.ctx.setReducedMotion(false, 0);
+  const full = Array.from({ length: 200 }, (_, i) => sk.ctx.motionBlinkAlpha(i * 0.05));
+  assert.ok(Math.min(...full) < 70);
+});
+
+test("?motion= round trips and overrides the system", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "");
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?motion=reduced"));
+  assert.equal(sk.run("reducedMotion"), true);
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?motion=reduced");
+
+  const media = fakeMedia(false);
+  sk.ctx.motionInit(media, 0);
+  assert.equal(sk.run("reducedMotion"), true);
+  assert.equal(sk.ctx.parseUrlConfig("?motion=slow").motion, undefined);
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch } = require("./harness.js");
+
+// the hard-coded cycle the schedule replaced
+function legacyAlphas(cycle) {
+  if (cycle < 1.5) return { geo: Math.floor(255 - 255 * (cycle / 1.5)), tri: 0 };
+  if (cycle < 11.5) return { geo: 0, tri: 255 };
+  if (cycle < 13.0) return { geo: 0, tri: Math.floor(255 - 255 * ((cycle - 11.5) / 1.5)) };
+  if (cycle < 14.5) return { geo: Math.floor(255 * ((cycle - 13.0) / 1.5)), tri: 0 };
+  return { geo: 255, tri: 0 };
+}
+
+function legacyOverlay(cycle) {
+  const phase = cycle - 1.5;
+  const text = phase < 0 ? "off" : phase < 2 ? "type" : phase < 7 ? "blink" : phase < 9 ? "untype" : "off";
+  const boxes = Math.floor(Math.max(0, Math.min(8, phase)) / 2);
+  return { text, boxes };
+}
+
+test("default schedule reproduces the original 23 s cycle", () => {
+  const { ctx, run } = loadSketch();
+  assert.equal(run("PHASE_DEFAULT_CYCLE"), 23);
+  assert.equal(run("PHASE_MIN_CYCLE"), 14.5);
+
+  // sampled off the exact boundaries (float noise there is not a difference)
+  for (let i = 0; i < 460; i++) {
+    const t = i / 20 + 0.001;
+    const ph = ctx.phaseAt(run("PHASE_SCHEDULE"), t);
+    assert.deepEqual({ geo: ph.geo, tri: ph.tri }, legacyAlphas(t), `t=${t}`);
+
+    const ov = ctx.overlayAt(run("PHASE_SCHEDULE"), run("PHASE_OVERLAY"), t);
+    const old = legacyOverlay(t);
+    assert.equal(ov.text, old.text, `t=${t}`);
+    assert.equal(Math.floor(ov.load * 4), old.boxes, `t=${t}`);
+  }
+});
+
+test("phase names and easing", () => {
+  const { ctx, run } = loadSketch();
+  assert.equal(ctx.phaseAt(run("PHASE_SCHEDULE"), 0.2).name, "geo-out");
+  assert.equal(ctx.phaseAt(run("PHASE_SCHEDULE"), 12).name, "tri-out");
+  assert.equal(ctx.phaseAt(run("PHASE_SCHEDULE"), 22.9).name, "geo");
+
+  const eased = ctx.phaseScheduleOverride(run("PHASE_SCHEDULE"), [{ name: "geo-in", duration: 2, ease: "smooth" }]);
+  // smoothstep is symmetric: half way = half alpha, a quarter in = less than linear
+  assert.equal(ctx.phaseAt(eased, 13 + 1).geo, 127);
+  assert.ok(ctx.phaseAt(eased, 13 + 0.5).geo < 255 / 4);
+});
+
+test("a longer triangle phase stretches text and loading bar with it", () => {
+  const { ctx, run } = loadSketch();
+  const slow = ctx.phaseScheduleOverride(run("PHASE_SCHEDULE"), [{ name: "tri", duration: 20 }]);
+  assert.equal(ctx.phaseCycleLength(slow), 33);
+
+  // typing takes 4 s instead of 2, the bar fills over 16 s instead of 8
+  assert.equal(ctx.overlayAt(slow, run("PHASE_OVERLAY"), 1.5 + 3.9).text, "type");
+  assert.equal(ctx.overlayAt(slow, run("PHASE_OVERLAY"), 1.5 + 4.1).text, "blink");
+  assert.equal(ctx.overlayAt(slow, run("PHASE_OVERLAY"), 1.5 + 8).load, 0.5);
+  assert.equal(ctx.phaseAt(slow, 21).tri, 255);
+});
+
+test("?cycle= stretches only the last phase", () => {
+  const { ctx, run } = loadSketch();
+  const s = ctx.phaseScheduleWithCycle(run("PHASE_SCHEDULE"), 40);
+  assert.equal(ctx.phaseCycleLength(s), 40);
+  assert.equal(s[4].duration, 25.5);
+  assert.equal(s[1].duration, 10);
+  assert.equal(ctx.phaseScheduleWithCycle(run("PHASE_SCHEDULE"), 3)[4].duration, 0);
+});
+
+test("?phases= parses, applies and round trips", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.parsePhaseOverrides("tri:abc"), null);
+  assert.equal(sk.ctx.parsePhaseOverrides("tri:10:bounce"), null);
+
+  const cfg = sk.ctx.parseUrlConfig("?phases=tri:20,tri-out:3:smooth");
+  assert.equal(cfg.phases.length, 2);
+
+  sk.ctx.applyUrlConfig(cfg);
+  assert.equal(sk.run("phaseCycle"), 34.5);
+  assert.equal(sk.run("phaseSchedule[2].ease"), "smooth");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?phases=tri:20,tri-out:3:smooth");
+});
+
+test("page config object replaces the schedule, URL overrides on top", () => {
+  const sk = loadSketch();
+  sk.ctx.applyPageConfig({
+    phases: [
+      { name: "hold", duration: 5, geo: 255, tri: 0 },
+      { name: "tri", duration: 30, geo: 0, tri: 255, overlay: true },
+      { name: "back", duration: 5, geo: [0, 255], tri: [255, 0], ease: "inOut" },
+    ],
+    overlay: { load: 1 },
+  });
+  assert.equal(sk.run("phaseCycle"), 40);
+  assert.equal(sk.run("phaseOverlay.load"), 1);
+
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?phases=hold:10"));
+  assert.equal(sk.run("phaseCycle"), 45);
+
+  // malformed schedules are ignored
+  sk.ctx.applyPageConfig({ phases: [{ name: "x", duration: -1, geo: 0, tri: 0 }] });
+  assert.equal(sk.run("phaseSchedule.length"), 3);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+function manual(sk) {
+  return sk.run("`${manualY}-${manualMo}-${manualD} ${manualH}:${manualM}:${manualS}`");
+}
+
+function atManual(sk, y, mo, d, h, m, s) {
+  sk.ctx.setManualTime(h, m, s);
+  sk.ctx.setManualDate(y, mo, d);
+}
+
+test("shiftManualTime rolls over midnight, month and year", () => {
+  const sk = loadSketch();
+  atManual(sk, 2025, 12, 31, 23, 59, 30);
+
+  sk.ctx.shiftManualTime(45.5);
+  assert.equal(manual(sk), "2026-1-1 0:0:15");
+  assert.equal(sk.run("manualSub"), 0.5);
+
+  sk.ctx.shiftManualTime(-3600);
+  assert.equal(manual(sk), "2025-12-31 23:0:15");
+});
+
+test("shiftManualTime accumulates sub-second steps", () => {
+  const sk = loadSketch();
+  atManual(sk, 2024, 2, 28, 12, 0, 0);
+  for (let i = 0; i < 60; i++) sk.ctx.shiftManualTime(1 / 60);
+  assert.equal(manual(sk), "2024-2-28 12:0:1");
+  assert.ok(sk.run("manualSub") < 1e-9);
+
+  sk.ctx.shiftManualTime(86400 * 1.5);
+  assert.equal(manual(sk), "2024-3-1 0:0:1");
+});
+
+test("setManualSecondsOfDay keeps the date", () => {
+  const sk = loadSketch();
+  atManual(sk, 2025, 6, 15, 8, 0, 0);
+  sk.ctx.setManualSecondsOfDay(13 * 3600 + 30 * 60 + 12.25);
+  assert.equal(manual(sk), "2025-6-15 13:30:12");
+  assert.equal(sk.run("manualSub"), 0.25);
+});
+
+test("P / B / + / - drive the playback state", () => {
+  const sk = loadSketch();
+  assert.equal(sk.run("useLiveTime"), true);
+
+  pressKey(sk, "p");
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.equal(sk.run("playPaused"), false);
+  assert.equal(sk.ctx.playSpeed(), 1);
+
+  pressKey(sk, "+");
+  pressKey(sk, "+");
+  pressKey(sk, "b");
+  assert.equal(sk.ctx.playSpeed(), -600);
+  assert.equal(sk.ctx.playbackLabel(), "<< 600x");
+
+  for (let i = 0; i < 5; i++) pressKey(sk, "+");
+  assert.equal(sk.ctx.playSpeed(), -3600);
+  for (let i = 0; i < 5; i++) pressKey(sk, "-");
+  assert.equal(sk.ctx.playSpeed(), -1);
+
+  pressKey(sk, "P");
+  assert.equal(sk.ctx.playbackLabel(), "PAUSED");
+});
+
+test("?speed= starts playback and round trips", () => {
+  const sk = loadSketch();
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?time=10:00&date=2025-01-01&speed=-60"));
+  assert.equal(sk.run("playPaused"), false);
+  assert.equal(sk.ctx.playSpeed(), -60);
+  assert.match(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), /&speed=-60$/);
+  assert.equal(sk.ctx.parseUrlConfig("?speed=7").speed, undefined);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("hourWorldToLocal undoes hourLocalToWorld", () => {
+  const { ctx } = loadSketch();
+  const L = ctx.computeConfiguration(0, 0, 0, 0).layout.hour;
+  const P = { x: 37.5, y: -120.25 };
+  const back = ctx.hourWorldToLocal(ctx.hourLocalToWorld(P, L), L);
+  assert.ok(Math.abs(back.x - P.x) < 1e-9 && Math.abs(back.y - P.y) < 1e-9);
+});
+
+test("dragging a marker onto its own position gives the same time", () => {
+  const { ctx } = loadSketch();
+  for (const [h, m, s] of [[0, 0, 30], [3, 15, 30], [9, 59, 30], [14, 32, 10], [23, 7, 45]]) {
+    for (const hours24 of [false, true]) {
+      const cfg = ctx.computeConfiguration(h, m, s, 5, null, { hours24 });
+      const mk = cfg.markers;
+      assert.deepEqual({ ...ctx.dragMarkerTime("second", mk.second, cfg, h, m, s) }, { h, m, s });
+      assert.deepEqual({ ...ctx.dragMarkerTime("minute", mk.minute, cfg, h, m, s) }, { h, m, s });
+      assert.deepEqual({ ...ctx.dragMarkerTime("hour", mk.hour, cfg, h, m, s) }, { h, m, s }, `${h}:${m} 24h=${hours24}`);
+    }
+  }
+});
+
+test("minute / second inverse clamp and wrap", () => {
+  const { ctx } = loadSketch();
+  const L = ctx.computeConfiguration(0, 0, 0, 0).layout;
+  assert.equal(ctx.minuteAtPoint({ x: 0, y: L.minute.top - 50 }), 0);
+  assert.ok(ctx.minuteAtPoint({ x: 0, y: L.minute.bottom + 50 }) < 60);
+  // straight right of the oval center = 15 s, left = 45 s
+  assert.equal(ctx.secondAtPoint({ x: L.second.cx + 10, y: L.second.cy }), 15);
+  assert.equal(ctx.secondAtPoint({ x: L.second.cx - 10, y: L.second.cy }), 45);
+});
+
+test("help lines split into tap targets", () => {
+  const { ctx } = loadSketch();
+  const taps = Array.from(ctx.helpLineTaps("1 geo   2 triangle   3 auto"), t => ({ ...t }));
+  assert.deepEqual(taps, [
+    { key: "1", from: 0, to: 5 },
+    { key: "2", from: 8, to: 18 },
+    { key: "3", from: 21, to: 27 },
+  ]);
+  assert.deepEqual(Array.from(ctx.helpLineTaps("P   play / pause   B reverse"), t => t.key), ["P", "B"]);
+  assert.deepEqual(Array.from(ctx.helpLineTaps("Space  auto/manual phase"), t => t.key), [" "]);
+  assert.equal(ctx.helpLineTaps("Time:     LIVE   [2025-01-01 12:00:00]").length, 0);
+  // wrapped continuation text: words that happen to be keys are no targets
+  assert.equal(ctx.helpLineTaps("    Enter apply, Esc cancel   C major").length, 0);
+  assert.equal(ctx.helpLineTaps("    V 2 cycles").length, 0);
+  assert.equal(ctx.helpLineTaps("drag the markers   A or B").length, 0);
+});
+
+function withFrame(sk, h, m, s) {
+  sk.ctx.setManualTime(h, m, s);
+  sk.run(`gOffX = 0; gOffY = 0; gSc = 1;`);
+  sk.run(`gLastCfg = computeConfiguration(${h}, ${m}, ${s}, 0, null)`);
+}
+
+// DESIGN -> screen at gSc = 1, no zoom
+function screenOf(sk, P) {
+  return { x: P.x, y: P.y - sk.run("CONTENT_MIN_Y") };
+}
+
+test("pressing on the minute marker and dragging sets the minutes", () => {
+  const sk = loadSketch();
+  withFrame(sk, 10, 20, 5);
+  const L = sk.run("GEO_LAYOUT");
+
+  const start = screenOf(sk, sk.run("gLastCfg.markers.minute"));
+  sk.ctx.pointerPressed(start.x, start.y, []);
+  assert.equal(sk.run("markerDrag"), "minute");
+
+  const to = screenOf(sk, { x: L.minute.x, y: L.minute.top + (L.minute.bottom - L.minute.top) * 0.75 });
+  sk.ctx.pointerDragged(to.x, to.y, []);
+  assert.equal(sk.run("`${manualH}:${manualM}:${manualS}`"), "10:45:5");
+
+  sk.ctx.pointerReleased([]);
+  assert.equal(sk.run("markerDrag"), null);
+});
+
+test("pressing next to the markers does nothing", () => {
+  const sk = loadSketch();
+  withFrame(sk, 10, 20, 5);
+  sk.ctx.pointerPressed(5, 5, []);
+  assert.equal(sk.run("markerDrag"), null);
+});
+
+test("tap targets run their command; T prompts for the time", () => {
+  const sk = loadSketch();
+  sk.run(`gHelpTaps = [{ x: 0, y: 0, w: 50, h: 16, key: "Z" }, { x: 0, y: 20, w: 50, h: 16, key: "T" }]`);
+
+  sk.ctx.pointerPressed(10, 5, []);
+  assert.equal(sk.run("rouletteState"), "spin");
+
+  sk.ctx.window.prompt = () => "2024-02-29 08:30";
+  sk.ctx.pointerPressed(10, 25, []);
+  assert.equal(sk.run("rouletteState"), "off");
+  assert.equal(sk.run("`${manualY}-${manualMo}-${manualD} ${manualH}:${manualM}`"), "2024-2-29 8:30");
+});
+
+test("pinch zooms around the fingers, R resets the view", () => {
+  const sk = loadSketch();
+  sk.ctx.pointerDragged(0, 0, [{ x: 100, y: 100 }, { x: 200, y: 100 }]);
+  sk.ctx.pointerDragged(0, 0, [{ x: 50, y: 100 }, { x: 250, y: 100 }]);
+  assert.equal(sk.run("viewZoom"), 2);
+
+  // the point between the fingers stays put
+  assert.equal(sk.run("viewPanX") + 150 * 2, 150);
+
+  pressKey(sk, "r");
+  assert.equal(sk.run("viewZoom"), 1);
+  assert.equal(sk.run("viewPanX"), 0);
+});
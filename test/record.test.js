@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("crc32 matches the standard check value", () => {
+  const sk = loadSketch();
+  const bytes = new TextEncoder().encode("123456789");
+  assert.equal(sk.ctx.crc32(bytes), 0xCBF43926);
+});
+
+test("zipStore writes stored entries a reader can walk", () => {
+  const sk = loadSketch();
+  const files = [
+    { name: sk.ctx.recordFrameName(0), data: new Uint8Array([1, 2, 3]) },
+    { name: sk.ctx.recordFrameName(1), data: new Uint8Array([4, 5]) },
+  ];
+  const zip = sk.ctx.zipStore(files);
+  const view = new DataView(zip.buffer);
+  const dec = new TextDecoder();
+
+  // end of central directory
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+
+  let p = view.getUint32(end + 16, true);
+  const names = [];
+  for (let i = 0; i < 2; i++) {
+    assert.equal(view.getUint32(p, true), 0x02014b50);
+    const nameLen = view.getUint16(p + 28, true);
+    const local = view.getUint32(p + 42, true);
+    names.push(dec.decode(zip.subarray(p + 46, p + 46 + nameLen)));
+
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const size = view.getUint32(local + 18, true);
+    const data = zip.subarray(local + 30 + nameLen, local + 30 + nameLen + size);
+    assert.deepEqual([...data], [...files[i].data]);
+    assert.equal(view.getUint32(local + 14, true), sk.ctx.crc32(files[i].data));
+
+    p += 46 + nameLen;
+  }
+  assert.deepEqual(names, ["frame_00000.png", "frame_00001.png"]);
+});
+
+test("one default cycle is 690 frames at 30 fps", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.recordFrameCount(23.0, 1, sk.run("RECORD_FPS")), 690);
+  assert.equal(sk.ctx.recordFrameCount(30, 2, 30), 1800);
+  // long cycles are cut at RECORD_MAX_FRAMES
+  assert.equal(sk.ctx.recordFrameCount(600, 10, 30), sk.run("RECORD_MAX_FRAMES"));
+});
+
+test("zipStoreParts keeps the frame data as is, zipStore joins the parts", () => {
+  const sk = loadSketch();
+  const data = new Uint8Array([9, 8, 7]);
+  const parts = sk.ctx.zipStoreParts([{ name: "a.png", data }]);
+  assert.equal(parts.length, 3);   // local header, data, directory + end
+  assert.equal(parts[1], data);
+  const zip = sk.ctx.zipStore([{ name: "a.png", data }]);
+  assert.equal(zip.length, parts.reduce((n, p) => n + p.length, 0));
+  assert.equal(new DataView(zip.buffer).getUint32(zip.length - 6, true), 35 + 3);   // directory offset
+});
+
+test("recordFinish restores the manual clock the recording stepped", () => {
+  const sk = loadSketch();
+  Object.assign(sk.ctx, { pixelDensity: () => 1, resizeCanvas: () => {}, loop: () => {}, noLoop: () => {}, redraw: () => {}, windowWidth: 800, windowHeight: 600 });
+  sk.ctx.document = { title: "x" };
+  sk.ctx.setManualTime(10, 20, 30);
+  sk.ctx.recordStart();
+  sk.run("recording.frame = 300");
+  sk.ctx.recordStepTime();
+  assert.notEqual(sk.run("manualS"), 30);
+
+  sk.ctx.recordCancel();
+  assert.equal(sk.run("[manualH, manualM, manualS, manualSub].join(':')"), "10:20:30:0");
+  assert.equal(sk.run("useLiveTime"), false);
+});
+
+test("a frame that can't be stored ends the recording and says so", async () => {
+  const sk = loadSketch();
+  Object.assign(sk.ctx, { pixelDensity: () => 1, resizeCanvas: () => {}, loop: () => {}, noLoop: () => {}, redraw: () => {}, windowWidth: 800, windowHeight: 600 });
+  sk.ctx.document = { title: "x" };
+  let blob = null;
+  sk.ctx.drawingContext = { canvas: { toBlob: cb => cb(blob) } };
+
+  sk.ctx.recordStart();
+  sk.ctx.recordCaptureFrame();   // toBlob -> null
+  assert.equal(sk.ctx.recordActive(), false);
+  assert.equal(sk.ctx.document.title, "x");
+  assert.ok(sk.ctx.helpBoxLines().includes("recording failed, a frame could not be stored"));
+
+  blob = { arrayBuffer: () => Promise.reject(new Error("out of memory")) };
+  sk.ctx.recordStart();
+  sk.ctx.recordCaptureFrame();
+  assert.equal(sk.ctx.recordActive(), true);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(sk.ctx.recordActive(), false);
+});
+
+test("recordStepTime derives phase, clock and morph time from the frame index", () => {
+  const sk = loadSketch();
+  sk.run(`recording = {
+    frame: 45, total: 690, speed: 60, morph0: 2,
+    clock: { y: 2025, mo: 12, d: 31, h: 23, m: 59, s: 50, sub: 0 },
+  }`);
+
+  const morph = sk.ctx.recordStepTime();
+  assert.equal(morph, 3.5);
+  assert.equal(sk.run("fadeTimer"), 1.5);
+  // 1.5 s of recording at 60x = 90 s of clock time
+  assert.equal(sk.run("`${manualY}-${manualMo}-${manualD} ${manualH}:${manualM}:${manualS}`"), "2026-1-1 0:1:20");
+
+  // stepping again from the same frame gives the same moment (no accumulation)
+  sk.ctx.recordStepTime();
+  assert.equal(sk.run("manualS"), 20);
+});
+
+test("while recording only V / Esc are handled", () => {
+  const sk = loadSketch();
+  sk.run("recording = { frame: 0, total: 1, clock: {}, speed: 1, morph0: 0, files: [], prev: null }");
+  sk.run("recordCancel = () => { recording = null; }");
+
+  pressKey(sk, "h");
+  assert.equal(sk.run("hours24"), false);
+  pressKey(sk, "v");
+  assert.equal(sk.ctx.recordActive(), false);
+});
+
+test("?reccycles= is validated and round trips", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.parseUrlConfig("?reccycles=3").recordCycles, 3);
+  assert.equal(sk.ctx.parseUrlConfig("?reccycles=0").recordCycles, undefined);
+  assert.equal(sk.ctx.parseUrlConfig("?reccycles=99").recordCycles, undefined);
+
+  sk.ctx.applyUrlConfig({ recordCycles: 2 });
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?reccycles=2");
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mulberry32, hashInts, seedFromString, seededDigit } = require("../seed.js");
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("mulberry32: same seed, same sequence in [0, 1)", () => {
+  const a = mulberry32(1234);
+  const b = mulberry32(1234);
+  for (let i = 0; i < 100; i++) {
+    const v = a();
+    assert.equal(v, b());
+    assert.ok(v >= 0 && v < 1);
+  }
+  assert.notEqual(mulberry32(1)(), mulberry32(2)());
+});
+
+test("hashInts is order sensitive", () => {
+  assert.equal(hashInts(1, 2, 3), hashInts(1, 2, 3));
+  assert.notEqual(hashInts(1, 2, 3), hashInts(3, 2, 1));
+});
+
+test("seedFromString: numbers stay numbers, words hash", () => {
+  assert.equal(seedFromString(" 42 "), 42);
+  assert.equal(seedFromString("museum"), seedFromString("museum"));
+  assert.notEqual(seedFromString("museum"), seedFromString("gallery"));
+});
+
+test("seededDigit: 0..9, fixed per moment, changes with the second", () => {
+  const cells = s => Array.from({ length: 200 }, (_, i) => seededDigit(7, 14, 32, s, 0, i));
+  const a = cells(10);
+
+  assert.deepEqual(a, cells(10));
+  assert.notDeepEqual(a, cells(11));
+  assert.ok(a.every(d => Number.isInteger(d) && d >= 0 && d <= 9));
+  assert.equal(new Set(a).size, 10);
+});
+
+test("seeded roulette replays the same sequence", () => {
+  const spin = () => {
+    const sk = loadSketch();
+    sk.ctx.setSeedMode(true, 2025);
+    sk.ctx.rouletteStart();
+    const seen = [];
+    for (let i = 0; i < 5; i++) {
+      sk.ctx.setRandomTime();
+      seen.push(sk.run("[manualH, manualM, manualS].join(':')"));
+    }
+    return seen;
+  };
+  assert.deepEqual(spin(), spin());
+});
+
+test("seeded roulette lands on the same time however many ticks it spins", () => {
+  const land = (ticks, brakeTicks) => {
+    const sk = loadSketch();
+    sk.ctx.setSeedMode(true, 2025);
+    pressKey(sk, "z");
+    for (let i = 0; i < ticks; i++) sk.ctx.setRandomTime();
+    pressKey(sk, "z");   // brake
+    for (let i = 0; i < brakeTicks; i++) sk.ctx.setRandomTime();
+    pressKey(sk, "z");   // stop
+    assert.equal(sk.run("rouletteState"), "off");
+    return sk.run("[manualH, manualM, manualS].join(':')");
+  };
+  assert.equal(land(3, 1), land(40, 7));
+});
+
+test("K toggles seeded mode with a fresh seed", () => {
+  const sk = loadSketch();
+  pressKey(sk, "k");
+  assert.equal(sk.run("seedMode"), true);
+  pressKey(sk, "K");
+  assert.equal(sk.run("seedMode"), false);
+});
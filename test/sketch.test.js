@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("parseTimeString: valid inputs", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual({ ...ctx.parseTimeString("14:32") }, { h: 14, m: 32, s: 0 });
+  assert.deepEqual({ ...ctx.parseTimeString(" 00:00:59 ") }, { h: 0, m: 0, s: 59 });
+  assert.deepEqual({ ...ctx.parseTimeString("23:59:59") }, { h: 23, m: 59, s: 59 });
+});
+
+test("parseTimeString: out of range and malformed", () => {
+  const { ctx } = loadSketch();
+  for (const str of ["24:00", "12:60", "12:00:60", "-1:00", "12", "1:2:3:4", "", "ab:cd", "12:"]) {
+    assert.equal(ctx.parseTimeString(str), null, str);
+  }
+});
+
+test("daysInMonth: leap years", () => {
+  const { ctx } = loadSketch();
+  assert.equal(ctx.daysInMonth(2024, 2), 29);
+  assert.equal(ctx.daysInMonth(2023, 2), 28);
+  assert.equal(ctx.daysInMonth(1900, 2), 28);
+  assert.equal(ctx.daysInMonth(2000, 2), 29);
+  assert.equal(ctx.daysInMonth(2025, 4), 30);
+  assert.equal(ctx.daysInMonth(2025, 12), 31);
+});
+
+test("setManualTime clamps and leaves live mode", () => {
+  const sk = loadSketch();
+  sk.ctx.setManualTime(30, -4, 61.7);
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.deepEqual([...sk.run("[manualH, manualM, manualS]")], [23, 0, 59]);
+});
+
+test("roulette: start -> brake -> stop", () => {
+  const sk = loadSketch();
+  sk.run("typingMode = true; timeInput = '12:'");
+  sk.clock.ms = 1000;
+
+  sk.ctx.rouletteStart();
+  assert.equal(sk.run("rouletteState"), "spin");
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.equal(sk.run("typingMode"), false);
+  assert.equal(sk.run("timeInput"), "");
+  assert.equal(sk.run("rouletteInterval"), sk.run("ROULETTE_FAST"));
+  assert.equal(sk.run("rouletteNextAt"), 1000);
+
+  sk.clock.ms = 1500;
+  sk.ctx.rouletteBeginBrake();
+  assert.equal(sk.run("rouletteState"), "brake");
+  assert.equal(sk.run("rouletteNextAt"), 1500 + sk.run("ROULETTE_FAST"));
+
+  sk.ctx.rouletteStop();
+  assert.equal(sk.run("rouletteState"), "off");
+});
+
+test("roulette: Z key cycles off -> spin -> brake -> off", () => {
+  const sk = loadSketch();
+  const states = [];
+  for (let i = 0; i < 3; i++) {
+    pressKey(sk, "z");
+    states.push(sk.run("rouletteState"));
+  }
+  assert.deepEqual(states, ["spin", "brake", "off"]);
+});
+
+test("R resets roulette, typing and phase back to live/auto", () => {
+  const sk = loadSketch();
+  pressKey(sk, "z");
+  pressKey(sk, "2");
+  pressKey(sk, "R");
+
+  assert.equal(sk.run("rouletteState"), "off");
+  assert.equal(sk.run("useLiveTime"), true);
+  assert.equal(sk.run("manualPhaseEnabled"), false);
+  assert.equal(sk.run("phaseMode"), "auto");
+});
+
+test("parseDateTimeString: date, date + time, time only", () => {
+  const { ctx } = loadSketch();
+  const plain = v => JSON.parse(JSON.stringify(v));
+
+  assert.deepEqual(plain(ctx.parseDateTimeString("2025-12-24 18:30:05")),
+    { date: { y: 2025, mo: 12, d: 24 }, h: 18, m: 30, s: 5 });
+  assert.deepEqual(plain(ctx.parseDateTimeString("2024-02-29")),
+    { date: { y: 2024, mo: 2, d: 29 }, h: 0, m: 0, s: 0 });
+  assert.deepEqual(plain(ctx.parseDateTimeString("2025-06-01T07:05")),
+    { date: { y: 2025, mo: 6, d: 1 }, h: 7, m: 5, s: 0 });
+  assert.deepEqual(plain(ctx.parseDateTimeString("07:05")), { date: null, h: 7, m: 5, s: 0 });
+
+  for (const str of ["2025-02-29", "2025-13-01", "2025-00-10", "2025-01-01 24:00", "25-01-01"]) {
+    assert.equal(ctx.parseDateTimeString(str), null, str);
+  }
+});
+
+test("typing a full date with digits 1/2/3 and space reaches the input", () => {
+  const sk = loadSketch();
+  pressKey(sk, "t");
+  for (const ch of "2023-11-30 12:31:03") pressKey(sk, ch);
+  assert.equal(sk.run("timeInput"), "2023-11-30 12:31:03");
+  assert.equal(sk.run("phaseMode"), "auto");
+
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("typingMode"), false);
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.equal(sk.run("[manualY, manualMo, manualD, manualH, manualM, manualS].join(' ')"), "2023 11 30 12 31 3");
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+test("C cycles the themes, ?theme= round trips", () => {
+  const sk = loadSketch();
+  assert.equal(sk.run("themeName"), "light");
+  pressKey(sk, "c");
+  assert.equal(sk.run("themeName"), "dark");
+  pressKey(sk, "C");
+  pressKey(sk, "c");
+  assert.equal(sk.run("themeName"), "print");
+  pressKey(sk, "c");
+  assert.equal(sk.run("themeName"), "light");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "");
+
+  sk.ctx.applyUrlConfig(sk.ctx.parseUrlConfig("?theme=high-contrast"));
+  assert.equal(sk.run("themeName"), "high-contrast");
+  assert.equal(sk.ctx.buildUrlQuery(sk.ctx.currentUrlState()), "?theme=high-contrast");
+  assert.equal(sk.ctx.parseUrlConfig("?theme=neon").theme, undefined);
+});
+
+test("page config picks the theme", () => {
+  const sk = loadSketch();
+  sk.ctx.applyPageConfig({ theme: "dark" });
+  assert.equal(sk.run("themeName"), "dark");
+});
+
+test("only the light theme inverts in the triangle phase", () => {
+  const sk = loadSketch();
+  sk.run("triContentAlpha = 200");
+  assert.equal(sk.run("negativeOn()"), true);
+  assert.deepEqual(Array.from(sk.run("uiColors().fg")), [255, 255, 255]);
+
+  for (const name of ["dark", "high-contrast", "print"]) {
+    sk.ctx.setTheme(name);
+    assert.equal(sk.run("negativeOn()"), false, name);
+    assert.deepEqual(Array.from(sk.run("uiColors().fg")), Array.from(sk.run("palette.fg")), name);
+  }
+
+  sk.run("triContentAlpha = 0");
+  sk.ctx.setTheme("light");
+  assert.equal(sk.run("negativeOn()"), false);
+});
+
+test("contrast scales the faint alphas, clamped at 255", () => {
+  const sk = loadSketch();
+  assert.equal(sk.ctx.inkA(85), 85);
+  sk.ctx.setTheme("high-contrast");
+  assert.ok(sk.ctx.inkA(85) > 200);
+  assert.equal(sk.ctx.inkA(140), 255);
+});
+
+test("signature SVG uses the palette", () => {
+  const sk = loadSketch();
+  const cfg = sk.ctx.computeConfiguration(9, 15, 0, 3, null);
+  assert.ok(sk.ctx.signatureSVG(cfg).includes('fill="rgb(245,245,245)"'));
+
+  sk.ctx.setTheme("dark");
+  const svg = sk.ctx.signatureSVG(cfg);
+  assert.ok(svg.includes('fill="rgb(14,14,18)"'));
+  assert.ok(svg.includes('stroke="rgb(232,232,232)"'));
+  assert.ok(svg.includes('fill="rgb(120,160,255)"'));
+});
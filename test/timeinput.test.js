@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadSketch, pressKey } = require("./harness.js");
+
+const plain = v => JSON.parse(JSON.stringify(v));
+
+const SHOWN = { y: 2025, mo: 12, d: 31, h: 23, m: 59, s: 30 };
+const LIVE = { y: 2025, mo: 3, d: 14, h: 9, m: 0, s: 0 };
+
+function parse(ctx, str) {
+  return plain(ctx.parseTimeInput(str, SHOWN, LIVE, "UTC"));
+}
+
+// Controls box lines while typing (caret blink needs sin)
+function loadTyping() {
+  const sk = loadSketch();
+  sk.ctx.sin = Math.sin;
+  return sk;
+}
+
+function type(sk, str) {
+  for (const ch of str) pressKey(sk, ch);
+}
+
+test("clock times: 24 h, 12 h, names", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual(parse(ctx, "15:30"), { date: null, h: 15, m: 30, s: 0 });
+  assert.deepEqual(parse(ctx, "3:15 pm"), { date: null, h: 15, m: 15, s: 0 });
+  assert.deepEqual(parse(ctx, "3PM"), { date: null, h: 15, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "12:05 a.m."), { date: null, h: 0, m: 5, s: 0 });
+  assert.deepEqual(parse(ctx, "12 pm"), { date: null, h: 12, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "Noon"), { date: null, h: 12, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "midnight"), { date: null, h: 0, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "mittag"), { date: null, h: 12, m: 0, s: 0 });
+});
+
+test("relative: now counts from the live clock, a bare offset from the shown time", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual(parse(ctx, "now"), { date: { y: 2025, mo: 3, d: 14 }, h: 9, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "now+2h"), { date: { y: 2025, mo: 3, d: 14 }, h: 11, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "now - 1h30m"), { date: { y: 2025, mo: 3, d: 14 }, h: 7, m: 30, s: 0 });
+  assert.deepEqual(parse(ctx, "-90s"), { date: { y: 2025, mo: 12, d: 31 }, h: 23, m: 58, s: 0 });
+  assert.deepEqual(parse(ctx, "+45s"), { date: { y: 2026, mo: 1, d: 1 }, h: 0, m: 0, s: 15 });   // new year
+  assert.deepEqual(parse(ctx, "+1,5 min"), { date: { y: 2026, mo: 1, d: 1 }, h: 0, m: 1, s: 0 });
+  assert.deepEqual(parse(ctx, "jetzt+1d"), { date: { y: 2025, mo: 3, d: 15 }, h: 9, m: 0, s: 0 });
+});
+
+test("dates and ISO timestamps", () => {
+  const { ctx } = loadSketch();
+  assert.deepEqual(parse(ctx, "2024-02-29"), { date: { y: 2024, mo: 2, d: 29 }, h: 0, m: 0, s: 0 });
+  assert.deepEqual(parse(ctx, "2025-03-14 3:15pm"), { date: { y: 2025, mo: 3, d: 14 }, h: 15, m: 15, s: 0 });
+  assert.deepEqual(parse(ctx, "2025-03-14T15:30:20.750"), { date: { y: 2025, mo: 3, d: 14 }, h: 15, m: 30, s: 20 });
+  assert.deepEqual(parse(ctx, "2025-03-14T23:30:00Z"), { date: { y: 2025, mo: 3, d: 14 }, h: 23, m: 30, s: 0 });
+  assert.deepEqual(parse(ctx, "2025-03-14T00:30:00+01:00"), { date: { y: 2025, mo: 3, d: 13 }, h: 23, m: 30, s: 0 });
+  assert.deepEqual(plain(ctx.parseTimeInput("2025-03-14T23:30:00Z", SHOWN, LIVE, "Asia/Tokyo")),
+    { date: { y: 2025, mo: 3, d: 15 }, h: 8, m: 30, s: 0 });
+});
+
+test("errors say what is wrong", () => {
+  const { ctx } = loadSketch();
+  const err = str => parse(ctx, str).error;
+  assert.equal(err("25:00"), "hour 25 is not 0-23");
+  assert.equal(err("10:75"), "minute 75 is not 0-59");
+  assert.equal(err("13 pm"), "12-hour time: hour 13 is not 1-12");
+  assert.equal(err("+2x"), 'unknown unit "x" (d, h, m, s)');
+  assert.equal(err("now+2"), "offset needs a unit (d, h, m, s)");
+  assert.equal(err("now 2h"), "offset needs + or - (e.g. +2h)");
+  assert.equal(err("2025-02-30"), "day 30: that month has 28 days");
+  assert.equal(err("2025-13-01"), "month 13 is not 1-12");
+  assert.match(err("tea time"), /^not a time/);
+  ctx.setLocale("de");
+  assert.equal(err("25:00"), "Stunde 25 ist nicht 0-23");
+});
+
+test("typing: letters reach the input, preview, Enter applies, ↑/↓ history", () => {
+  const sk = loadTyping();
+  pressKey(sk, "t");
+  type(sk, "noon");
+  assert.equal(sk.run("typingMode"), true);   // "t" / "n" are text now
+  assert.ok(sk.ctx.helpBoxLines().some(l => /^→ \d{4}-\d\d-\d\d 12:00:00$/.test(l)));
+
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("typingMode"), false);
+  assert.equal(sk.run("[manualH, manualM, manualS].join(':')"), "12:0:0");
+
+  pressKey(sk, "t");
+  type(sk, "25:00");
+  assert.ok(sk.ctx.helpBoxLines().includes("✗ hour 25 is not 0-23"));
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("typingMode"), true);   // keeps the text to fix
+  assert.equal(sk.run("timeInput"), "25:00");
+
+  for (let i = 0; i < 5; i++) pressKey(sk, "", sk.ctx.BACKSPACE);
+  type(sk, "-90s");
+  pressKey(sk, "", sk.ctx.ENTER);
+  assert.equal(sk.run("[manualH, manualM, manualS].join(':')"), "11:58:30");
+
+  pressKey(sk, "t");
+  type(sk, "3p");
+  pressKey(sk, "", sk.ctx.UP_ARROW);
+  assert.equal(sk.run("timeInput"), "-90s");
+  pressKey(sk, "", sk.ctx.UP_ARROW);
+  pressKey(sk, "", sk.ctx.UP_ARROW);
+  assert.equal(sk.run("timeInput"), "noon");
+  pressKey(sk, "", sk.ctx.DOWN_ARROW);
+  pressKey(sk, "", sk.ctx.DOWN_ARROW);
+  assert.equal(sk.run("timeInput"), "3p");    // back to the own text
+  pressKey(sk, "", sk.ctx.ESCAPE);
+  assert.equal(sk.run("typingMode"), false);
+});
+
+test("tap T: a failed prompt shows its reason in the Controls box", () => {
+  const sk = loadTyping();
+  sk.ctx.window.prompt = () => "99:00";
+  sk.ctx.runTapCommand("T");
+  assert.ok(sk.ctx.helpBoxLines().includes("✗ 99:00: hour 99 is not 0-23"));
+  sk.clock.ms = 10000;
+  assert.ok(!sk.ctx.helpBoxLines().some(l => l.startsWith("✗")));
+
+  sk.ctx.window.prompt = () => "now+1h";
+  sk.ctx.runTapCommand("T");
+  assert.equal(sk.run("useLiveTime"), false);
+  assert.deepEqual(Array.from(sk.run("inputHistory")), ["now+1h"]);
+});
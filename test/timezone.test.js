@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  isValidTimeZone,
+  zonedTimeParts,
+  zoneOffsetMinutes,
+  zonedWallToDate,
+  formatOffset,
+  zoneLabel,
+} = require("../timezone.js");
+const { loadSketch } = require("./harness.js");
+
+// 2025-07-01 12:34:56 UTC
+const SUMMER = new Date(Date.UTC(2025, 6, 1, 12, 34, 56));
+// 2025-01-15 23:30:00 UTC
+const WINTER = new Date(Date.UTC(2025, 0, 15, 23, 30, 0));
+
+test("zonedTimeParts: wall clock of other zones", () => {
+  assert.deepEqual(zonedTimeParts(SUMMER, "UTC"), { y: 2025, mo: 7, d: 1, h: 12, m: 34, s: 56 });
+  assert.deepEqual(zonedTimeParts(SUMMER, "Asia/Tokyo"), { y: 2025, mo: 7, d: 1, h: 21, m: 34, s: 56 });
+  assert.deepEqual(zonedTimeParts(WINTER, "Europe/Berlin"), { y: 2025, mo: 1, d: 16, h: 0, m: 30, s: 0 });
+});
+
+test("zoneOffsetMinutes follows daylight saving time", () => {
+  assert.equal(zoneOffsetMinutes(SUMMER, "Europe/Berlin"), 120);
+  assert.equal(zoneOffsetMinutes(WINTER, "Europe/Berlin"), 60);
+  assert.equal(zoneOffsetMinutes(SUMMER, "America/Los_Angeles"), -420);
+  assert.equal(zoneOffsetMinutes(WINTER, "Asia/Kolkata"), 330);
+});
+
+test("zonedWallToDate inverts zonedTimeParts", () => {
+  for (const zone of ["UTC", "Europe/Berlin", "America/New_York", "Australia/Sydney"]) {
+    for (const date of [SUMMER, WINTER]) {
+      const back = zonedWallToDate(zonedTimeParts(date, zone), zone);
+      assert.equal(back.getTime(), date.getTime(), zone);
+    }
+  }
+});
+
+test("labels and validation", () => {
+  assert.equal(formatOffset(330), "UTC+05:30");
+  assert.equal(formatOffset(-420), "UTC-07:00");
+  assert.equal(formatOffset(0), "UTC+00:00");
+  assert.equal(zoneLabel("America/Los_Angeles"), "Los Angeles");
+  assert.equal(zoneLabel("local"), "Local");
+  assert.equal(isValidTimeZone("Asia/Tokyo"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+});
+
+test("?tz= and ?world= round trip through the URL config", () => {
+  const { ctx } = loadSketch();
+  const cfg = ctx.parseUrlConfig("?tz=Asia/Tokyo&world=1");
+  assert.equal(cfg.tz, "Asia/Tokyo");
+  assert.equal(cfg.world, true);
+  assert.equal(ctx.parseUrlConfig("?tz=Nowhere/City").tz, undefined);
+  assert.equal(ctx.buildUrlQuery({ tz: "Asia/Tokyo", world: true }), "?tz=Asia/Tokyo&world=1");
+});
+
+test("Q cycles through the zone list and wraps", () => {
+  const sk = loadSketch();
+  const n = sk.run("TIME_ZONES.length");
+  sk.ctx.cycleTimeZone();
+  assert.equal(sk.run("timeZone"), "UTC");
+  for (let i = 1; i < n; i++) sk.ctx.cycleTimeZone();
+  assert.equal(sk.run("timeZone"), "local");
+});
@@ -0,0 +1,86 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Themes (C, ?theme=)
+//
+// A theme is the palette every draw step reads instead of color literals:
+// - bg / fg:    background and ink (lines, numbers, text; alpha per element)
+// - marker:     the blue dots, triangle: the red lines
+// - contrast:   multiplies the faint alphas of the geometry (inkA)
+// - negative:   the triangle phase inverts the whole frame (light only);
+//   without it the phase only fades its content in, no bright / dark swap
+// UI boxes and the timeline follow the inversion (uiColors() in sketch.js).
+// ------------------------------------------------------------
+
+const THEMES = {
+  light: {
+    bg: [245, 245, 245], fg: [0, 0, 0], marker: [10, 40, 160], triangle: [200, 0, 0],
+    contrast: 1, negative: true,
+  },
+  dark: {
+    bg: [14, 14, 18], fg: [232, 232, 232], marker: [120, 160, 255], triangle: [255, 90, 80],
+    contrast: 1.25, negative: false,
+  },
+  "high-contrast": {
+    bg: [255, 255, 255], fg: [0, 0, 0], marker: [0, 0, 200], triangle: [220, 0, 0],
+    contrast: 2.6, negative: false,
+  },
+  print: {
+    bg: [255, 255, 255], fg: [0, 0, 0], marker: [10, 40, 160], triangle: [200, 0, 0],
+    contrast: 1.5, negative: false,
+  },
+};
+const THEME_ORDER = ["light", "dark", "high-contrast", "print"];
+
+let themeName = "light";
+let palette = THEMES.light;
+
+function setTheme(name) {
+  if (!THEMES[name]) return false;
+  themeName = name;
+  palette = THEMES[name];
+  if (typeof document !== "undefined" && document.body) document.body.style.background = svgRgb(palette.bg);   // around the canvas
+  return true;
+}
+
+function cycleTheme() {
+  const i = THEME_ORDER.indexOf(themeName);
+  setTheme(THEME_ORDER[(i + 1) % THEME_ORDER.length]);
+}
+
+// faint geometry alpha -> alpha of this theme
+function inkA(a) {
+  return Math.min(255, a * palette.contrast);
+}
+
+function invertC(c) {
+  return c.map(v => 255 - v);
+}
+
+// "rgb(r,g,b)" for SVG
+function svgRgb(c) {
+  return `rgb(${c[0]},${c[1]},${c[2]})`;
+}
+
+// ------------------------------------------------------------
+// p5 helpers
+// ------------------------------------------------------------
+function fillC(c, a = 255) {
+  fill(c[0], c[1], c[2], a);
+}
+
+function strokeC(c, a = 255) {
+  stroke(c[0], c[1], c[2], a);
+}
+
+function themeBackground() {
+  background(palette.bg[0], palette.bg[1], palette.bg[2]);
+}
+
+// frame is shown inverted right now (triangle phase of a negative theme,
+// reduced motion tints instead, motion.js)
+function negativeOn() {
+  return palette.negative && !reducedMotion && triContentAlpha > 0;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { THEMES, THEME_ORDER, setTheme, cycleTheme, inkA, invertC, svgRgb };
+}
@@ -0,0 +1,160 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Time input (T, tap T): formats, preview, history
+//
+//   15:30   15:30:20   3pm   3:15 pm   12:05 a.m.   noon   midnight
+//   now   now+2h   now-1h30m   +90s   -90s   +1d        (relative)
+//   2025-03-14   2025-03-14 3:15pm   2025-03-14T15:30:00Z / +01:00 (ISO)
+//
+// Relative offsets count from the live clock after "now", otherwise from
+// the shown time. ISO instants with Z / offset land in the shown time zone,
+// without one they are wall time. German words work too (mittag, jetzt ...).
+// While typing, the clock previews the parsed time and the Controls box
+// says what is wrong; ↑ / ↓ step through the inputs applied before.
+// ------------------------------------------------------------
+
+const TIME_INPUT_MAX = 32;
+const TIME_HISTORY_MAX = 20;
+const TIME_ERROR_MS = 4000;   // failed prompt (tap T): reason stays this long
+
+const TIME_NAMES = { noon: 12, midnight: 0, mittag: 12, mitternacht: 0 };
+const TIME_NOW = ["now", "jetzt"];
+const TIME_UNITS = {
+  d: 86400, day: 86400, days: 86400, tag: 86400, tage: 86400,
+  h: 3600, hr: 3600, hour: 3600, hours: 3600, std: 3600,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60, minuten: 60,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1, sek: 1, sekunden: 1,
+};
+
+let inputHistory = [];     // applied inputs, oldest first
+let inputHistoryIdx = -1;  // entry shown while browsing (-1 = own text)
+let inputDraft = "";       // own text, back after browsing past the newest entry
+let inputError = null;     // { msg, at } of a failed prompt
+
+// ------------------------------------------------------------
+// PARSING (pure; tr() for the messages)
+// ------------------------------------------------------------
+
+// h, m, s (+ 12-hour suffix) -> { h, m, s } or { error }
+function timeOfDay(hStr, mStr, sStr, ampm) {
+  let h = parseInt(hStr, 10);
+  const m = mStr === undefined ? 0 : parseInt(mStr, 10);
+  const s = sStr === undefined ? 0 : Math.floor(parseFloat(sStr));
+
+  if (ampm) {
+    if (h < 1 || h > 12) return { error: tr("input.err.hour12", { v: h }) };
+    h = (h % 12) + (ampm === "p" ? 12 : 0);
+  } else if (h > 23) return { error: tr("input.err.hour", { v: h }) };
+  if (m > 59) return { error: tr("input.err.minute", { v: m }) };
+  if (s > 59) return { error: tr("input.err.second", { v: s }) };
+  return { h, m, s };
+}
+
+// "15:30", "3:15 pm", "noon" -> { h, m, s } or { error } or null (not a time of day)
+function parseTimeOfDay(str) {
+  if (TIME_NAMES[str] !== undefined) return { h: TIME_NAMES[str], m: 0, s: 0 };
+
+  const h12 = /^(\d{1,2})(?::(\d{1,2}))?(?::(\d{1,2}))?\s*([ap])\.?\s*m\.?$/.exec(str);
+  if (h12) return timeOfDay(h12[1], h12[2], h12[3], h12[4]);
+
+  const h24 = /^(\d{1,2}):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/.exec(str);
+  if (h24) return timeOfDay(h24[1], h24[2], h24[3], null);
+
+  return null;
+}
+
+// wall time + seconds -> { date, h, m, s } (rolls over days, months, years)
+function shiftWallTime(p, seconds) {
+  const t = new Date(Date.UTC(p.y, p.mo - 1, p.d, p.h, p.m, p.s) + Math.floor(seconds) * 1000);
+  return {
+    date: { y: t.getUTCFullYear(), mo: t.getUTCMonth() + 1, d: t.getUTCDate() },
+    h: t.getUTCHours(), m: t.getUTCMinutes(), s: t.getUTCSeconds(),
+  };
+}
+
+// "+1h30m-5s" -> seconds or { error }
+function parseOffset(str) {
+  let rest = str;
+  let sign = 0;
+  let total = 0;
+  while (rest.length) {
+    const term = /^\s*([+-])?\s*(\d+(?:[.,]\d+)?)?\s*([a-z]*)\s*/.exec(rest);
+    if (term[1]) sign = term[1] === "-" ? -1 : 1;
+    if (!sign) return { error: tr("input.err.sign") };
+    if (!term[2]) return { error: tr("input.err.amount") };
+    const unit = TIME_UNITS[term[3]];
+    if (!unit) return { error: term[3] ? tr("input.err.unit", { u: term[3] }) : tr("input.err.noUnit") };
+    total += sign * parseFloat(term[2].replace(",", ".")) * unit;
+    rest = rest.slice(term[0].length);
+  }
+  return total;
+}
+
+// str -> { date: { y, mo, d } | null, h, m, s } or { error: message }
+// shown / live: { y, mo, d, h, m, s } wall time of the shown and the live clock; zone: of the shown clock
+function parseTimeInput(str, shown, live, zone) {
+  const s = str.trim().toLowerCase();
+  if (!s) return { error: tr("input.hint") };
+
+  const tod = parseTimeOfDay(s);
+  if (tod) return tod.error ? tod : { date: null, ...tod };
+
+  // relative
+  const now = TIME_NOW.find(w => s.startsWith(w));
+  if (now || /^[+-]/.test(s)) {
+    const rest = now ? s.slice(now.length).trim() : s;
+    const sec = rest ? parseOffset(rest) : 0;
+    if (typeof sec !== "number") return sec;
+    return shiftWallTime(now ? live : shown, sec);
+  }
+
+  // date [time] / ISO
+  const dm = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t]+(.+))?$/.exec(s);
+  if (dm) {
+    const y = parseInt(dm[1], 10), mo = parseInt(dm[2], 10), d = parseInt(dm[3], 10);
+    if (mo < 1 || mo > 12) return { error: tr("input.err.month", { v: mo }) };
+    if (d < 1 || d > daysInMonth(y, mo)) return { error: tr("input.err.day", { v: d, n: daysInMonth(y, mo) }) };
+    if (dm[4] === undefined) return { date: { y, mo, d }, h: 0, m: 0, s: 0 };
+
+    if (/(z|[+-]\d{2}:?\d{2})$/.test(dm[4])) {
+      const ms = Date.parse(str.trim().toUpperCase().replace(" ", "T"));
+      if (Number.isNaN(ms)) return { error: tr("input.err.iso") };
+      const p = zonedTimeParts(new Date(ms), zone);
+      return { date: { y: p.y, mo: p.mo, d: p.d }, h: p.h, m: p.m, s: p.s };
+    }
+    const t = parseTimeOfDay(dm[4].trim());
+    if (!t) return { error: tr("input.err.format") };
+    return t.error ? t : { date: { y, mo, d }, ...t };
+  }
+
+  return { error: tr("input.err.format") };
+}
+
+// ------------------------------------------------------------
+// HISTORY (↑ older, ↓ newer)
+// ------------------------------------------------------------
+function inputHistoryAdd(str) {
+  inputHistory = inputHistory.filter(e => e !== str);
+  inputHistory.push(str);
+  if (inputHistory.length > TIME_HISTORY_MAX) inputHistory.shift();
+  inputHistoryIdx = -1;
+}
+
+// dir -1 = older, +1 = newer; returns the text to show
+function inputHistoryStep(dir, current) {
+  if (!inputHistory.length) return current;
+  if (inputHistoryIdx < 0) {
+    if (dir > 0) return current;
+    inputDraft = current;
+    inputHistoryIdx = inputHistory.length;
+  }
+  inputHistoryIdx = Math.max(0, inputHistoryIdx + dir);
+  if (inputHistoryIdx >= inputHistory.length) {
+    inputHistoryIdx = -1;
+    return inputDraft;
+  }
+  return inputHistory[inputHistoryIdx];
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TIME_INPUT_MAX, parseTimeOfDay, parseOffset, shiftWallTime, parseTimeInput, inputHistoryAdd, inputHistoryStep };
+}
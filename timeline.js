@@ -0,0 +1,115 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Timeline scrubber (screen space)
+//
+// - bar along the bottom edge = 24 h of the shown date
+// - drag (mouse) -> manual time follows continuously
+// - shows playback state (speed, direction, pause)
+// - finder hits (finder.js) as red ticks in the bar; a click on one jumps there
+// Playback itself lives in sketch.js (playSpeed / playReverse / playPaused).
+// ------------------------------------------------------------
+
+const TIMELINE_H = 16;
+const TIMELINE_BOTTOM = 30;      // px from the canvas bottom
+
+let gTimeline = { x: 0, y: 0, w: 0, h: TIMELINE_H };
+let timelineDragging = false;
+
+// same horizontal extent as the grid
+function timelineRect() {
+  const margin = 70;
+  const x0 = gOffX + margin * gSc;
+  const x1 = gOffX + (DESIGN_W - margin) * gSc;
+  return { x: x0, y: height - TIMELINE_BOTTOM - TIMELINE_H, w: x1 - x0, h: TIMELINE_H };
+}
+
+function timelineHit(mx, my) {
+  const r = gTimeline;
+  return mx >= r.x && mx <= r.x + r.w && my >= r.y - 8 && my <= r.y + r.h + 8;
+}
+
+// mouse x -> seconds of the day
+function timelineSecondsAt(mx) {
+  const f = Math.max(0, Math.min(1, (mx - gTimeline.x) / gTimeline.w));
+  return Math.min(86399.999, f * 86400);
+}
+
+// index of the finder hit under the mouse (-1 = none)
+function timelineHitIndexAt(mx, my) {
+  if (!timelineHit(mx, my)) return -1;
+  const hits = finderHits();
+  let best = -1, bestD = 5;   // px
+  for (let i = 0; i < hits.length; i++) {
+    const d = Math.abs(gTimeline.x + (hits[i].sec / 86400) * gTimeline.w - mx);
+    if (d <= bestD) {
+      best = i;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+function timelineBeginDrag(mx, my) {
+  if (!showUI || !timelineHit(mx, my)) return false;
+  timelineDragging = true;
+  timelineDragTo(mx);
+  return true;
+}
+
+function timelineDragTo(mx) {
+  if (!timelineDragging) return;
+  setManualSecondsOfDay(timelineSecondsAt(mx));
+}
+
+function timelineEndDrag() {
+  timelineDragging = false;
+}
+
+function drawTimeline(secondsOfDay) {
+  gTimeline = timelineRect();
+  const { x, y, w, h } = gTimeline;
+
+  const fg = uiColors().fg;   // theme ink, inverted with the negative
+
+  // bar + hour ticks
+  noFill();
+  strokeC(fg, 140);
+  strokeWeight(1);
+  rect(x, y, w, h);
+
+  textFont("monospace");
+  textSize(10);
+
+  for (let i = 0; i <= 24; i++) {
+    const tx = x + (i / 24) * w;
+    const len = i % 3 === 0 ? h : h * 0.4;
+    strokeC(fg, 110);
+    line(tx, y + h - len, tx, y + h);
+
+    if (i % 3 === 0 && i < 24) {
+      noStroke();
+      fillC(fg, 170);
+      textAlign(LEFT, BOTTOM);
+      text(nf(i, 2), tx + 2, y - 2);
+    }
+  }
+
+  // finder hits
+  strokeWeight(1.5);
+  finderHits().forEach((hit, i) => {
+    const tx = x + (hit.sec / 86400) * w;
+    strokeC(palette.triangle, i === finderIndex ? 255 : 170);
+    line(tx, y + 1, tx, y + h - 1);
+  });
+
+  // handle
+  const hx = x + (secondsOfDay / 86400) * w;
+  noStroke();
+  fillC(palette.marker);
+  rect(hx - 2, y - 4, 4, h + 8);
+
+  // playback state (below the bar, clear of the hour labels)
+  const state = useLiveTime ? "LIVE" : playbackLabel();
+  fillC(fg, 190);
+  textAlign(RIGHT, TOP);
+  text(state, x + w, y + h + 3);
+}
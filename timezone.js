@@ -0,0 +1,127 @@
+// ------------------------------------------------------------
+// THE MATH OF TIME — Time zones (Intl, no p5)
+//
+// - zonedTimeParts(date, zone): wall clock of any IANA zone
+//   ("local" = browser zone, same as p5 hour()/minute()/second())
+// - zoneOffsetMinutes / formatOffset: "UTC+09:00" labels
+// - TIME_ZONES: cycled with Q, WORLD_ZONES: cities of the world mode (W)
+// ------------------------------------------------------------
+
+const TIME_ZONES = [
+  "local",
+  "UTC",
+  "Europe/London",
+  "Europe/Berlin",
+  "America/New_York",
+  "America/Los_Angeles",
+  "America/Sao_Paulo",
+  "Asia/Kolkata",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+];
+
+const WORLD_ZONES = [
+  "Europe/Berlin",
+  "Europe/London",
+  "America/New_York",
+  "America/Los_Angeles",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+];
+
+const zoneFormatters = new Map();
+
+function isValidTimeZone(zone) {
+  if (zone === "local") return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function zoneFormatter(zone) {
+  if (!zoneFormatters.has(zone)) {
+    zoneFormatters.set(zone, new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return zoneFormatters.get(zone);
+}
+
+// -> { y, mo, d, h, m, s } (mo 1..12)
+function zonedTimeParts(date, zone) {
+  if (zone === "local") {
+    return {
+      y: date.getFullYear(),
+      mo: date.getMonth() + 1,
+      d: date.getDate(),
+      h: date.getHours(),
+      m: date.getMinutes(),
+      s: date.getSeconds(),
+    };
+  }
+
+  const out = {};
+  const names = { year: "y", month: "mo", day: "d", hour: "h", minute: "m", second: "s" };
+  for (const part of zoneFormatter(zone).formatToParts(date)) {
+    if (names[part.type]) out[names[part.type]] = parseInt(part.value, 10);
+  }
+  return out;
+}
+
+// minutes east of UTC at that instant (DST aware)
+function zoneOffsetMinutes(date, zone) {
+  if (zone === "local") return -date.getTimezoneOffset();
+
+  const p = zonedTimeParts(date, zone);
+  const asUtc = Date.UTC(p.y, p.mo - 1, p.d, p.h, p.m, p.s);
+  const whole = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - whole) / 60000);
+}
+
+// wall clock in zone -> Date (inverse of zonedTimeParts; p: { y, mo, d, h, m, s })
+function zonedWallToDate(p, zone) {
+  if (zone === "local") return new Date(p.y, p.mo - 1, p.d, p.h, p.m, p.s);
+
+  const wall = Date.UTC(p.y, p.mo - 1, p.d, p.h, p.m, p.s);
+  let t = wall - zoneOffsetMinutes(new Date(wall), zone) * 60000;
+  // second pass settles instants right after a DST switch
+  t = wall - zoneOffsetMinutes(new Date(t), zone) * 60000;
+  return new Date(t);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `UTC${sign}${hh}:${mm}`;
+}
+
+// "America/Los_Angeles" -> "Los Angeles"
+function zoneLabel(zone) {
+  if (zone === "local") return "Local";
+  return zone.split("/").pop().replace(/_/g, " ");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TIME_ZONES,
+    WORLD_ZONES,
+    isValidTimeZone,
+    zonedTimeParts,
+    zoneOffsetMinutes,
+    zonedWallToDate,
+    formatOffset,
+    zoneLabel,
+  };
+}